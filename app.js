@@ -5,6 +5,16 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import chatRoutes from './routes/chat.route.js';
+import conversationRoutes from './routes/conversation.route.js';
+import adminRoutes from './routes/admin.route.js';
+import settingsRoutes from './routes/settings.route.js';
+import timetableRoutes from './routes/timetable.route.js';
+import calendarRoutes from './routes/calendar.route.js';
+import briefingRoutes from './routes/briefing.route.js';
+import revisionRoutes from './routes/revision.route.js';
+import recordsRoutes from './routes/records.route.js';
+import openApiRoutes from './routes/openapi.route.js';
+import { startBriefingScheduler } from './services/notification.service.js';
 
 dotenv.config();
 
@@ -17,7 +27,7 @@ app.set('trust proxy', 1);
 // CORS configuration
 app.use(cors({
   origin: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
@@ -95,6 +105,16 @@ app.use('/chat', chatLimiter);
 
 // Routes
 app.use('/', chatRoutes);
+app.use('/', conversationRoutes);
+app.use('/', settingsRoutes);
+// Before timetable and calendar: it owns /timetable/entries and /calendar/marks
+app.use('/', recordsRoutes);
+app.use('/', timetableRoutes);
+app.use('/', calendarRoutes);
+app.use('/', briefingRoutes);
+app.use('/', revisionRoutes);
+app.use('/', adminRoutes);
+app.use('/', openApiRoutes);
 
 const PORT = process.env.PORT || 3000;
 
@@ -104,4 +124,9 @@ app.listen(PORT, () => {
   console.log(`Security headers enabled via Helmet`);
   console.log(`HTTP request logging enabled via Morgan`);
   console.log(`Security logging active for rate limit events`);
+  console.log(`API description at /openapi.json`);
+  console.log(`Firebase ID token verification required on /chat, /conversations, /settings, /timetable, /calendar, /attendance, /grades, /expenses, /assignments, /briefing, /revision and /admin`);
+
+  // Daily briefing push notifications (see services/notification.service.js)
+  startBriefingScheduler();
 });
\ No newline at end of file
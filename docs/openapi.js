@@ -0,0 +1,268 @@
+// docs/openapi.js
+import { GRADE_SCALE_MAX } from '../services/grades.service.js';
+import { PRIORITIES, STATUSES } from '../services/assignment.service.js';
+import { SUPPORTED_LANGUAGES } from '../i18n/index.js';
+
+/*
+ * OpenAPI description of POST /chat, served at GET /openapi.json.
+ * The student data schemas mirror validateContext in
+ * middleware/validate.middleware.js; change the two together.
+ */
+
+const DATE_KEY = { type: 'string', format: 'date', example: '2026-10-21' };
+const CLOCK_TIME = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '14:30' };
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const COUNT = { type: 'integer', minimum: 0 };
+const grade = { type: 'number', minimum: 0, maximum: GRADE_SCALE_MAX };
+
+const schemas = {
+  TimetableClass: {
+    type: 'object',
+    description: 'One class. Times come as `time` ("09:00-10:00") or as startTime/endTime.',
+    properties: {
+      name: text(100),
+      subject: text(100, { description: 'Used when there is no name' }),
+      time: text(50, { example: '09:00-10:00' }),
+      startTime: text(20, { example: '09:00' }),
+      endTime: text(20, { example: '10:00' }),
+      room: text(50),
+      location: text(50, { description: 'Used when there is no room' })
+    }
+  },
+
+  Timetable: {
+    type: 'object',
+    description: 'Classes per weekday, day_0 (Monday) to day_6 (Sunday)',
+    propertyNames: { pattern: '^day_[0-6]$' },
+    additionalProperties: { type: 'array', items: { $ref: '#/components/schemas/TimetableClass' } }
+  },
+
+  AttendanceSubject: {
+    type: 'object',
+    description: 'attended may not be more than held',
+    properties: {
+      held: COUNT,
+      attended: COUNT,
+      percentage: { type: 'number', minimum: 0, maximum: 100, description: 'Worked out from held and attended when left out' }
+    }
+  },
+
+  Attendance: {
+    type: 'object',
+    properties: {
+      totalHeld: { ...COUNT, description: 'Added up from subjects when left out' },
+      totalAttended: { ...COUNT, description: 'Added up from subjects when left out' },
+      percentage: { type: 'number', minimum: 0, maximum: 100, description: 'Worked out from the totals when left out' },
+      subjects: {
+        type: 'object',
+        description: 'Subject name -> attendance',
+        additionalProperties: { $ref: '#/components/schemas/AttendanceSubject' }
+      }
+    }
+  },
+
+  Semester: {
+    type: 'object',
+    description: 'One semester, in order. Needs one of sgpa, gpa or score.',
+    anyOf: [{ required: ['sgpa'] }, { required: ['gpa'] }, { required: ['score'] }],
+    properties: {
+      semester: text(50, { example: 'Sem 3' }),
+      sgpa: grade,
+      gpa: grade,
+      score: grade,
+      credits: { type: 'number', minimum: 0, maximum: 100 }
+    }
+  },
+
+  CalendarMark: {
+    type: 'object',
+    required: ['date'],
+    description: 'A marked date (exam, holiday, event). A score needs a maxScore.',
+    properties: {
+      date: DATE_KEY,
+      categoryName: text(50, { example: 'Midterm Exam' }),
+      title: text(120),
+      subject: text(100),
+      score: { type: 'number', minimum: 0, description: "A past test's result" },
+      maxScore: { type: 'number', exclusiveMinimum: 0 }
+    }
+  },
+
+  ExpenseTransaction: {
+    type: 'object',
+    required: ['amount', 'date'],
+    properties: {
+      amount: { type: 'number', minimum: 0.01, maximum: 10000000 },
+      date: DATE_KEY,
+      category: text(50, { description: "'Other' when left out" }),
+      note: text(200)
+    }
+  },
+
+  Expenses: {
+    type: 'object',
+    description: 'Aggregates, a dated ledger, or both (aggregates left out are worked out from the ledger)',
+    properties: {
+      total: { type: 'number', minimum: 0 },
+      thisMonth: { type: 'number', minimum: 0 },
+      categories: {
+        type: 'object',
+        description: 'Category -> amount',
+        additionalProperties: { type: 'number', minimum: 0 }
+      },
+      transactions: { type: 'array', items: { $ref: '#/components/schemas/ExpenseTransaction' } }
+    }
+  },
+
+  Assignment: {
+    type: 'object',
+    required: ['dueDate'],
+    properties: {
+      title: text(120),
+      subject: text(100),
+      dueDate: DATE_KEY,
+      dueTime: CLOCK_TIME,
+      effortMinutes: { type: 'integer', minimum: 1, maximum: 10000 },
+      priority: { type: 'string', enum: PRIORITIES, default: 'medium' },
+      status: { type: 'string', enum: STATUSES, default: 'todo' },
+      count: { ...COUNT, maximum: 50, default: 1, description: 'How many assignments the record stands for' }
+    }
+  },
+
+  Assignments: {
+    oneOf: [
+      {
+        type: 'object',
+        description: 'Due date -> number of assignments due',
+        propertyNames: { format: 'date' },
+        additionalProperties: { ...COUNT, maximum: 50 }
+      },
+      { type: 'array', items: { $ref: '#/components/schemas/Assignment' } }
+    ]
+  },
+
+  ChatRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: 500 },
+      user: { type: 'object', properties: { firstName: text(50) } },
+      conversationId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,128}$' },
+      preview: {
+        type: 'boolean',
+        description: 'Answer from the student data in this body instead of the saved data'
+      },
+      locale: { type: 'string', description: `Language tag for one of: ${SUPPORTED_LANGUAGES.join(', ')}` },
+      currency: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 code' },
+      timeZone: { type: ['string', 'null'], example: 'Asia/Kolkata' },
+      todayIndex: { type: 'integer', minimum: 0, maximum: 6, description: "The device's weekday, Monday = 0" },
+      timetable: { $ref: '#/components/schemas/Timetable' },
+      attendance: { $ref: '#/components/schemas/Attendance' },
+      cgpa: { type: 'array', items: { $ref: '#/components/schemas/Semester' } },
+      calendarMarks: { type: 'array', items: { $ref: '#/components/schemas/CalendarMark' } },
+      expenses: { $ref: '#/components/schemas/Expenses' },
+      assignments: { $ref: '#/components/schemas/Assignments' }
+    }
+  },
+
+  Suggestion: {
+    type: 'object',
+    description: 'A quick-reply chip; tapping it sends `message`',
+    properties: {
+      id: { type: 'string' },
+      label: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+
+  Block: {
+    type: 'object',
+    required: ['type'],
+    description: 'Typed reply data; each type\'s fields are listed in intents/blocks.js',
+    properties: {
+      type: {
+        type: 'string',
+        enum: [
+          'stat', 'attendance_table', 'attendance_forecast', 'semester_list', 'cgpa_target',
+          'deadline_list', 'countdown', 'event_list', 'class_list', 'free_slots',
+          'week_overview', 'session_list', 'spending'
+        ]
+      }
+    },
+    additionalProperties: true
+  },
+
+  ChatReply: {
+    type: 'object',
+    properties: {
+      intent: { type: 'string', example: 'ATTENDANCE_INSIGHTS' },
+      reply: { type: 'string' },
+      blocks: { type: 'array', items: { $ref: '#/components/schemas/Block' } },
+      suggestions: { type: 'array', items: { $ref: '#/components/schemas/Suggestion' } },
+      metadata: { type: 'object', additionalProperties: true },
+      conversationId: { type: 'string' },
+      messageId: { type: 'string' }
+    }
+  },
+
+  ValidationError: {
+    type: 'object',
+    properties: {
+      intent: { type: 'string', const: 'VALIDATION_ERROR' },
+      reply: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', example: 'cgpa[1].sgpa', description: 'The exact field' },
+            msg: { type: 'string', example: `SGPA must be between 0-${GRADE_SCALE_MAX}` }
+          }
+        }
+      }
+    }
+  }
+};
+
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Campus Assistant API',
+    version: '1.0.0',
+    description: 'Chat with the student campus assistant'
+  },
+  security: [{ firebase: [] }],
+  paths: {
+    '/chat': {
+      post: {
+        summary: 'Ask the assistant',
+        description: 'Replies from the saved student data, or from the data in the body when `preview` is true. ' +
+          'Send `Accept: text/event-stream` to get the reply as Server-Sent Events.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ChatRequest' } } }
+        },
+        responses: {
+          200: {
+            description: 'The reply',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ChatReply' } } }
+          },
+          400: {
+            description: 'A field is invalid; each error names its path',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+          },
+          401: { description: 'Missing, invalid or expired Firebase ID token' },
+          404: { description: 'conversationId is not one of this student\'s conversations' },
+          429: { description: 'Too many messages' }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      firebase: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' }
+    },
+    schemas
+  }
+};
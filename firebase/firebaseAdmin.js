@@ -1,13 +1,31 @@
 import admin from 'firebase-admin';
 import fs from 'fs';
+import dotenv from 'dotenv';
 
-const serviceAccount = JSON.parse(
-  fs.readFileSync('./firebase-service-account.json', 'utf8')
+dotenv.config();
+
+// When the Firebase emulators are configured the Admin SDK talks to them
+// directly (it reads FIREBASE_AUTH_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST
+// itself), so no service account is needed — only a project id.
+export const usingEmulator = Boolean(
+  process.env.FIREBASE_AUTH_EMULATOR_HOST || process.env.FIRESTORE_EMULATOR_HOST
 );
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
+if (usingEmulator) {
+  admin.initializeApp({
+    projectId: process.env.FIREBASE_PROJECT_ID || 'demo-campus-app',
+  });
+  console.log('[Firebase] Using local emulators');
+} else {
+  const serviceAccount = JSON.parse(
+    fs.readFileSync('./firebase-service-account.json', 'utf8')
+  );
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+}
 
 export const db = admin.firestore();
-export const auth = admin.auth();
\ No newline at end of file
+export const auth = admin.auth();
+export const messaging = admin.messaging();
@@ -0,0 +1,406 @@
+// i18n/en.js
+// English reply templates - the reference catalogue every key must exist in
+
+export default {
+  common: {
+    addressed: '{name}, {text}',
+    andMore: '…and {count} more.',
+    today: 'today',
+    inDays: { one: 'in {count} day', other: 'in {count} days' },
+    dayCount: { one: '{count} day', other: '{count} days' },
+    classCount: { one: '{count} class', other: '{count} classes' },
+    assignmentCount: { one: '{count} assignment', other: '{count} assignments' }
+  },
+
+  // Labels for dates found in a message; they read inside a sentence
+  // ("Nothing due {when}")
+  dates: {
+    between: 'between {start} and {end}',
+    before: 'before {date}',
+    by: 'by {date}',
+    until: 'until {date}',
+    till: 'till {date}',
+    upTo: 'up to {date}',
+    after: 'after {date}',
+    nextDays: { one: 'in the next {count} day', other: 'in the next {count} days' },
+    nextWeeks: { one: 'in the next {count} week', other: 'in the next {count} weeks' },
+    lastDays: { one: 'in the last {count} day', other: 'in the last {count} days' },
+    lastWeeks: { one: 'in the last {count} week', other: 'in the last {count} weeks' },
+    on: 'on {date}',
+    onWeekday: 'on {weekday} ({date})',
+    nextWeekday: 'next {weekday} ({date})',
+    dayAfterTomorrow: 'the day after tomorrow',
+    tomorrow: 'tomorrow',
+    today: 'today',
+    yesterday: 'yesterday',
+    lastWeek: 'last week',
+    lastWeekend: 'last weekend',
+    lastMonth: 'last month',
+    nextWeek: 'next week',
+    thisWeekend: 'this weekend',
+    thisWeek: 'this week',
+    nextMonth: 'next month',
+    thisMonth: 'this month'
+  },
+
+  chat: {
+    invalidRequest: 'I received some invalid information. Please check your request format.',
+    invalidMessage: 'Invalid message format.',
+    conversationNotFound: "I couldn't find that conversation. Let's start a new one.",
+    error: 'Something went wrong. Could you try that again?',
+    notEnoughData: "I'd love to help with that, but I don't have enough data about you yet. Try adding some attendance, grades, or assignments first."
+  },
+
+  greeting: {
+    morning: 'Good morning',
+    afternoon: 'Good afternoon',
+    evening: 'Good evening',
+    withName: '{greeting}, {name}.',
+    alone: '{greeting}.',
+    classesToday: { one: 'You have {count} class today.', other: 'You have {count} classes today.' },
+    freeToday: "You're free today — no classes scheduled.",
+    pending: { one: '{count} pending assignment.', other: '{count} pending assignments.' },
+    attendance: 'Attendance at {percent}%.',
+    spent: 'Spent {amount} this month.',
+    anythingElse: 'Let me know if you need anything specific.'
+  },
+
+  gratitude: {
+    reply: 'Happy to help. Let me know if you need anything else.'
+  },
+
+  guidance: {
+    reply: "I can help you check your schedule, assignments, attendance, expenses, or calendar. Just ask — like 'how busy is my week' or 'when's my next exam'."
+  },
+
+  name: {
+    reply: 'Your name is {name}. How can I help you today?'
+  },
+
+  timetable: {
+    unnamedClass: 'class',
+    busiest: { one: 'Your busiest day is {day} with {count} class.', other: 'Your busiest day is {day} with {count} classes.' },
+    noClassesThisWeek: 'No classes scheduled this week.',
+    evenlySpread: 'Your schedule is pretty evenly spread out.',
+    freeWeek: "No classes scheduled this week — you're completely free.",
+    weekSummary: { one: 'You have {count} class across {days} days this week.', other: 'You have {count} classes across {days} days this week.' },
+    fullWeek: "That's quite a full week — make sure to pace yourself.",
+    moderateWeek: 'A moderate week — manageable with good planning.',
+    lightWeek: 'A lighter week — good time to get ahead on other work.',
+    noClassesTomorrow: "No classes tomorrow — you're free.",
+    tomorrow: { one: 'Tomorrow you have {count} class: {classes}.', other: 'Tomorrow you have {count} classes: {classes}.' },
+    noClassesToday: 'No classes today. A good day to catch up on work.',
+    today: { one: "Today's schedule: {count} class — {classes}.", other: "Today's schedule: {count} classes — {classes}." },
+    noClassesOn: "No classes {when} — you're free.",
+    onDay: { one: '{when}: {count} class — {classes}.', other: '{when}: {count} classes — {classes}.' },
+    rangeDay: '{date}: {classes}',
+    noClasses: 'no classes',
+    range: '{when}: {days}.',
+    everyDay: 'You have classes every day this week — no full free days.',
+    freeOn: "You're free on: {days}.",
+    completelyFreeWeek: 'No classes scheduled this week — a completely free week.',
+    weekIntro: "Here's your week:",
+    weekDay: { one: '{day}: {count} class', other: '{day}: {count} classes' },
+    todayMarker: '{day} (today)',
+    noClassesTodayAsk: 'No classes today. Want to know about tomorrow or the rest of the week?',
+    fallback: { one: 'Today: {count} class — {classes}.', other: 'Today: {count} classes — {classes}.' },
+    clash: '⚠️ {first} and {second} overlap from {start} to {end}.',
+    shortGap: '⚠️ Only {gap} to get from {first} to {second} — they are in different rooms.'
+  },
+  classTime: {
+    room: ' ({room})',
+    noTimes: "Your classes {when} don't have times, so I can't work that out. Add times like 09:00-10:00 to your timetable.",
+    inClass: "You're in {name}{room} right now — it ends at {end}, {left} to go.",
+    notInClass: "You're not in class right now.",
+    next: 'Your next class is {name}{room} at {start}, in {wait}.',
+    firstOn: 'Your first class {when} is {name}{room} at {start}.',
+    noMoreToday: 'No more classes today.',
+    nextTomorrow: 'The next one is {name}{room} tomorrow at {start}.',
+    nextOn: 'The next one is {name}{room} on {day} at {start}.',
+    freeSlots: "You're free {when}: {slots}.",
+    slot: '{start}–{end} ({length})',
+    freeAfter: "After {end} you're done for the day.",
+    onlyClass: 'Just {name}{room} {when}, {start}–{end}.',
+    backToBack: 'No breaks {when} — classes run back to back from {start} to {end}.',
+    doneForToday: "Your classes are over for today — you've been free since {end}.",
+    finish: 'You finish {when} at {end}, after {name}.',
+    finishIn: "That's {wait} from now.",
+    finished: 'You finished today at {end}.'
+  },
+
+
+  attendance: {
+    noRecords: 'No attendance records yet. Once classes start, I can help you track it.',
+    noSubjectBreakdown: 'No subject-wise attendance data available.',
+    breakdownIntro: "Here's your attendance by subject:",
+    subjectLine: '{indicator}{subject}: {percent}% ({attended}/{held})',
+    overallLine: '\nOverall: {percent}% ({attended}/{held})',
+    noSubjectData: 'No subject-wise data available.',
+    lowestBelow: {
+      one: 'Your lowest attendance is in {subject} at {percent}% ({attended}/{held}). You need to attend {count} more class in a row to reach {threshold}%.',
+      other: 'Your lowest attendance is in {subject} at {percent}% ({attended}/{held}). You need to attend {count} more classes in a row to reach {threshold}%.'
+    },
+    lowestAbove: 'Your lowest attendance is in {subject} at {percent}%, which is still above {threshold}%.',
+    allAbove: 'All your subjects are above {threshold}% attendance.',
+    overall: 'Your attendance is at {percent}% ({attended} out of {held} classes).',
+    belowThreshold: 'This is below the {threshold}% threshold — something to be mindful of.',
+    needInARow: {
+      one: "You'd need to attend {count} more class in a row to reach {threshold}%.",
+      other: "You'd need to attend {count} more classes in a row to reach {threshold}%."
+    },
+    askBreakdown: 'Want to see the breakdown by subject? Just ask.',
+    acceptable: "It's acceptable, though there's room to improve.",
+    good: "You're maintaining good attendance — that's solid.",
+
+    // What-if simulator
+    nothingToSkip: "You have no classes {when}, so there's nothing to skip — your attendance stays at {percent}%.",
+    skippingMeans: 'Skipping {when} means missing {classes}.',
+    dropsBelow: ' ⚠️ drops below {threshold}%',
+    alreadyBelow: ' ⚠️ already below {threshold}%',
+    skipLine: '• {subject}: {before}% → {after}% ({classes}){note}',
+    noRecordsFor: '(No attendance records for {subjects}.)',
+    overallChange: 'Overall: {before}% → {after}%.',
+    betterAttend: 'Better to attend — {subjects} would be under {threshold}%.',
+    yourOverall: 'your overall figure',
+    canAfford: 'You can afford it — everything stays at or above {threshold}%.',
+    subjectAfterSkip: '{subject} would go from {before}% to {after}% if you skip {classes}.{warning}',
+    belowWarning: ' ⚠️ below {threshold}%',
+    overallAfterSkip: 'Skipping {classes} would take your overall attendance from {before}% to {after}%.{warning}',
+    overallBelow: " That's below {threshold}%.",
+    overallStill: ' Still at or above {threshold}%.',
+    canMissSubject: {
+      one: 'You can miss {count} more {subject} class and stay at or above {threshold}% (now {percent}%).',
+      other: 'You can miss {count} more {subject} classes and stay at or above {threshold}% (now {percent}%).'
+    },
+    cannotMissSubject: "You can't miss any {subject} classes right now — you're at {percent}% and need {needed} more in a row to reach {threshold}%.",
+    atThresholdSubject: "{subject} is at {percent}%, right at the {threshold}% line — missing one more class drops you below it.",
+    canMissOverall: {
+      one: 'Overall you can miss {count} more class and stay at or above {threshold}%.',
+      other: 'Overall you can miss {count} more classes and stay at or above {threshold}%.'
+    },
+    cannotMissOverall: "You can't miss any classes overall right now — you need {needed} more in a row to reach {threshold}%.",
+    atThresholdOverall: "Overall you're right at the {threshold}% line — missing one more class drops you below it.",
+    bySubject: 'By subject:',
+    skippableLine: '{indicator} {subject}: {count}',
+    none: 'none'
+  },
+
+  academic: {
+    noRecords: 'No academic records yet. Add your semester grades and I can track your progress.',
+    weighted: '{cgpa} (credit-weighted over {credits} credits)',
+    semester: 'Semester {number}',
+    listIntro: { one: 'You have {count} semester of data:', other: 'You have {count} semesters of data:' },
+    credits: ' ({credits} credits)',
+    listLine: '  {index}. {semester}: {sgpa}{credits}',
+    overallCgpa: '\nOverall CGPA: {cgpa}',
+    currentSgpaOnly: 'Your current SGPA is {sgpa}. Add more semesters to see trends.',
+    strongImprovement: '📈 strong improvement',
+    slightImprovement: '📈 slight improvement',
+    significantDrop: '📉 significant drop',
+    slightDecline: '📉 slight decline',
+    stable: '➡️ stable',
+    trendSummary: 'Over {count} semesters, your grades have shown {trend}.',
+    trendChange: 'Started at {first} → now at {latest} ({change}).',
+    progression: 'Semester progression: {progression}',
+    sgpaFor: 'Your SGPA for {semester} is {sgpa}.',
+    latestSgpa: 'Your latest SGPA ({semester}) is {sgpa}.',
+    overallAcross: 'Your overall CGPA across {count} semesters is {cgpa}.',
+    askMore: 'Want to see all semesters or grade trends? Just ask.',
+
+    // Target planner
+    nextSemester: 'next semester',
+    eachOfNext: 'in each of the next {count} semesters',
+    finished: "You've completed all {total} semesters, so your CGPA is final at {cgpa} — {verdict}",
+    finishedReached: "that's at or above {target}.",
+    finishedMissed: '{target} is out of reach.',
+    secured: 'Your CGPA is {cgpa}, so {target} is already locked in — any passing SGPA {span} keeps you there.',
+    unreachable: "Honestly, {target} isn't reachable {by} — it would take an SGPA of {required}, above the {max} maximum.",
+    byNextSemester: 'by next semester',
+    byGraduation: 'by graduation',
+    bestPossible: "With perfect {max}s {span} you'd finish at {best}.",
+    currentCgpa: 'Your CGPA right now is {cgpa}.',
+    stretch: "That's higher than any semester so far, so it's a stretch — but doable.",
+    withinReach: "You've hit that before, so it's well within reach.",
+    required: 'To reach a CGPA of {target} you need an SGPA of at least {required} {span}.'
+  },
+
+  expenses: {
+    noRecords: "I don't have any expense records yet. Start tracking your spending and I can help you manage your budget.",
+    noMonthRecords: "I don't have any expense records for this month yet.",
+    nothingLastMonthToDate: "By this point last month you hadn't spent anything yet ({amount} over the whole month).",
+    aboutSame: "That's about the same as by this point last month ({amount}).",
+    moreThanLastMonth: "That's {amount} more than by this point last month ({change}).",
+    lessThanLastMonth: "That's {amount} less than by this point last month ({change}).",
+    projection: "At this rate (about {daily} a day) you'll spend around {projected} by the end of the month.",
+    categoryUp: '{category} is up {change}%',
+    categoryDown: '{category} is down {change}%',
+    categoryNew: '{category} is new this month ({amount})',
+    comparedSoFar: 'Compared with last month so far: {changes}.',
+    totalOn: {
+      one: "You've spent {amount} on {category} in total, across {count} transaction.",
+      other: "You've spent {amount} on {category} in total, across {count} transactions."
+    },
+    nothingIn: "You didn't spend anything {when}.",
+    nothingOnIn: "You didn't spend anything on {category} {when}.",
+    spentIn: {
+      one: 'You spent {amount} {when} ({count} transaction).',
+      other: 'You spent {amount} {when} ({count} transactions).'
+    },
+    spentOnIn: {
+      one: 'You spent {amount} on {category} {when} ({count} transaction).',
+      other: 'You spent {amount} on {category} {when} ({count} transactions).'
+    },
+    mostly: 'Mostly {categories}.',
+    categoryAmount: '{category} ({amount})',
+    highMonth: "You've spent {amount} this month, which is on the higher side.",
+    reviewSpending: "Might be worth reviewing where the money's going — especially discretionary spending.",
+    moderateMonth: "So far this month, you've spent {amount}.",
+    moderateNote: "That's within a moderate range — nothing alarming.",
+    lowMonth: 'Your spending this month is at {amount}.',
+    lowNote: "Looks like you're keeping things under control.",
+    overview: "Overall, you've spent {total} across all time, with {thisMonth} so far this month.",
+    elevated: "This month's spending is a bit elevated — worth keeping an eye on.",
+    reasonable: 'Monthly spending is within a reasonable range.',
+    comfortable: "You're spending at a comfortable pace right now.",
+    mainAreas: 'Your main spending areas:',
+    areaLine: '• {category}: {amount} ({percent}% of total)'
+  },
+
+  assignments: {
+    noPending: 'No pending assignments at the moment.',
+    nothingDue: 'Nothing due {when}.',
+    dueIn: { one: '{count} assignment due {when}:', other: '{count} assignments due {when}:' },
+    dueLine: '• {date}: {assignments} ({when})',
+    nothingThisWeek: 'Nothing due this week — a good time to get ahead.',
+    weekIntro: "Here's what's due this week:",
+    next: 'Your next deadline is {date} — {assignments} due {when}.',
+    listIntro: { one: 'You have {count} pending assignment:', other: 'You have {count} pending assignments:' },
+    item: '• {name} — {details}',
+    withSubject: '{title} ({subject})',
+    dueOn: 'due {date}',
+    dueAt: 'due {date} at {time}',
+    effort: '~{duration}',
+    highPriority: 'high priority'
+  },
+
+  studyPlan: {
+    forDays: { one: 'for today', other: 'for the next {count} days' },
+    intro: {
+      one: "Here's a study plan {when}: {count} session, {total} in all.",
+      other: "Here's a study plan {when}: {count} sessions, {total} in all."
+    },
+    dayLine: '📅 {date}',
+    sessionLine: '  • {start}–{end}: {name}',
+    noTime: "I couldn't find free time to study {when} — your days are full.",
+    atRisk: '⚠️ {name} (due {date}) needs {short} more than your free time allows before then.',
+    overdue: '⚠️ {name} was due {date} and is still open.',
+    later: '{name} (due {date}) will still need about {remaining} after this.'
+  },
+
+  revision: {
+    noExams: 'No upcoming exams in your calendar, so there is nothing to revise for yet.',
+    intro: {
+      one: "Here's your revision plan for {count} exam, up to {date}: {total} in all.",
+      other: "Here's your revision plan for {count} exams, up to {date}: {total} in all."
+    },
+    withSubject: '{title} ({subject})',
+    examLine: '• {name} — {date} ({when}): {total}',
+    examLineWeak: '• {name} — {date} ({when}): {total}, extra for a weaker subject',
+    noTime: "I couldn't find free time to revise before your exams — your days are full.",
+    atRisk: '⚠️ Your free time before {name} ({date}) leaves its revision {short} short.',
+    later: '{name} ({date}) is further off — about {remaining} more revision after this.',
+    moreDays: {
+      one: '…and {count} more day in the full schedule.',
+      other: '…and {count} more days in the full schedule.'
+    }
+  },
+
+  calendar: {
+    clear: 'Your calendar is clear — no dates marked yet.',
+    noMarked: 'No marked dates {when}.',
+    noHolidaysIn: 'No holidays {when}.',
+    noExamsIn: 'No exams {when}.',
+    markedIn: { one: '{count} marked date {when}:', other: '{count} marked dates {when}:' },
+    holidaysIn: { one: '{count} holiday {when}:', other: '{count} holidays {when}:' },
+    examsIn: { one: '{count} exam {when}:', other: '{count} exams {when}:' },
+    rangeLine: '• {date} — {category} ({when})',
+    noHolidays: 'No upcoming holidays scheduled.',
+    nextHoliday: {
+      one: 'Your next holiday is on {date} — {count} day to go.',
+      other: 'Your next holiday is on {date} — {count} days to go.'
+    },
+    noExams: 'No upcoming exams in your calendar.',
+    nextExam: {
+      one: 'Your next exam is on {date} — {count} day left.',
+      other: 'Your next exam is on {date} — {count} days left.'
+    },
+    noUpcoming: 'No upcoming dates in your calendar.',
+    nextMarked: 'Your next marked date is {date} ({category}) — {when}.',
+    upcomingIntro: { one: 'You have {count} upcoming date:', other: 'You have {count} upcoming dates:' },
+    upcomingLine: '  {index}. {date} — {category} ({when})'
+  },
+
+  ics: {
+    calendarName: 'Campus schedule',
+    assignmentDue: 'Due: {name}',
+    assignmentsDue: { one: '{count} assignment due', other: '{count} assignments due' }
+  },
+
+  briefing: {
+    title: 'Your day — {date}',
+    deadline: '⏰ {assignments} due {when}.',
+    exam: '📝 {exam} on {date} ({when}).',
+    attendance: {
+      one: '📉 {subject} is at {percent}% — attend the next {count} class to get back to {threshold}%.',
+      other: '📉 {subject} is at {percent}% — attend the next {count} classes to get back to {threshold}%.'
+    }
+  },
+
+  blocks: {
+    attendance: 'Attendance',
+    attendanceBySubject: 'Attendance by subject',
+    ifYouSkip: 'If you skip',
+    semesters: 'Semesters',
+    cgpaTarget: 'CGPA target',
+    latestSgpa: 'Latest SGPA',
+    cgpa: 'CGPA',
+    deadlines: 'Deadlines',
+    dates: 'Marked dates',
+    classesOn: 'Classes on {day}',
+    freeTime: 'Free time',
+    week: 'Your week',
+    studyPlan: 'Study plan',
+    revisionPlan: 'Revision plan',
+    spending: 'Spending by category',
+    spendingIn: 'Spending {when}',
+    spentThisMonth: 'Spent this month',
+    projectedMonthEnd: 'By month end at this rate'
+  },
+
+  suggestions: {
+    attendance: 'My attendance',
+    attendanceBySubject: 'See breakdown by subject',
+    lowestAttendance: 'Lowest subject',
+    canSkip: 'Classes I can skip',
+    latestGrades: 'Latest SGPA',
+    allSemesters: 'All semesters',
+    gradeTrend: 'Grade trend',
+    todaysClasses: "Today's classes",
+    tomorrowsClasses: "Tomorrow's classes",
+    nextClass: 'Next class',
+    freeTime: 'Free time today',
+    busyWeek: 'How busy is my week',
+    allAssignments: 'All assignments',
+    nextDeadline: 'Next deadline',
+    dueThisWeek: 'Due this week',
+    planWeek: 'Plan my week',
+    revisionPlan: 'Revision plan',
+    nextExam: 'Next exam',
+    nextHoliday: 'Next holiday',
+    calendar: 'My calendar',
+    spendingThisMonth: 'Spending this month',
+    spendingBreakdown: 'Spending by category',
+    compareLastMonth: 'Compare with last month',
+    monthEndForecast: 'Month-end forecast'
+  }
+};
@@ -0,0 +1,402 @@
+// i18n/hi.js
+// Hindi reply templates (missing keys fall back to en.js)
+
+export default {
+  common: {
+    addressed: '{name}, {text}',
+    andMore: '…और {count} बाकी।',
+    today: 'आज',
+    inDays: { one: '{count} दिन में', other: '{count} दिनों में' },
+    dayCount: { one: '{count} दिन', other: '{count} दिन' },
+    classCount: { one: '{count} क्लास', other: '{count} क्लासें' },
+    assignmentCount: { one: '{count} असाइनमेंट', other: '{count} असाइनमेंट' }
+  },
+
+  dates: {
+    between: '{start} और {end} के बीच',
+    before: '{date} से पहले',
+    by: '{date} तक',
+    until: '{date} तक',
+    till: '{date} तक',
+    upTo: '{date} तक',
+    after: '{date} के बाद',
+    nextDays: { one: 'अगले {count} दिन में', other: 'अगले {count} दिनों में' },
+    nextWeeks: { one: 'अगले {count} हफ़्ते में', other: 'अगले {count} हफ़्तों में' },
+    lastDays: { one: 'पिछले {count} दिन में', other: 'पिछले {count} दिनों में' },
+    lastWeeks: { one: 'पिछले {count} हफ़्ते में', other: 'पिछले {count} हफ़्तों में' },
+    on: '{date} को',
+    onWeekday: '{weekday} ({date}) को',
+    nextWeekday: 'अगले {weekday} ({date}) को',
+    dayAfterTomorrow: 'परसों',
+    tomorrow: 'कल',
+    today: 'आज',
+    yesterday: 'बीते कल',
+    lastWeek: 'पिछले हफ़्ते',
+    lastWeekend: 'पिछले वीकेंड',
+    lastMonth: 'पिछले महीने',
+    nextWeek: 'अगले हफ़्ते',
+    thisWeekend: 'इस वीकेंड',
+    thisWeek: 'इस हफ़्ते',
+    nextMonth: 'अगले महीने',
+    thisMonth: 'इस महीने'
+  },
+
+  chat: {
+    invalidRequest: 'मुझे कुछ गलत जानकारी मिली। कृपया अपने अनुरोध का फ़ॉर्मैट जाँचें।',
+    invalidMessage: 'संदेश का फ़ॉर्मैट सही नहीं है।',
+    conversationNotFound: 'मुझे वह बातचीत नहीं मिली। चलिए नई शुरू करते हैं।',
+    error: 'कुछ गड़बड़ हो गई। क्या आप फिर से कोशिश करेंगे?',
+    notEnoughData: 'मैं ज़रूर मदद करना चाहूँगा, पर अभी मेरे पास आपके बारे में पर्याप्त जानकारी नहीं है। पहले कुछ उपस्थिति, ग्रेड या असाइनमेंट जोड़ें।'
+  },
+
+  greeting: {
+    morning: 'सुप्रभात',
+    afternoon: 'नमस्ते',
+    evening: 'शुभ संध्या',
+    withName: '{greeting}, {name}।',
+    alone: '{greeting}।',
+    classesToday: { one: 'आज आपकी {count} क्लास है।', other: 'आज आपकी {count} क्लासें हैं।' },
+    freeToday: 'आज आप फ़्री हैं — कोई क्लास नहीं है।',
+    pending: { one: '{count} असाइनमेंट बाकी है।', other: '{count} असाइनमेंट बाकी हैं।' },
+    attendance: 'उपस्थिति {percent}% है।',
+    spent: 'इस महीने {amount} खर्च हुए।',
+    anythingElse: 'कुछ खास चाहिए तो बताइए।'
+  },
+
+  gratitude: {
+    reply: 'मदद करके खुशी हुई। और कुछ चाहिए तो बताइए।'
+  },
+
+  guidance: {
+    reply: "मैं आपका शेड्यूल, असाइनमेंट, उपस्थिति, खर्च या कैलेंडर देखने में मदद कर सकता हूँ। बस पूछिए — जैसे 'how busy is my week' या 'when's my next exam'।"
+  },
+
+  name: {
+    reply: 'आपका नाम {name} है। आज मैं आपकी क्या मदद करूँ?'
+  },
+
+  timetable: {
+    unnamedClass: 'क्लास',
+    busiest: { one: 'आपका सबसे व्यस्त दिन {day} है, {count} क्लास के साथ।', other: 'आपका सबसे व्यस्त दिन {day} है, {count} क्लासों के साथ।' },
+    noClassesThisWeek: 'इस हफ़्ते कोई क्लास नहीं है।',
+    evenlySpread: 'आपका शेड्यूल काफ़ी बराबर बँटा हुआ है।',
+    freeWeek: 'इस हफ़्ते कोई क्लास नहीं है — आप पूरी तरह फ़्री हैं।',
+    weekSummary: { one: 'इस हफ़्ते {days} दिनों में आपकी {count} क्लास है।', other: 'इस हफ़्ते {days} दिनों में आपकी {count} क्लासें हैं।' },
+    fullWeek: 'यह काफ़ी भरा हुआ हफ़्ता है — अपनी रफ़्तार का ध्यान रखें।',
+    moderateWeek: 'सामान्य हफ़्ता — अच्छी प्लानिंग से संभल जाएगा।',
+    lightWeek: 'हल्का हफ़्ता — बाकी काम में आगे निकलने का अच्छा समय।',
+    noClassesTomorrow: 'कल कोई क्लास नहीं — आप फ़्री हैं।',
+    tomorrow: { one: 'कल आपकी {count} क्लास है: {classes}।', other: 'कल आपकी {count} क्लासें हैं: {classes}।' },
+    noClassesToday: 'आज कोई क्लास नहीं। बाकी काम पूरा करने का अच्छा दिन है।',
+    today: { one: 'आज का शेड्यूल: {count} क्लास — {classes}।', other: 'आज का शेड्यूल: {count} क्लासें — {classes}।' },
+    noClassesOn: '{when} कोई क्लास नहीं — आप फ़्री हैं।',
+    onDay: { one: '{when}: {count} क्लास — {classes}।', other: '{when}: {count} क्लासें — {classes}।' },
+    rangeDay: '{date}: {classes}',
+    noClasses: 'कोई क्लास नहीं',
+    range: '{when}: {days}।',
+    everyDay: 'इस हफ़्ते हर दिन क्लास है — कोई पूरा दिन फ़्री नहीं।',
+    freeOn: 'आप इन दिनों फ़्री हैं: {days}।',
+    completelyFreeWeek: 'इस हफ़्ते कोई क्लास नहीं — पूरा हफ़्ता फ़्री।',
+    weekIntro: 'आपका हफ़्ता:',
+    weekDay: { one: '{day}: {count} क्लास', other: '{day}: {count} क्लासें' },
+    todayMarker: '{day} (आज)',
+    noClassesTodayAsk: 'आज कोई क्लास नहीं। कल या बाकी हफ़्ते के बारे में जानना चाहेंगे?',
+    fallback: { one: 'आज: {count} क्लास — {classes}।', other: 'आज: {count} क्लासें — {classes}।' },
+    clash: '⚠️ {first} और {second} का समय {start} से {end} तक टकरा रहा है।',
+    shortGap: '⚠️ {first} से {second} तक जाने के लिए सिर्फ़ {gap} हैं — दोनों अलग कमरों में हैं।'
+  },
+  classTime: {
+    room: ' ({room})',
+    noTimes: '{when} की क्लासों का समय नहीं दिया गया है, इसलिए यह बताना मुमकिन नहीं। अपने टाइमटेबल में 09:00-10:00 जैसे समय जोड़ें।',
+    inClass: 'अभी आपकी {name}{room} क्लास चल रही है — {end} पर ख़त्म होगी, {left} बाकी।',
+    notInClass: 'अभी आपकी कोई क्लास नहीं चल रही।',
+    next: 'आपकी अगली क्लास {name}{room} है, {start} पर — {wait} में।',
+    firstOn: '{when} आपकी पहली क्लास {name}{room} है, {start} पर।',
+    noMoreToday: 'आज और कोई क्लास नहीं।',
+    nextTomorrow: 'अगली क्लास कल {start} पर {name}{room} है।',
+    nextOn: 'अगली क्लास {day} को {start} पर {name}{room} है।',
+    freeSlots: '{when} आप इस समय फ़्री हैं: {slots}।',
+    slot: '{start}–{end} ({length})',
+    freeAfter: '{end} के बाद आपका दिन ख़त्म।',
+    onlyClass: '{when} सिर्फ़ {name}{room} है, {start}–{end}।',
+    backToBack: '{when} कोई ब्रेक नहीं — {start} से {end} तक लगातार क्लासें हैं।',
+    doneForToday: 'आज की क्लासें ख़त्म हो गईं — आप {end} से फ़्री हैं।',
+    finish: '{when} आपकी क्लासें {end} पर ख़त्म होंगी, {name} के बाद।',
+    finishIn: 'यानी अब से {wait} बाद।',
+    finished: 'आज आपकी क्लासें {end} पर ख़त्म हो गईं।'
+  },
+
+
+  attendance: {
+    noRecords: 'अभी उपस्थिति का कोई रिकॉर्ड नहीं है। क्लासें शुरू होने पर मैं इसे ट्रैक करने में मदद कर सकता हूँ।',
+    noSubjectBreakdown: 'विषयवार उपस्थिति का डेटा उपलब्ध नहीं है।',
+    breakdownIntro: 'विषयवार आपकी उपस्थिति:',
+    subjectLine: '{indicator}{subject}: {percent}% ({attended}/{held})',
+    overallLine: '\nकुल: {percent}% ({attended}/{held})',
+    noSubjectData: 'विषयवार डेटा उपलब्ध नहीं है।',
+    lowestBelow: {
+      one: 'सबसे कम उपस्थिति {subject} में है — {percent}% ({attended}/{held})। {threshold}% तक पहुँचने के लिए आपको लगातार {count} और क्लास अटेंड करनी होगी।',
+      other: 'सबसे कम उपस्थिति {subject} में है — {percent}% ({attended}/{held})। {threshold}% तक पहुँचने के लिए आपको लगातार {count} और क्लासें अटेंड करनी होंगी।'
+    },
+    lowestAbove: 'सबसे कम उपस्थिति {subject} में है — {percent}%, जो अब भी {threshold}% से ऊपर है।',
+    allAbove: 'आपके सभी विषयों में उपस्थिति {threshold}% से ऊपर है।',
+    overall: 'आपकी उपस्थिति {percent}% है ({held} में से {attended} क्लासें)।',
+    belowThreshold: 'यह {threshold}% की सीमा से कम है — इस पर ध्यान देना ज़रूरी है।',
+    needInARow: {
+      one: '{threshold}% तक पहुँचने के लिए आपको लगातार {count} और क्लास अटेंड करनी होगी।',
+      other: '{threshold}% तक पहुँचने के लिए आपको लगातार {count} और क्लासें अटेंड करनी होंगी।'
+    },
+    askBreakdown: 'विषयवार ब्योरा देखना है? बस पूछिए।',
+    acceptable: 'ठीक है, पर सुधार की गुंजाइश है।',
+    good: 'आपकी उपस्थिति अच्छी बनी हुई है — बढ़िया।',
+
+    nothingToSkip: '{when} आपकी कोई क्लास नहीं है, तो छोड़ने को कुछ नहीं — आपकी उपस्थिति {percent}% ही रहेगी।',
+    skippingMeans: '{when} छुट्टी लेने का मतलब है {classes} छोड़ना।',
+    dropsBelow: ' ⚠️ {threshold}% से नीचे चली जाएगी',
+    alreadyBelow: ' ⚠️ पहले से {threshold}% से नीचे',
+    skipLine: '• {subject}: {before}% → {after}% ({classes}){note}',
+    noRecordsFor: '({subjects} का कोई उपस्थिति रिकॉर्ड नहीं है।)',
+    overallChange: 'कुल: {before}% → {after}%।',
+    betterAttend: 'अटेंड करना बेहतर है — {subjects} {threshold}% से नीचे चला जाएगा।',
+    yourOverall: 'आपका कुल प्रतिशत',
+    canAfford: 'आप छोड़ सकते हैं — सब कुछ {threshold}% या उससे ऊपर रहेगा।',
+    subjectAfterSkip: '{classes} छोड़ने पर {subject} {before}% से {after}% हो जाएगा।{warning}',
+    belowWarning: ' ⚠️ {threshold}% से नीचे',
+    overallAfterSkip: '{classes} छोड़ने पर आपकी कुल उपस्थिति {before}% से {after}% हो जाएगी।{warning}',
+    overallBelow: ' यह {threshold}% से कम है।',
+    overallStill: ' फिर भी {threshold}% या उससे ऊपर।',
+    canMissSubject: {
+      one: 'आप {subject} की {count} और क्लास छोड़ सकते हैं और {threshold}% या उससे ऊपर रहेंगे (अभी {percent}%)।',
+      other: 'आप {subject} की {count} और क्लासें छोड़ सकते हैं और {threshold}% या उससे ऊपर रहेंगे (अभी {percent}%)।'
+    },
+    cannotMissSubject: 'अभी आप {subject} की कोई क्लास नहीं छोड़ सकते — आप {percent}% पर हैं और {threshold}% तक पहुँचने के लिए लगातार {needed} और चाहिए।',
+    atThresholdSubject: '{subject} में आप {percent}% पर हैं, ठीक {threshold}% की सीमा पर — एक और क्लास छोड़ने पर आप इससे नीचे चले जाएँगे।',
+    canMissOverall: {
+      one: 'कुल मिलाकर आप {count} और क्लास छोड़ सकते हैं और {threshold}% या उससे ऊपर रहेंगे।',
+      other: 'कुल मिलाकर आप {count} और क्लासें छोड़ सकते हैं और {threshold}% या उससे ऊपर रहेंगे।'
+    },
+    cannotMissOverall: 'अभी आप कोई क्लास नहीं छोड़ सकते — {threshold}% तक पहुँचने के लिए लगातार {needed} और चाहिए।',
+    atThresholdOverall: 'कुल मिलाकर आप ठीक {threshold}% की सीमा पर हैं — एक और क्लास छोड़ने पर आप इससे नीचे चले जाएँगे।',
+    bySubject: 'विषयवार:',
+    skippableLine: '{indicator} {subject}: {count}',
+    none: 'एक भी नहीं'
+  },
+
+  academic: {
+    noRecords: 'अभी कोई अकादमिक रिकॉर्ड नहीं है। अपने सेमेस्टर ग्रेड जोड़ें, मैं आपकी प्रगति ट्रैक कर दूँगा।',
+    weighted: '{cgpa} ({credits} क्रेडिट पर क्रेडिट-भारित)',
+    semester: 'सेमेस्टर {number}',
+    listIntro: { one: 'आपके पास {count} सेमेस्टर का डेटा है:', other: 'आपके पास {count} सेमेस्टर का डेटा है:' },
+    credits: ' ({credits} क्रेडिट)',
+    listLine: '  {index}. {semester}: {sgpa}{credits}',
+    overallCgpa: '\nकुल CGPA: {cgpa}',
+    currentSgpaOnly: 'आपका मौजूदा SGPA {sgpa} है। ट्रेंड देखने के लिए और सेमेस्टर जोड़ें।',
+    strongImprovement: '📈 अच्छा सुधार',
+    slightImprovement: '📈 थोड़ा सुधार',
+    significantDrop: '📉 काफ़ी गिरावट',
+    slightDecline: '📉 थोड़ी गिरावट',
+    stable: '➡️ स्थिरता',
+    trendSummary: '{count} सेमेस्टर में आपके ग्रेड का रुझान: {trend}।',
+    trendChange: '{first} से शुरू → अब {latest} ({change})।',
+    progression: 'सेमेस्टर-दर-सेमेस्टर: {progression}',
+    sgpaFor: '{semester} के लिए आपका SGPA {sgpa} है।',
+    latestSgpa: 'आपका ताज़ा SGPA ({semester}) {sgpa} है।',
+    overallAcross: '{count} सेमेस्टर में आपका कुल CGPA {cgpa} है।',
+    askMore: 'सभी सेमेस्टर या ग्रेड ट्रेंड देखना है? बस पूछिए।',
+
+    nextSemester: 'अगले सेमेस्टर में',
+    eachOfNext: 'अगले {count} सेमेस्टर में से हर एक में',
+    finished: 'आपने सभी {total} सेमेस्टर पूरे कर लिए हैं, इसलिए आपका CGPA {cgpa} पर तय है — {verdict}',
+    finishedReached: 'यह {target} या उससे ऊपर है।',
+    finishedMissed: '{target} अब पहुँच से बाहर है।',
+    secured: 'आपका CGPA {cgpa} है, इसलिए {target} पक्का है — {span} कोई भी पासिंग SGPA आपको वहीं रखेगा।',
+    unreachable: 'सच कहूँ तो {target} {by} संभव नहीं है — इसके लिए {required} SGPA चाहिए, जो {max} की अधिकतम सीमा से ऊपर है।',
+    byNextSemester: 'अगले सेमेस्टर तक',
+    byGraduation: 'ग्रेजुएशन तक',
+    bestPossible: '{span} पूरे {max} लाने पर आप {best} पर खत्म करेंगे।',
+    currentCgpa: 'अभी आपका CGPA {cgpa} है।',
+    stretch: 'यह अब तक के किसी भी सेमेस्टर से ज़्यादा है, तो मुश्किल है — पर मुमकिन है।',
+    withinReach: 'आप पहले यह ला चुके हैं, तो यह पूरी तरह पहुँच में है।',
+    required: '{target} CGPA तक पहुँचने के लिए आपको {span} कम से कम {required} SGPA चाहिए।'
+  },
+
+  expenses: {
+    noRecords: 'अभी मेरे पास खर्च का कोई रिकॉर्ड नहीं है। अपना खर्च ट्रैक करना शुरू करें, मैं बजट संभालने में मदद करूँगा।',
+    noMonthRecords: 'इस महीने का अभी कोई खर्च रिकॉर्ड नहीं है।',
+    nothingLastMonthToDate: 'पिछले महीने इस समय तक आपने कुछ खर्च नहीं किया था (पूरे महीने में {amount})।',
+    aboutSame: 'यह पिछले महीने इस समय तक के खर्च जितना ही है ({amount})।',
+    moreThanLastMonth: 'यह पिछले महीने इस समय तक से {amount} ज़्यादा है ({change})।',
+    lessThanLastMonth: 'यह पिछले महीने इस समय तक से {amount} कम है ({change})।',
+    projection: 'इसी रफ़्तार से (लगभग {daily} रोज़) महीने के अंत तक आप करीब {projected} खर्च करेंगे।',
+    categoryUp: '{category} {change}% बढ़ा है',
+    categoryDown: '{category} {change}% घटा है',
+    categoryNew: '{category} इस महीने नया है ({amount})',
+    comparedSoFar: 'पिछले महीने की तुलना में अब तक: {changes}।',
+    totalOn: {
+      one: 'आपने {category} पर कुल {amount} खर्च किए हैं, {count} लेन-देन में।',
+      other: 'आपने {category} पर कुल {amount} खर्च किए हैं, {count} लेन-देन में।'
+    },
+    nothingIn: '{when} आपने कुछ खर्च नहीं किया।',
+    nothingOnIn: '{when} आपने {category} पर कुछ खर्च नहीं किया।',
+    spentIn: {
+      one: '{when} आपने {amount} खर्च किए ({count} लेन-देन)।',
+      other: '{when} आपने {amount} खर्च किए ({count} लेन-देन)।'
+    },
+    spentOnIn: {
+      one: '{when} आपने {category} पर {amount} खर्च किए ({count} लेन-देन)।',
+      other: '{when} आपने {category} पर {amount} खर्च किए ({count} लेन-देन)।'
+    },
+    mostly: 'ज़्यादातर {categories}।',
+    categoryAmount: '{category} ({amount})',
+    highMonth: 'इस महीने आपने {amount} खर्च किए हैं, जो थोड़ा ज़्यादा है।',
+    reviewSpending: 'देखना अच्छा रहेगा कि पैसा कहाँ जा रहा है — खासकर गैर-ज़रूरी खर्च।',
+    moderateMonth: 'इस महीने अब तक आपने {amount} खर्च किए हैं।',
+    moderateNote: 'यह सामान्य दायरे में है — चिंता की कोई बात नहीं।',
+    lowMonth: 'इस महीने आपका खर्च {amount} है।',
+    lowNote: 'लगता है आप सब कुछ काबू में रख रहे हैं।',
+    overview: 'कुल मिलाकर आपने अब तक {total} खर्च किए हैं, जिनमें से {thisMonth} इस महीने।',
+    elevated: 'इस महीने का खर्च थोड़ा बढ़ा हुआ है — इस पर नज़र रखें।',
+    reasonable: 'महीने का खर्च ठीक-ठाक दायरे में है।',
+    comfortable: 'अभी आप आराम की रफ़्तार से खर्च कर रहे हैं।',
+    mainAreas: 'आपके खर्च के मुख्य क्षेत्र:',
+    areaLine: '• {category}: {amount} (कुल का {percent}%)'
+  },
+
+  assignments: {
+    noPending: 'अभी कोई असाइनमेंट बाकी नहीं है।',
+    nothingDue: '{when} कुछ भी जमा करना नहीं है।',
+    dueIn: { one: '{when} {count} असाइनमेंट जमा करना है:', other: '{when} {count} असाइनमेंट जमा करने हैं:' },
+    dueLine: '• {date}: {assignments} ({when})',
+    nothingThisWeek: 'इस हफ़्ते कुछ जमा नहीं करना — आगे निकलने का अच्छा समय।',
+    weekIntro: 'इस हफ़्ते जमा करने हैं:',
+    next: 'आपकी अगली डेडलाइन {date} है — {assignments}, {when}।',
+    listIntro: { one: 'आपका {count} असाइनमेंट बाकी है:', other: 'आपके {count} असाइनमेंट बाकी हैं:' },
+    item: '• {name} — {details}',
+    withSubject: '{title} ({subject})',
+    dueOn: '{date} तक',
+    dueAt: '{date}, {time} तक',
+    effort: '~{duration}',
+    highPriority: 'ज़्यादा ज़रूरी'
+  },
+
+  studyPlan: {
+    forDays: { one: 'आज के लिए', other: 'अगले {count} दिनों के लिए' },
+    intro: {
+      one: '{when} पढ़ाई का प्लान: {count} सेशन, कुल {total}।',
+      other: '{when} पढ़ाई का प्लान: {count} सेशन, कुल {total}।'
+    },
+    dayLine: '📅 {date}',
+    sessionLine: '  • {start}–{end}: {name}',
+    noTime: '{when} पढ़ाई के लिए खाली समय नहीं मिला — आपके दिन भरे हुए हैं।',
+    atRisk: '⚠️ {name} ({date} तक) के लिए उससे पहले के खाली समय से {short} ज़्यादा चाहिए।',
+    overdue: '⚠️ {name} {date} तक जमा करना था और अभी बाकी है।',
+    later: '{name} ({date} तक) के लिए इसके बाद भी लगभग {remaining} चाहिए होंगे।'
+  },
+
+  revision: {
+    noExams: 'आपके कैलेंडर में कोई आने वाली परीक्षा नहीं है, इसलिए अभी रिवीज़न की ज़रूरत नहीं।',
+    intro: {
+      one: '{count} परीक्षा के लिए {date} तक रिवीज़न का प्लान: कुल {total}।',
+      other: '{count} परीक्षाओं के लिए {date} तक रिवीज़न का प्लान: कुल {total}।'
+    },
+    withSubject: '{title} ({subject})',
+    examLine: '• {name} — {date} ({when}): {total}',
+    examLineWeak: '• {name} — {date} ({when}): {total}, कमज़ोर विषय होने से ज़्यादा समय',
+    noTime: 'परीक्षाओं से पहले रिवीज़न के लिए खाली समय नहीं मिला — आपके दिन भरे हुए हैं।',
+    atRisk: '⚠️ {name} ({date}) से पहले के खाली समय में रिवीज़न {short} कम पड़ता है।',
+    later: '{name} ({date}) अभी दूर है — इसके बाद भी लगभग {remaining} रिवीज़न बाकी रहेगा।',
+    moreDays: {
+      one: '…और पूरे प्लान में {count} दिन और।',
+      other: '…और पूरे प्लान में {count} दिन और।'
+    }
+  },
+
+  calendar: {
+    clear: 'आपका कैलेंडर खाली है — अभी कोई तारीख मार्क नहीं है।',
+    noMarked: '{when} कोई मार्क की गई तारीख नहीं है।',
+    noHolidaysIn: '{when} कोई छुट्टी नहीं है।',
+    noExamsIn: '{when} कोई परीक्षा नहीं है।',
+    markedIn: { one: '{when} {count} मार्क की गई तारीख:', other: '{when} {count} मार्क की गई तारीखें:' },
+    holidaysIn: { one: '{when} {count} छुट्टी:', other: '{when} {count} छुट्टियाँ:' },
+    examsIn: { one: '{when} {count} परीक्षा:', other: '{when} {count} परीक्षाएँ:' },
+    rangeLine: '• {date} — {category} ({when})',
+    noHolidays: 'कोई आने वाली छुट्टी तय नहीं है।',
+    nextHoliday: {
+      one: 'आपकी अगली छुट्टी {date} को है — {count} दिन बाकी।',
+      other: 'आपकी अगली छुट्टी {date} को है — {count} दिन बाकी।'
+    },
+    noExams: 'आपके कैलेंडर में कोई आने वाली परीक्षा नहीं है।',
+    nextExam: {
+      one: 'आपकी अगली परीक्षा {date} को है — {count} दिन बचा है।',
+      other: 'आपकी अगली परीक्षा {date} को है — {count} दिन बचे हैं।'
+    },
+    noUpcoming: 'आपके कैलेंडर में कोई आने वाली तारीख नहीं है।',
+    nextMarked: 'आपकी अगली मार्क की गई तारीख {date} ({category}) है — {when}।',
+    upcomingIntro: { one: 'आपकी {count} आने वाली तारीख है:', other: 'आपकी {count} आने वाली तारीखें हैं:' },
+    upcomingLine: '  {index}. {date} — {category} ({when})'
+  },
+
+  ics: {
+    calendarName: 'कैंपस शेड्यूल',
+    assignmentDue: '{name} जमा करना है',
+    assignmentsDue: { one: '{count} असाइनमेंट जमा करना है', other: '{count} असाइनमेंट जमा करने हैं' }
+  },
+
+  briefing: {
+    title: 'आपका दिन — {date}',
+    deadline: { one: '⏰ {when} {assignments} जमा करना है।', other: '⏰ {when} {assignments} जमा करने हैं।' },
+    exam: '📝 {exam} {date} को है ({when})।',
+    attendance: {
+      one: '📉 {subject} में उपस्थिति {percent}% है — {threshold}% तक लौटने के लिए अगली {count} क्लास अटेंड करें।',
+      other: '📉 {subject} में उपस्थिति {percent}% है — {threshold}% तक लौटने के लिए अगली {count} क्लासें अटेंड करें।'
+    }
+  },
+
+  blocks: {
+    attendance: 'उपस्थिति',
+    attendanceBySubject: 'विषय के अनुसार उपस्थिति',
+    ifYouSkip: 'अगर आप छोड़ें',
+    semesters: 'सेमेस्टर',
+    cgpaTarget: 'CGPA लक्ष्य',
+    latestSgpa: 'ताज़ा SGPA',
+    cgpa: 'CGPA',
+    deadlines: 'डेडलाइन',
+    dates: 'चिह्नित तारीखें',
+    classesOn: '{day} की क्लासें',
+    freeTime: 'खाली समय',
+    week: 'आपका हफ़्ता',
+    studyPlan: 'पढ़ाई का प्लान',
+    revisionPlan: 'रिवीज़न का प्लान',
+    spending: 'श्रेणी के अनुसार खर्च',
+    spendingIn: '{when} खर्च',
+    spentThisMonth: 'इस महीने खर्च',
+    projectedMonthEnd: 'इसी रफ़्तार से महीने के अंत तक'
+  },
+
+  suggestions: {
+    attendance: 'मेरी उपस्थिति',
+    attendanceBySubject: 'विषय के अनुसार देखें',
+    lowestAttendance: 'सबसे कम वाला विषय',
+    canSkip: 'कितनी क्लासें छोड़ सकता हूँ',
+    latestGrades: 'ताज़ा SGPA',
+    allSemesters: 'सभी सेमेस्टर',
+    gradeTrend: 'ग्रेड का रुझान',
+    todaysClasses: 'आज की क्लासें',
+    tomorrowsClasses: 'कल की क्लासें',
+    nextClass: 'अगली क्लास',
+    freeTime: 'आज खाली समय',
+    busyWeek: 'मेरा हफ़्ता कितना व्यस्त है',
+    allAssignments: 'सभी असाइनमेंट',
+    nextDeadline: 'अगली डेडलाइन',
+    dueThisWeek: 'इस हफ़्ते जमा',
+    planWeek: 'हफ़्ते का प्लान',
+    revisionPlan: 'रिवीज़न का प्लान',
+    nextExam: 'अगली परीक्षा',
+    nextHoliday: 'अगली छुट्टी',
+    calendar: 'मेरा कैलेंडर',
+    spendingThisMonth: 'इस महीने का खर्च',
+    spendingBreakdown: 'श्रेणी के अनुसार खर्च',
+    compareLastMonth: 'पिछले महीने से तुलना',
+    monthEndForecast: 'महीने के अंत का अनुमान'
+  }
+};
@@ -0,0 +1,140 @@
+// i18n/index.js
+import { currentStyle } from '../utils/style.util.js';
+import en from './en.js';
+import hi from './hi.js';
+import mr from './mr.js';
+
+/*
+ * Message catalogue for the rule-based replies.
+ *
+ * Each language file is a nested object of templates keyed by intent
+ * ("timetable.noClassesToday"). Templates take {param} placeholders; a
+ * template that depends on a count is an object of Intl plural categories
+ * ({ one, other }) chosen by params.count. Keys missing from a language
+ * fall back to English.
+ *
+ * The locale (a BCP 47 tag, e.g. "hi-IN") and currency (ISO 4217) come from
+ * the reply style, so everything below formats for the current student
+ * unless told otherwise. Amounts are never converted, only formatted: the
+ * app records them in the student's own currency.
+ */
+
+const CATALOGUES = { en, hi, mr };
+
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGUES);
+
+export const languageOf = locale => {
+  try {
+    return new Intl.Locale(locale).language;
+  } catch {
+    return 'en';
+  }
+};
+
+/**
+ * Canonical form of a locale tag we have a catalogue for ("hi-in" -> "hi-IN"),
+ * or null
+ */
+export function resolveLocale(tag) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(tag);
+    return canonical && SUPPORTED_LANGUAGES.includes(languageOf(canonical)) ? canonical : null;
+  } catch {
+    return null;
+  }
+}
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+export const isCurrency = code =>
+  typeof code === 'string' && CURRENCIES.has(code.toUpperCase());
+
+const lookup = (catalogue, key) =>
+  key.split('.').reduce((node, part) => node?.[part], catalogue);
+
+const warned = new Set();
+
+/**
+ * Fill in the template for `key`. Numbers are formatted for the locale;
+ * pass pre-formatted strings (formatMoney, formatDate) for anything else.
+ */
+export function t(key, params = {}, locale = currentStyle().locale) {
+  let template = lookup(CATALOGUES[languageOf(locale)], key) ?? lookup(en, key);
+
+  if (template === undefined) {
+    if (!warned.has(key)) {
+      warned.add(key);
+      console.warn('[i18n] Missing message:', key);
+    }
+    return key;
+  }
+
+  if (typeof template === 'object') {
+    const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+    template = template[category] ?? template.other;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * A number in the locale's digits and separators. `decimals` fixes the
+ * fraction digits (grades use 2); otherwise up to 2 are shown as needed.
+ * `signed` adds a + to positive changes.
+ */
+export function formatNumber(value, { decimals, signed = false, locale = currentStyle().locale } = {}) {
+  const digits = decimals === undefined
+    ? { maximumFractionDigits: 2 }
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return new Intl.NumberFormat(locale, { ...digits, signDisplay: signed ? 'exceptZero' : 'auto' }).format(value);
+}
+
+// 1234.5 -> "₹1,234.50" (en-IN, INR), "$१,२३४.५०" (mr-IN, USD)
+export function formatMoney(amount, { locale = currentStyle().locale, currency = currentStyle().currency } = {}) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * A 'YYYY-MM-DD' key as a date in the locale; the default is the short
+ * "Fri, 23 Oct" form. Keys are calendar dates, so no timezone shifts them.
+ */
+export function formatDate(key, options = { weekday: 'short', day: 'numeric', month: 'short' }, locale = currentStyle().locale) {
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' })
+    .format(new Date(`${key}T00:00:00Z`));
+}
+
+// A clock time given as minutes past midnight: 570 -> "9:30 am"
+export const formatTime = (minutes, locale = currentStyle().locale) =>
+  new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+    .format(Date.UTC(2024, 0, 1, 0, minutes));
+
+// A length of time in minutes: 105 -> "1 hour 45 minutes"
+export function formatDuration(minutes, locale = currentStyle().locale) {
+  const unit = (value, name) =>
+    new Intl.NumberFormat(locale, { style: 'unit', unit: name, unitDisplay: 'long' }).format(value);
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+
+  if (hours === 0) return unit(rest, 'minute');
+  return rest === 0 ? unit(hours, 'hour') : `${unit(hours, 'hour')} ${unit(rest, 'minute')}`;
+}
+
+// "today" / "in 3 days" for a date that is `days` ahead
+export const formatDaysAway = days =>
+  days === 0 ? t('common.today') : t('common.inDays', { count: days });
+
+// Timetable weekday (Monday = 0) by name; 2024-01-01 was a Monday
+export const formatWeekday = (index, width = 'long') =>
+  formatDate(`2024-01-0${index + 1}`, { weekday: width });
+
+// ["Maths", "Physics"] -> "Maths and Physics" / "Maths और Physics"
+export const formatList = (items, locale = currentStyle().locale) =>
+  new Intl.ListFormat(locale, { type: 'conjunction' }).format(items);
+
+// English name of the locale's language, for the AI instructions ("Hindi")
+export const languageName = locale =>
+  new Intl.DisplayNames(['en'], { type: 'language' }).of(languageOf(locale)) || 'English';
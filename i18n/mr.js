@@ -0,0 +1,402 @@
+// i18n/mr.js
+// Marathi reply templates (missing keys fall back to en.js)
+
+export default {
+  common: {
+    addressed: '{name}, {text}',
+    andMore: '…आणि आणखी {count}.',
+    today: 'आज',
+    inDays: { one: '{count} दिवसात', other: '{count} दिवसांत' },
+    dayCount: { one: '{count} दिवस', other: '{count} दिवस' },
+    classCount: { one: '{count} लेक्चर', other: '{count} लेक्चर्स' },
+    assignmentCount: { one: '{count} असाइनमेंट', other: '{count} असाइनमेंट्स' }
+  },
+
+  dates: {
+    between: '{start} ते {end} दरम्यान',
+    before: '{date} पूर्वी',
+    by: '{date} पर्यंत',
+    until: '{date} पर्यंत',
+    till: '{date} पर्यंत',
+    upTo: '{date} पर्यंत',
+    after: '{date} नंतर',
+    nextDays: { one: 'पुढील {count} दिवसात', other: 'पुढील {count} दिवसांत' },
+    nextWeeks: { one: 'पुढील {count} आठवड्यात', other: 'पुढील {count} आठवड्यांत' },
+    lastDays: { one: 'मागील {count} दिवसात', other: 'मागील {count} दिवसांत' },
+    lastWeeks: { one: 'मागील {count} आठवड्यात', other: 'मागील {count} आठवड्यांत' },
+    on: '{date} रोजी',
+    onWeekday: '{weekday} ({date}) रोजी',
+    nextWeekday: 'पुढील {weekday} ({date}) रोजी',
+    dayAfterTomorrow: 'परवा',
+    tomorrow: 'उद्या',
+    today: 'आज',
+    yesterday: 'काल',
+    lastWeek: 'मागील आठवड्यात',
+    lastWeekend: 'मागील वीकेंडला',
+    lastMonth: 'मागील महिन्यात',
+    nextWeek: 'पुढील आठवड्यात',
+    thisWeekend: 'या वीकेंडला',
+    thisWeek: 'या आठवड्यात',
+    nextMonth: 'पुढील महिन्यात',
+    thisMonth: 'या महिन्यात'
+  },
+
+  chat: {
+    invalidRequest: 'मला काही चुकीची माहिती मिळाली. कृपया तुमच्या विनंतीचा फॉरमॅट तपासा.',
+    invalidMessage: 'संदेशाचा फॉरमॅट बरोबर नाही.',
+    conversationNotFound: 'ते संभाषण सापडले नाही. चला नवीन सुरू करूया.',
+    error: 'काहीतरी चुकले. पुन्हा प्रयत्न कराल का?',
+    notEnoughData: 'मला नक्की मदत करायला आवडेल, पण माझ्याकडे अजून तुमची पुरेशी माहिती नाही. आधी थोडी उपस्थिती, ग्रेड्स किंवा असाइनमेंट्स जोडा.'
+  },
+
+  greeting: {
+    morning: 'सुप्रभात',
+    afternoon: 'नमस्कार',
+    evening: 'शुभ संध्याकाळ',
+    withName: '{greeting}, {name}.',
+    alone: '{greeting}.',
+    classesToday: { one: 'आज तुमचे {count} लेक्चर आहे.', other: 'आज तुमचे {count} लेक्चर्स आहेत.' },
+    freeToday: 'आज तुम्ही मोकळे आहात — एकही लेक्चर नाही.',
+    pending: { one: '{count} असाइनमेंट बाकी आहे.', other: '{count} असाइनमेंट्स बाकी आहेत.' },
+    attendance: 'उपस्थिती {percent}% आहे.',
+    spent: 'या महिन्यात {amount} खर्च झाले.',
+    anythingElse: 'काही खास हवे असल्यास सांगा.'
+  },
+
+  gratitude: {
+    reply: 'मदत करून आनंद झाला. आणखी काही हवे असल्यास सांगा.'
+  },
+
+  guidance: {
+    reply: "मी तुमचे वेळापत्रक, असाइनमेंट्स, उपस्थिती, खर्च किंवा कॅलेंडर पाहायला मदत करू शकतो. फक्त विचारा — उदा. 'how busy is my week' किंवा 'when's my next exam'."
+  },
+
+  name: {
+    reply: 'तुमचे नाव {name} आहे. आज मी तुम्हाला कशी मदत करू?'
+  },
+
+  timetable: {
+    unnamedClass: 'लेक्चर',
+    busiest: { one: 'तुमचा सर्वात व्यस्त दिवस {day} आहे, {count} लेक्चरसह.', other: 'तुमचा सर्वात व्यस्त दिवस {day} आहे, {count} लेक्चर्ससह.' },
+    noClassesThisWeek: 'या आठवड्यात एकही लेक्चर नाही.',
+    evenlySpread: 'तुमचे वेळापत्रक बऱ्यापैकी समान विभागलेले आहे.',
+    freeWeek: 'या आठवड्यात एकही लेक्चर नाही — तुम्ही पूर्ण मोकळे आहात.',
+    weekSummary: { one: 'या आठवड्यात {days} दिवसांत तुमचे {count} लेक्चर आहे.', other: 'या आठवड्यात {days} दिवसांत तुमचे {count} लेक्चर्स आहेत.' },
+    fullWeek: 'हा बराच भरगच्च आठवडा आहे — स्वतःचा वेग सांभाळा.',
+    moderateWeek: 'साधारण आठवडा — चांगल्या नियोजनाने सहज जमेल.',
+    lightWeek: 'हलका आठवडा — इतर कामात पुढे जाण्याची चांगली वेळ.',
+    noClassesTomorrow: 'उद्या एकही लेक्चर नाही — तुम्ही मोकळे आहात.',
+    tomorrow: { one: 'उद्या तुमचे {count} लेक्चर आहे: {classes}.', other: 'उद्या तुमचे {count} लेक्चर्स आहेत: {classes}.' },
+    noClassesToday: 'आज एकही लेक्चर नाही. राहिलेले काम पूर्ण करायला चांगला दिवस.',
+    today: { one: 'आजचे वेळापत्रक: {count} लेक्चर — {classes}.', other: 'आजचे वेळापत्रक: {count} लेक्चर्स — {classes}.' },
+    noClassesOn: '{when} एकही लेक्चर नाही — तुम्ही मोकळे आहात.',
+    onDay: { one: '{when}: {count} लेक्चर — {classes}.', other: '{when}: {count} लेक्चर्स — {classes}.' },
+    rangeDay: '{date}: {classes}',
+    noClasses: 'लेक्चर नाही',
+    range: '{when}: {days}.',
+    everyDay: 'या आठवड्यात रोज लेक्चर्स आहेत — एकही पूर्ण दिवस मोकळा नाही.',
+    freeOn: 'तुम्ही या दिवशी मोकळे आहात: {days}.',
+    completelyFreeWeek: 'या आठवड्यात एकही लेक्चर नाही — पूर्ण आठवडा मोकळा.',
+    weekIntro: 'तुमचा आठवडा:',
+    weekDay: { one: '{day}: {count} लेक्चर', other: '{day}: {count} लेक्चर्स' },
+    todayMarker: '{day} (आज)',
+    noClassesTodayAsk: 'आज एकही लेक्चर नाही. उद्याबद्दल किंवा उरलेल्या आठवड्याबद्दल जाणून घ्यायचे आहे का?',
+    fallback: { one: 'आज: {count} लेक्चर — {classes}.', other: 'आज: {count} लेक्चर्स — {classes}.' },
+    clash: '⚠️ {first} आणि {second} यांची वेळ {start} ते {end} एकमेकांवर येते.',
+    shortGap: '⚠️ {first} नंतर {second} साठी फक्त {gap} आहेत — दोन्ही वेगवेगळ्या खोल्यांत आहेत.'
+  },
+  classTime: {
+    room: ' ({room})',
+    noTimes: '{when} तुमच्या लेक्चर्सना वेळ दिलेली नाही, त्यामुळे हे सांगता येणार नाही. वेळापत्रकात 09:00-10:00 अशा वेळा जोडा.',
+    inClass: 'आत्ता तुमचे {name}{room} लेक्चर चालू आहे — {end} ला संपेल, अजून {left}.',
+    notInClass: 'आत्ता तुमचे कोणतेही लेक्चर चालू नाही.',
+    next: 'तुमचे पुढचे लेक्चर {name}{room} आहे, {start} ला (अजून {wait}).',
+    firstOn: '{when} तुमचे पहिले लेक्चर {name}{room} आहे, {start} ला.',
+    noMoreToday: 'आज आणखी लेक्चर्स नाहीत.',
+    nextTomorrow: 'पुढचे लेक्चर उद्या {start} ला {name}{room} आहे.',
+    nextOn: 'पुढचे लेक्चर {day} रोजी {start} ला {name}{room} आहे.',
+    freeSlots: '{when} तुम्ही या वेळेत मोकळे आहात: {slots}.',
+    slot: '{start}–{end} ({length})',
+    freeAfter: '{end} नंतर तुमचा दिवस संपला.',
+    onlyClass: '{when} फक्त {name}{room} आहे, {start}–{end}.',
+    backToBack: '{when} एकही ब्रेक नाही — {start} ते {end} सलग लेक्चर्स आहेत.',
+    doneForToday: 'आजची लेक्चर्स संपली — तुम्ही {end} पासून मोकळे आहात.',
+    finish: '{when} तुमची लेक्चर्स {end} ला संपतील, {name} नंतर.',
+    finishIn: 'म्हणजे अजून {wait}.',
+    finished: 'आज तुमची लेक्चर्स {end} ला संपली.'
+  },
+
+
+  attendance: {
+    noRecords: 'अजून उपस्थितीची कोणतीही नोंद नाही. लेक्चर्स सुरू झाल्यावर मी ती ट्रॅक करायला मदत करू शकतो.',
+    noSubjectBreakdown: 'विषयवार उपस्थितीची माहिती उपलब्ध नाही.',
+    breakdownIntro: 'विषयवार तुमची उपस्थिती:',
+    subjectLine: '{indicator}{subject}: {percent}% ({attended}/{held})',
+    overallLine: '\nएकूण: {percent}% ({attended}/{held})',
+    noSubjectData: 'विषयवार माहिती उपलब्ध नाही.',
+    lowestBelow: {
+      one: 'सर्वात कमी उपस्थिती {subject} मध्ये आहे — {percent}% ({attended}/{held}). {threshold}% गाठण्यासाठी तुम्हाला सलग आणखी {count} लेक्चर अटेंड करावे लागेल.',
+      other: 'सर्वात कमी उपस्थिती {subject} मध्ये आहे — {percent}% ({attended}/{held}). {threshold}% गाठण्यासाठी तुम्हाला सलग आणखी {count} लेक्चर्स अटेंड करावी लागतील.'
+    },
+    lowestAbove: 'सर्वात कमी उपस्थिती {subject} मध्ये आहे — {percent}%, जी अजूनही {threshold}% पेक्षा जास्त आहे.',
+    allAbove: 'तुमच्या सर्व विषयांत उपस्थिती {threshold}% पेक्षा जास्त आहे.',
+    overall: 'तुमची उपस्थिती {percent}% आहे ({held} पैकी {attended} लेक्चर्स).',
+    belowThreshold: 'ही {threshold}% मर्यादेपेक्षा कमी आहे — याकडे लक्ष द्यायला हवे.',
+    needInARow: {
+      one: '{threshold}% गाठण्यासाठी तुम्हाला सलग आणखी {count} लेक्चर अटेंड करावे लागेल.',
+      other: '{threshold}% गाठण्यासाठी तुम्हाला सलग आणखी {count} लेक्चर्स अटेंड करावी लागतील.'
+    },
+    askBreakdown: 'विषयवार तपशील पाहायचा आहे? फक्त विचारा.',
+    acceptable: 'ठीक आहे, पण सुधारणेला वाव आहे.',
+    good: 'तुमची उपस्थिती चांगली आहे — छान.',
+
+    nothingToSkip: '{when} तुमचे एकही लेक्चर नाही, त्यामुळे बुडवण्यासारखे काही नाही — तुमची उपस्थिती {percent}% च राहील.',
+    skippingMeans: { one: '{when} सुट्टी घेतल्यास {classes} बुडेल.', other: '{when} सुट्टी घेतल्यास {classes} बुडतील.' },
+    dropsBelow: ' ⚠️ {threshold}% च्या खाली जाईल',
+    alreadyBelow: ' ⚠️ आधीच {threshold}% च्या खाली',
+    skipLine: '• {subject}: {before}% → {after}% ({classes}){note}',
+    noRecordsFor: '({subjects} साठी उपस्थितीची नोंद नाही.)',
+    overallChange: 'एकूण: {before}% → {after}%.',
+    betterAttend: 'अटेंड करणे चांगले — {subjects} {threshold}% च्या खाली जाईल.',
+    yourOverall: 'तुमची एकूण टक्केवारी',
+    canAfford: 'तुम्ही बुडवू शकता — सर्व काही {threshold}% किंवा त्याहून जास्त राहील.',
+    subjectAfterSkip: '{classes} बुडवल्यास {subject} {before}% वरून {after}% होईल.{warning}',
+    belowWarning: ' ⚠️ {threshold}% च्या खाली',
+    overallAfterSkip: '{classes} बुडवल्यास तुमची एकूण उपस्थिती {before}% वरून {after}% होईल.{warning}',
+    overallBelow: ' ही {threshold}% पेक्षा कमी आहे.',
+    overallStill: ' तरीही {threshold}% किंवा त्याहून जास्त.',
+    canMissSubject: {
+      one: 'तुम्ही {subject} चे आणखी {count} लेक्चर बुडवू शकता आणि {threshold}% किंवा त्याहून जास्त राहाल (सध्या {percent}%).',
+      other: 'तुम्ही {subject} ची आणखी {count} लेक्चर्स बुडवू शकता आणि {threshold}% किंवा त्याहून जास्त राहाल (सध्या {percent}%).'
+    },
+    cannotMissSubject: 'सध्या तुम्ही {subject} चे एकही लेक्चर बुडवू शकत नाही — तुम्ही {percent}% वर आहात आणि {threshold}% गाठण्यासाठी सलग आणखी {needed} हवीत.',
+    atThresholdSubject: '{subject} मध्ये तुम्ही {percent}% वर आहात, अगदी {threshold}% च्या मर्यादेवर — आणखी एक लेक्चर बुडवल्यास तुम्ही त्याच्या खाली जाल.',
+    canMissOverall: {
+      one: 'एकूण तुम्ही आणखी {count} लेक्चर बुडवू शकता आणि {threshold}% किंवा त्याहून जास्त राहाल.',
+      other: 'एकूण तुम्ही आणखी {count} लेक्चर्स बुडवू शकता आणि {threshold}% किंवा त्याहून जास्त राहाल.'
+    },
+    cannotMissOverall: 'सध्या तुम्ही एकही लेक्चर बुडवू शकत नाही — {threshold}% गाठण्यासाठी सलग आणखी {needed} हवीत.',
+    atThresholdOverall: 'एकूण तुम्ही अगदी {threshold}% च्या मर्यादेवर आहात — आणखी एक लेक्चर बुडवल्यास तुम्ही त्याच्या खाली जाल.',
+    bySubject: 'विषयवार:',
+    skippableLine: '{indicator} {subject}: {count}',
+    none: 'एकही नाही'
+  },
+
+  academic: {
+    noRecords: 'अजून कोणतीही शैक्षणिक नोंद नाही. तुमचे सेमिस्टर ग्रेड्स जोडा, मी तुमची प्रगती ट्रॅक करेन.',
+    weighted: '{cgpa} ({credits} क्रेडिट्सवर क्रेडिट-भारित)',
+    semester: 'सेमिस्टर {number}',
+    listIntro: { one: 'तुमच्याकडे {count} सेमिस्टरची माहिती आहे:', other: 'तुमच्याकडे {count} सेमिस्टर्सची माहिती आहे:' },
+    credits: ' ({credits} क्रेडिट्स)',
+    listLine: '  {index}. {semester}: {sgpa}{credits}',
+    overallCgpa: '\nएकूण CGPA: {cgpa}',
+    currentSgpaOnly: 'तुमचा सध्याचा SGPA {sgpa} आहे. ट्रेंड पाहण्यासाठी आणखी सेमिस्टर्स जोडा.',
+    strongImprovement: '📈 चांगली सुधारणा',
+    slightImprovement: '📈 थोडी सुधारणा',
+    significantDrop: '📉 मोठी घसरण',
+    slightDecline: '📉 थोडी घसरण',
+    stable: '➡️ स्थिरता',
+    trendSummary: '{count} सेमिस्टर्समध्ये तुमच्या ग्रेड्समध्ये {trend} दिसते.',
+    trendChange: '{first} पासून सुरुवात → आता {latest} ({change}).',
+    progression: 'सेमिस्टरनिहाय प्रगती: {progression}',
+    sgpaFor: '{semester} साठी तुमचा SGPA {sgpa} आहे.',
+    latestSgpa: 'तुमचा ताजा SGPA ({semester}) {sgpa} आहे.',
+    overallAcross: '{count} सेमिस्टर्समध्ये तुमचा एकूण CGPA {cgpa} आहे.',
+    askMore: 'सर्व सेमिस्टर्स किंवा ग्रेड ट्रेंड पाहायचे आहेत? फक्त विचारा.',
+
+    nextSemester: 'पुढील सेमिस्टरमध्ये',
+    eachOfNext: 'पुढील {count} सेमिस्टर्सपैकी प्रत्येकात',
+    finished: 'तुम्ही सर्व {total} सेमिस्टर्स पूर्ण केले आहेत, त्यामुळे तुमचा CGPA {cgpa} वर निश्चित आहे — {verdict}',
+    finishedReached: 'तो {target} किंवा त्याहून जास्त आहे.',
+    finishedMissed: '{target} आता आवाक्याबाहेर आहे.',
+    secured: 'तुमचा CGPA {cgpa} आहे, त्यामुळे {target} पक्का आहे — {span} कोणताही पासिंग SGPA तुम्हाला तिथेच ठेवेल.',
+    unreachable: 'खरे सांगायचे तर {target} {by} शक्य नाही — त्यासाठी {required} SGPA लागेल, जो {max} च्या कमाल मर्यादेपेक्षा जास्त आहे.',
+    byNextSemester: 'पुढील सेमिस्टरपर्यंत',
+    byGraduation: 'पदवीपर्यंत',
+    bestPossible: '{span} पूर्ण {max} मिळवल्यास तुम्ही {best} वर पूर्ण कराल.',
+    currentCgpa: 'सध्या तुमचा CGPA {cgpa} आहे.',
+    stretch: 'हे आतापर्यंतच्या कोणत्याही सेमिस्टरपेक्षा जास्त आहे, त्यामुळे अवघड आहे — पण शक्य आहे.',
+    withinReach: 'तुम्ही हे आधी मिळवले आहे, त्यामुळे हे सहज आवाक्यात आहे.',
+    required: '{target} CGPA गाठण्यासाठी तुम्हाला {span} किमान {required} SGPA हवा.'
+  },
+
+  expenses: {
+    noRecords: 'माझ्याकडे अजून खर्चाची कोणतीही नोंद नाही. तुमचा खर्च ट्रॅक करायला सुरुवात करा, मी बजेट सांभाळायला मदत करेन.',
+    noMonthRecords: 'या महिन्याची अजून खर्चाची नोंद नाही.',
+    nothingLastMonthToDate: 'मागील महिन्यात या वेळेपर्यंत तुम्ही काहीच खर्च केला नव्हता (पूर्ण महिन्यात {amount}).',
+    aboutSame: 'हे मागील महिन्यात या वेळेपर्यंतच्या खर्चाइतकेच आहे ({amount}).',
+    moreThanLastMonth: 'हे मागील महिन्यात या वेळेपर्यंतच्या तुलनेत {amount} जास्त आहे ({change}).',
+    lessThanLastMonth: 'हे मागील महिन्यात या वेळेपर्यंतच्या तुलनेत {amount} कमी आहे ({change}).',
+    projection: 'याच वेगाने (दररोज सुमारे {daily}) महिनाअखेरीस तुम्ही सुमारे {projected} खर्च कराल.',
+    categoryUp: '{category} {change}% ने वाढले आहे',
+    categoryDown: '{category} {change}% ने कमी झाले आहे',
+    categoryNew: '{category} या महिन्यात नवीन आहे ({amount})',
+    comparedSoFar: 'मागील महिन्याच्या तुलनेत आतापर्यंत: {changes}.',
+    totalOn: {
+      one: 'तुम्ही {category} वर एकूण {amount} खर्च केले आहेत, {count} व्यवहारात.',
+      other: 'तुम्ही {category} वर एकूण {amount} खर्च केले आहेत, {count} व्यवहारांत.'
+    },
+    nothingIn: '{when} तुम्ही काहीच खर्च केले नाही.',
+    nothingOnIn: '{when} तुम्ही {category} वर काहीच खर्च केले नाही.',
+    spentIn: {
+      one: '{when} तुम्ही {amount} खर्च केले ({count} व्यवहार).',
+      other: '{when} तुम्ही {amount} खर्च केले ({count} व्यवहार).'
+    },
+    spentOnIn: {
+      one: '{when} तुम्ही {category} वर {amount} खर्च केले ({count} व्यवहार).',
+      other: '{when} तुम्ही {category} वर {amount} खर्च केले ({count} व्यवहार).'
+    },
+    mostly: 'बहुतेक {categories}.',
+    categoryAmount: '{category} ({amount})',
+    highMonth: 'या महिन्यात तुम्ही {amount} खर्च केले आहेत, जे थोडे जास्त आहे.',
+    reviewSpending: 'पैसे कुठे जात आहेत ते तपासणे चांगले — विशेषतः अनावश्यक खर्च.',
+    moderateMonth: 'या महिन्यात आतापर्यंत तुम्ही {amount} खर्च केले आहेत.',
+    moderateNote: 'हे साधारण मर्यादेत आहे — काळजीचे कारण नाही.',
+    lowMonth: 'या महिन्यात तुमचा खर्च {amount} आहे.',
+    lowNote: 'तुम्ही सगळे नियंत्रणात ठेवत आहात असे दिसते.',
+    overview: 'एकूण तुम्ही आतापर्यंत {total} खर्च केले आहेत, त्यापैकी {thisMonth} या महिन्यात.',
+    elevated: 'या महिन्याचा खर्च थोडा वाढलेला आहे — त्यावर लक्ष ठेवा.',
+    reasonable: 'महिन्याचा खर्च योग्य मर्यादेत आहे.',
+    comfortable: 'सध्या तुम्ही आरामात खर्च करत आहात.',
+    mainAreas: 'तुमच्या खर्चाची मुख्य क्षेत्रे:',
+    areaLine: '• {category}: {amount} (एकूणच्या {percent}%)'
+  },
+
+  assignments: {
+    noPending: 'सध्या एकही असाइनमेंट बाकी नाही.',
+    nothingDue: '{when} काहीही जमा करायचे नाही.',
+    dueIn: { one: '{when} {count} असाइनमेंट जमा करायचे आहे:', other: '{when} {count} असाइनमेंट्स जमा करायच्या आहेत:' },
+    dueLine: '• {date}: {assignments} ({when})',
+    nothingThisWeek: 'या आठवड्यात काहीही जमा करायचे नाही — पुढे जाण्याची चांगली वेळ.',
+    weekIntro: 'या आठवड्यात जमा करायचे:',
+    next: 'तुमची पुढील डेडलाइन {date} आहे — {assignments}, {when}.',
+    listIntro: { one: 'तुमचे {count} असाइनमेंट बाकी आहे:', other: 'तुमच्या {count} असाइनमेंट्स बाकी आहेत:' },
+    item: '• {name} — {details}',
+    withSubject: '{title} ({subject})',
+    dueOn: '{date} पर्यंत',
+    dueAt: '{date}, {time} पर्यंत',
+    effort: '~{duration}',
+    highPriority: 'जास्त महत्त्वाचे'
+  },
+
+  studyPlan: {
+    forDays: { one: 'आजसाठी', other: 'पुढच्या {count} दिवसांसाठी' },
+    intro: {
+      one: '{when} अभ्यासाचा प्लॅन: {count} सेशन, एकूण {total}.',
+      other: '{when} अभ्यासाचा प्लॅन: {count} सेशन्स, एकूण {total}.'
+    },
+    dayLine: '📅 {date}',
+    sessionLine: '  • {start}–{end}: {name}',
+    noTime: '{when} अभ्यासासाठी मोकळा वेळ मिळाला नाही — तुमचे दिवस भरलेले आहेत.',
+    atRisk: '⚠️ {name} ({date} पर्यंत) साठी त्याआधीच्या मोकळ्या वेळेपेक्षा {short} जास्त लागेल.',
+    overdue: '⚠️ {name} {date} पर्यंत जमा करायचे होते आणि अजून बाकी आहे.',
+    later: '{name} ({date} पर्यंत) साठी यानंतरही सुमारे {remaining} लागतील.'
+  },
+
+  revision: {
+    noExams: 'तुमच्या कॅलेंडरमध्ये एकही आगामी परीक्षा नाही, त्यामुळे सध्या उजळणीची गरज नाही.',
+    intro: {
+      one: '{count} परीक्षेसाठी {date} पर्यंत उजळणीचा प्लॅन: एकूण {total}.',
+      other: '{count} परीक्षांसाठी {date} पर्यंत उजळणीचा प्लॅन: एकूण {total}.'
+    },
+    withSubject: '{title} ({subject})',
+    examLine: '• {name} — {date} ({when}): {total}',
+    examLineWeak: '• {name} — {date} ({when}): {total}, कमकुवत विषय म्हणून जास्त वेळ',
+    noTime: 'परीक्षांआधी उजळणीसाठी मोकळा वेळ मिळाला नाही — तुमचे दिवस भरलेले आहेत.',
+    atRisk: '⚠️ {name} ({date}) आधीच्या मोकळ्या वेळेत उजळणी {short} कमी पडते.',
+    later: '{name} ({date}) अजून लांब आहे — यानंतरही सुमारे {remaining} उजळणी बाकी राहील.',
+    moreDays: {
+      one: '…आणि पूर्ण प्लॅनमध्ये आणखी {count} दिवस.',
+      other: '…आणि पूर्ण प्लॅनमध्ये आणखी {count} दिवस.'
+    }
+  },
+
+  calendar: {
+    clear: 'तुमचे कॅलेंडर रिकामे आहे — अजून एकही तारीख मार्क केलेली नाही.',
+    noMarked: '{when} एकही मार्क केलेली तारीख नाही.',
+    noHolidaysIn: '{when} एकही सुट्टी नाही.',
+    noExamsIn: '{when} एकही परीक्षा नाही.',
+    markedIn: { one: '{when} {count} मार्क केलेली तारीख:', other: '{when} {count} मार्क केलेल्या तारखा:' },
+    holidaysIn: { one: '{when} {count} सुट्टी:', other: '{when} {count} सुट्ट्या:' },
+    examsIn: { one: '{when} {count} परीक्षा:', other: '{when} {count} परीक्षा:' },
+    rangeLine: '• {date} — {category} ({when})',
+    noHolidays: 'एकही आगामी सुट्टी ठरलेली नाही.',
+    nextHoliday: {
+      one: 'तुमची पुढील सुट्टी {date} रोजी आहे — {count} दिवस बाकी.',
+      other: 'तुमची पुढील सुट्टी {date} रोजी आहे — {count} दिवस बाकी.'
+    },
+    noExams: 'तुमच्या कॅलेंडरमध्ये एकही आगामी परीक्षा नाही.',
+    nextExam: {
+      one: 'तुमची पुढील परीक्षा {date} रोजी आहे — {count} दिवस उरला.',
+      other: 'तुमची पुढील परीक्षा {date} रोजी आहे — {count} दिवस उरले.'
+    },
+    noUpcoming: 'तुमच्या कॅलेंडरमध्ये एकही आगामी तारीख नाही.',
+    nextMarked: 'तुमची पुढील मार्क केलेली तारीख {date} ({category}) आहे — {when}.',
+    upcomingIntro: { one: 'तुमची {count} आगामी तारीख आहे:', other: 'तुमच्या {count} आगामी तारखा आहेत:' },
+    upcomingLine: '  {index}. {date} — {category} ({when})'
+  },
+
+  ics: {
+    calendarName: 'कॅम्पस वेळापत्रक',
+    assignmentDue: '{name} जमा करायचे आहे',
+    assignmentsDue: { one: '{count} असाइनमेंट जमा करायचे आहे', other: '{count} असाइनमेंट्स जमा करायच्या आहेत' }
+  },
+
+  briefing: {
+    title: 'तुमचा दिवस — {date}',
+    deadline: { one: '⏰ {when} {assignments} जमा करायचे आहे.', other: '⏰ {when} {assignments} जमा करायच्या आहेत.' },
+    exam: '📝 {exam} {date} रोजी आहे ({when}).',
+    attendance: {
+      one: '📉 {subject} मध्ये उपस्थिती {percent}% आहे — {threshold}% पर्यंत परत येण्यासाठी पुढचे {count} लेक्चर अटेंड करा.',
+      other: '📉 {subject} मध्ये उपस्थिती {percent}% आहे — {threshold}% पर्यंत परत येण्यासाठी पुढची {count} लेक्चर्स अटेंड करा.'
+    }
+  },
+
+  blocks: {
+    attendance: 'उपस्थिती',
+    attendanceBySubject: 'विषयानुसार उपस्थिती',
+    ifYouSkip: 'जर तुम्ही बुडवले तर',
+    semesters: 'सेमिस्टर',
+    cgpaTarget: 'CGPA लक्ष्य',
+    latestSgpa: 'ताजा SGPA',
+    cgpa: 'CGPA',
+    deadlines: 'डेडलाइन',
+    dates: 'खूण केलेल्या तारखा',
+    classesOn: '{day} चे लेक्चर्स',
+    freeTime: 'मोकळा वेळ',
+    week: 'तुमचा आठवडा',
+    studyPlan: 'अभ्यासाचा प्लॅन',
+    revisionPlan: 'उजळणीचा प्लॅन',
+    spending: 'श्रेणीनुसार खर्च',
+    spendingIn: '{when} खर्च',
+    spentThisMonth: 'या महिन्यातील खर्च',
+    projectedMonthEnd: 'याच वेगाने महिनाअखेरपर्यंत'
+  },
+
+  suggestions: {
+    attendance: 'माझी उपस्थिती',
+    attendanceBySubject: 'विषयानुसार पाहा',
+    lowestAttendance: 'सर्वात कमी विषय',
+    canSkip: 'किती लेक्चर्स बुडवू शकतो',
+    latestGrades: 'ताजा SGPA',
+    allSemesters: 'सर्व सेमिस्टर',
+    gradeTrend: 'ग्रेडचा कल',
+    todaysClasses: 'आजचे लेक्चर्स',
+    tomorrowsClasses: 'उद्याचे लेक्चर्स',
+    nextClass: 'पुढचे लेक्चर',
+    freeTime: 'आज मोकळा वेळ',
+    busyWeek: 'माझा आठवडा किती व्यस्त आहे',
+    allAssignments: 'सर्व असाइनमेंट',
+    nextDeadline: 'पुढची डेडलाइन',
+    dueThisWeek: 'या आठवड्यात जमा',
+    planWeek: 'आठवड्याचा प्लॅन',
+    revisionPlan: 'उजळणीचा प्लॅन',
+    nextExam: 'पुढची परीक्षा',
+    nextHoliday: 'पुढची सुट्टी',
+    calendar: 'माझे कॅलेंडर',
+    spendingThisMonth: 'या महिन्याचा खर्च',
+    spendingBreakdown: 'श्रेणीनुसार खर्च',
+    compareLastMonth: 'मागच्या महिन्याशी तुलना',
+    monthEndForecast: 'महिनाअखेरचा अंदाज'
+  }
+};
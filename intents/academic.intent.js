@@ -0,0 +1,265 @@
+// intents/academic.intent.js
+import { hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe, formatReply, paragraph } from '../utils/format.util.js';
+import {
+  GRADE_SCALE_MAX,
+  TOTAL_SEMESTERS,
+  semesterScore,
+  computeCgpa,
+  planTargetCgpa
+} from '../services/grades.service.js';
+import { cgpaTarget, semesterList, statBlock, suggest } from './blocks.js';
+import { t, formatNumber } from '../i18n/index.js';
+
+const LIST_TERMS = [
+  'all',
+  'semester wise',
+  'semester-wise',
+  'each semester',
+  'breakdown',
+  'list',
+  'show my grades',
+  'show grades'
+];
+
+const TREND_TERMS = ['trend*', 'progress', 'improvement', 'change*'];
+
+const PLANNER_TERMS = ['need', 'reach*', 'target', 'achieve*', 'possible', 'get to', 'aim*'];
+
+// Grade points always show two decimals ("8.00")
+const grade = value => formatNumber(value, { decimals: 2 });
+
+// CGPA label, noting when it's credit-weighted
+function cgpaText(cgpa) {
+  const result = computeCgpa(cgpa);
+  return result.weighted
+    ? t('academic.weighted', { cgpa: grade(result.cgpa), credits: result.totalCredits })
+    : grade(result.cgpa);
+}
+
+// SHOW ALL GRADES (SEMESTER WISE)
+function listReply({ cgpa }) {
+  const lines = [t('academic.listIntro', { count: cgpa.length })];
+
+  // Show each semester with its SGPA
+  cgpa.forEach((sem, index) => {
+    const semesterName = sem.semester || sem.name || t('academic.semester', { number: index + 1 });
+    const credits = Number(sem.credits) > 0 ? t('academic.credits', { credits: Number(sem.credits) }) : '';
+    lines.push(t('academic.listLine', {
+      index: index + 1,
+      semester: semesterName,
+      sgpa: grade(semesterScore(sem)),
+      credits
+    }));
+  });
+
+  if (cgpa.length > 1) {
+    lines.push(t('academic.overallCgpa', { cgpa: cgpaText(cgpa) }));
+  }
+
+  return formatReply(lines);
+}
+
+// TREND ANALYSIS
+function trendReply({ cgpa, userName }) {
+  if (cgpa.length <= 1) {
+    return addressMaybe(t('academic.currentSgpaOnly', { sgpa: grade(semesterScore(cgpa[0])) }), userName);
+  }
+
+  const first = semesterScore(cgpa[0]);
+  const sgpa = semesterScore(cgpa[cgpa.length - 1]);
+  const difference = sgpa - first;
+
+  // Show trend with emoji indicator
+  let trend = '';
+  if (difference > 0.3) trend = t('academic.strongImprovement');
+  else if (difference > 0) trend = t('academic.slightImprovement');
+  else if (difference < -0.3) trend = t('academic.significantDrop');
+  else if (difference < 0) trend = t('academic.slightDecline');
+  else trend = t('academic.stable');
+
+  const parts = [
+    t('academic.trendSummary', { count: cgpa.length, trend }),
+    t('academic.trendChange', {
+      first: grade(first),
+      latest: grade(sgpa),
+      change: formatNumber(difference, { decimals: 2, signed: true })
+    })
+  ];
+
+  // Show semester-by-semester progression
+  if (cgpa.length <= 4) {
+    const progression = cgpa.map(sem => grade(semesterScore(sem))).join(' → ');
+    parts.push(t('academic.progression', { progression }));
+  }
+
+  return addressMaybe(parts.join(' '), userName);
+}
+
+// LATEST SGPA ONLY (DEFAULT)
+function latestReply({ cgpa, userName }) {
+  const latest = cgpa[cgpa.length - 1];
+  const sgpa = semesterScore(latest);
+  const semesterName = latest.semester || latest.name || t('academic.semester', { number: cgpa.length });
+
+  // If only one semester exists
+  if (cgpa.length === 1) {
+    return addressMaybe(t('academic.sgpaFor', { semester: semesterName, sgpa: grade(sgpa) }), userName);
+  }
+
+  // Multiple semesters - show latest and offer more options
+  return paragraph([
+    addressMaybe(t('academic.latestSgpa', { semester: semesterName, sgpa: grade(sgpa) }), userName),
+    t('academic.overallAcross', { count: cgpa.length, cgpa: cgpaText(cgpa) }),
+    t('academic.askMore')
+  ]);
+}
+
+// =========================================
+// TARGET PLANNER ("what SGPA do I need to reach 8.5?")
+// =========================================
+
+const onScale = n => n > 0 && n <= GRADE_SCALE_MAX;
+
+// The number after "reach" / "get" / "target", e.g. "8.5" in "reach an 8.5
+// cgpa"; otherwise the first number on the grade scale that isn't a
+// semester ("in 2 semesters", "semester 5", "5th sem")
+function targetFrom(lowerMessage) {
+  const named = lowerMessage.match(/\b(?:reach|get|target|hit|achieve|aim for)(?:\s+(?:a|an|of|to|at least))*\s+(\d{1,2}(?:\.\d{1,2})?)\b/);
+  if (named && onScale(Number(named[1]))) return Number(named[1]);
+
+  const text = lowerMessage
+    .replace(/\b\d+(?:st|nd|rd|th)?\s+(?:semesters?|sems?)\b/g, ' ')
+    .replace(/\b(?:semesters?|sems?)\s+\d+\b/g, ' ');
+  const numbers = text.match(/\d{1,2}(?:\.\d{1,2})?/g) || [];
+  return numbers.map(Number).find(onScale) ?? null;
+}
+
+// "next semester" -> 1, "in 3 semesters" -> 3, otherwise until graduation
+function remainingFrom(lowerMessage, completed) {
+  const count = lowerMessage.match(/\b(?:next|in|over|within)\s+(\d)\s+(?:semesters|sems)\b/);
+  if (count) return parseInt(count[1], 10);
+  if (/\bnext (?:semester|sem)\b/.test(lowerMessage)) return 1;
+  return Math.max(0, TOTAL_SEMESTERS - completed);
+}
+
+// { reply, blocks } for a target CGPA
+function plannerReply({ cgpa, lowerMessage, userName }, target) {
+  const remaining = remainingFrom(lowerMessage, cgpa.length);
+  const plan = planTargetCgpa(cgpa, target, { remainingSemesters: remaining });
+  const span = plan.remainingSemesters === 1
+    ? t('academic.nextSemester')
+    : t('academic.eachOfNext', { count: plan.remainingSemesters });
+  const current = grade(plan.currentCgpa);
+  const blocks = [cgpaTarget(plan, target)];
+
+  switch (plan.status) {
+    case 'finished':
+      return {
+        reply: addressMaybe(
+          t('academic.finished', {
+            total: TOTAL_SEMESTERS,
+            cgpa: current,
+            verdict: t(plan.currentCgpa >= target ? 'academic.finishedReached' : 'academic.finishedMissed', { target })
+          }),
+          userName
+        ),
+        blocks
+      };
+
+    case 'secured':
+      return { reply: addressMaybe(t('academic.secured', { cgpa: current, target, span }), userName), blocks };
+
+    case 'unreachable':
+      return {
+        reply: paragraph([
+          addressMaybe(t('academic.unreachable', {
+            target,
+            by: t(plan.remainingSemesters === 1 ? 'academic.byNextSemester' : 'academic.byGraduation'),
+            required: grade(plan.requiredSgpa),
+            max: GRADE_SCALE_MAX
+          }), userName),
+          t('academic.bestPossible', { max: GRADE_SCALE_MAX, span, best: grade(plan.bestPossible) }),
+          t('academic.currentCgpa', { cgpa: current })
+        ]),
+        blocks
+      };
+
+    default: {
+      const stretch = plan.requiredSgpa > Math.max(...cgpa.map(semesterScore))
+        ? t('academic.stretch')
+        : t('academic.withinReach');
+
+      return {
+        reply: paragraph([
+          addressMaybe(t('academic.required', { target, required: grade(plan.requiredSgpa), span }), userName),
+          t('academic.currentCgpa', { cgpa: current }),
+          stretch
+        ]),
+        blocks
+      };
+    }
+  }
+}
+
+// 🎓 ACADEMIC PERFORMANCE
+export default {
+  name: 'academic',
+  priority: 40,
+
+  match({ lowerMessage }) {
+    return scoreTerms(lowerMessage, {
+      'cgpa': 3,
+      'gpa': 3,
+      'sgpa': 3,
+      'grade*': 2,
+      'semester*': 2,
+      'marks': 1,
+      'performance': 1,
+      'result*': 1,
+      'academic*': 2,
+      'progress': 1,
+      'improvement': 1,
+      'trend*': 1,
+      'reachable': 1
+    });
+  },
+
+  handle(ctx) {
+    const { cgpa, lowerMessage, userName } = ctx;
+    const intent = 'ACADEMIC_INSIGHTS';
+
+    if (cgpa.length === 0) {
+      return {
+        intent,
+        reply: addressMaybe(t('academic.noRecords'), userName)
+      };
+    }
+
+    const target = targetFrom(lowerMessage);
+    if (target !== null && hasAnyTerm(lowerMessage, PLANNER_TERMS)) {
+      return { intent: 'ACADEMIC_PLANNING', ...plannerReply(ctx, target), suggestions: suggest('allSemesters') };
+    }
+
+    const semesters = semesterList(cgpa);
+
+    if (hasAnyTerm(lowerMessage, LIST_TERMS)) {
+      return { intent, reply: listReply(ctx), blocks: [semesters], suggestions: suggest('gradeTrend') };
+    }
+
+    if (hasAnyTerm(lowerMessage, TREND_TERMS)) {
+      return { intent, reply: trendReply(ctx), blocks: [semesters], suggestions: suggest('allSemesters') };
+    }
+
+    const latest = semesterScore(cgpa[cgpa.length - 1]);
+    return {
+      intent,
+      reply: latestReply(ctx),
+      blocks: [
+        statBlock('sgpa', t('blocks.latestSgpa'), latest),
+        statBlock('cgpa', t('blocks.cgpa'), semesters.cgpa)
+      ],
+      suggestions: suggest(cgpa.length > 1 && 'allSemesters', cgpa.length > 1 && 'gradeTrend')
+    };
+  }
+};
@@ -0,0 +1,158 @@
+// intents/assignments.intent.js
+import { hasTerm, hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe, formatReply } from '../utils/format.util.js';
+import { daysUntil, parseClockTime } from '../utils/schedule.util.js';
+import { daysBetween, formatDay, inRange } from '../utils/date.util.js';
+import {
+  assignmentsFromCounts,
+  assignmentFullName,
+  assignmentNames
+} from '../services/assignment.service.js';
+import { countdown, deadlineList, suggest } from './blocks.js';
+import { t, formatDaysAway, formatDuration, formatTime } from '../i18n/index.js';
+
+// Longest list of assignments one reply names before summarising the rest
+const MAX_LISTED = 8;
+
+// Records from the context; the date -> count map when a caller has no records
+const listOf = ({ assignmentList, assignments }) => assignmentList ?? assignmentsFromCounts(assignments);
+
+// "Lab report and 2 assignments" for everything due on `date`
+const namesDueOn = (list, date) => assignmentNames(list.filter(assignment => assignment.dueDate === date));
+
+// "• Lab report (Physics) — due Thu, 22 Oct at 5:00 pm · in 3 days · ~2 hours · high priority"
+function itemLine(assignment, today) {
+  const date = formatDay(assignment.dueDate);
+  const details = [
+    assignment.dueTime
+      ? t('assignments.dueAt', { date, time: formatTime(parseClockTime(assignment.dueTime)) })
+      : t('assignments.dueOn', { date }),
+    formatDaysAway(daysUntil(assignment.dueDate, today)),
+    assignment.effortAssumed ? null : t('assignments.effort', { duration: formatDuration(assignment.effortMinutes) }),
+    assignment.priority === 'high' ? t('assignments.highPriority') : null
+  ].filter(Boolean);
+
+  return t('assignments.item', { name: assignmentFullName(assignment), details: details.join(' · ') });
+}
+
+// Deadlines inside a resolved date range ("due before 20 March", "next week")
+function rangeReply({ assignments, today, userName }, list, sortedDates, range) {
+  const due = sortedDates.filter(date => inRange(date, range));
+
+  if (due.length === 0) {
+    return addressMaybe(t('assignments.nothingDue', { when: range.label }), userName);
+  }
+
+  const total = due.reduce((sum, date) => sum + (Number(assignments[date]) || 0), 0);
+  const lines = [t('assignments.dueIn', { count: total, when: range.label })];
+  due.forEach(date => {
+    lines.push(t('assignments.dueLine', {
+      date: formatDay(date),
+      assignments: namesDueOn(list, date),
+      when: formatDaysAway(daysBetween(today, date))
+    }));
+  });
+  return addressMaybe(lines.join(' '), userName);
+}
+
+// Every pending assignment by name, soonest first
+function listReply({ assignmentCount, today, userName }, list) {
+  const lines = [addressMaybe(t('assignments.listIntro', { count: assignmentCount }), userName)];
+  list.slice(0, MAX_LISTED).forEach(assignment => lines.push(itemLine(assignment, today)));
+  if (list.length > MAX_LISTED) {
+    lines.push(t('common.andMore', { count: list.length - MAX_LISTED }));
+  }
+  return formatReply(lines);
+}
+
+// 📝 ASSIGNMENTS & DEADLINES
+export default {
+  name: 'assignments',
+  priority: 50,
+
+  match({ lowerMessage }) {
+    return scoreTerms(lowerMessage, {
+      'assignment*': 3,
+      'homework': 3,
+      'deadline*': 3,
+      'due': 2,
+      'project*': 2
+    });
+  },
+
+  handle(ctx) {
+    const { assignments, assignmentCount: pendingCount, lowerMessage, today, userName, dateRange } = ctx;
+    const intent = 'ASSIGNMENT_PLANNING';
+
+    if (pendingCount === 0) {
+      return { intent, reply: addressMaybe(t('assignments.noPending'), userName) };
+    }
+
+    const list = listOf(ctx);
+    const sortedDates = Object.keys(assignments).sort();
+
+    if (dateRange) {
+      return {
+        intent,
+        reply: rangeReply(ctx, list, sortedDates, dateRange),
+        blocks: [deadlineList(list.filter(assignment => inRange(assignment.dueDate, dateRange)), today)],
+        suggestions: suggest('planWeek', 'allAssignments')
+      };
+    }
+
+    if (hasTerm(lowerMessage, 'week')) {
+      const weekAssignments = sortedDates.filter(date => {
+        const days = daysUntil(date, today);
+        return days >= 0 && days <= 7;
+      });
+
+      if (weekAssignments.length === 0) {
+        return {
+          intent,
+          reply: addressMaybe(t('assignments.nothingThisWeek'), userName),
+          suggestions: suggest('allAssignments')
+        };
+      }
+
+      const lines = [t('assignments.weekIntro')];
+      weekAssignments.forEach(date => {
+        lines.push(t('assignments.dueLine', {
+          date: formatDay(date),
+          assignments: namesDueOn(list, date),
+          when: formatDaysAway(daysUntil(date, today))
+        }));
+      });
+      return {
+        intent,
+        reply: addressMaybe(lines.join(' '), userName),
+        blocks: [deadlineList(list.filter(assignment => weekAssignments.includes(assignment.dueDate)), today)],
+        suggestions: suggest('planWeek', 'allAssignments')
+      };
+    }
+
+    if (hasAnyTerm(lowerMessage, ['next', 'upcoming'])) {
+      const nearestDate = sortedDates[0];
+      const names = namesDueOn(list, nearestDate);
+      return {
+        intent,
+        reply: addressMaybe(
+          t('assignments.next', {
+            date: formatDay(nearestDate),
+            assignments: names,
+            when: formatDaysAway(daysUntil(nearestDate, today))
+          }),
+          userName
+        ),
+        blocks: [countdown('deadline', names, nearestDate, today)],
+        suggestions: suggest('dueThisWeek', 'planWeek')
+      };
+    }
+
+    return {
+      intent,
+      reply: listReply(ctx, list),
+      blocks: [deadlineList(list, today)],
+      suggestions: suggest('planWeek', 'dueThisWeek')
+    };
+  }
+};
@@ -0,0 +1,403 @@
+// intents/attendance.intent.js
+import { hasTerm, hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe, formatReply, paragraph } from '../utils/format.util.js';
+import {
+  ATTENDANCE_THRESHOLD,
+  classesNeeded,
+  skippableClasses,
+  simulateSkip,
+  simulateSkippedDays,
+  dayIndexesInRange,
+  percentOf
+} from '../services/attendance.service.js';
+import { attendanceForecast, attendanceStat, attendanceTable, suggest } from './blocks.js';
+import { t, formatList } from '../i18n/index.js';
+
+const BREAKDOWN_TERMS = [
+  'per subject',
+  'by subject',
+  'each subject',
+  'subject wise',
+  'subject-wise',
+  'subject breakdown',
+  'breakdown by subject'
+];
+
+const LOWEST_TERMS = ['which subject', 'what subject'];
+
+const SKIP_TERMS = ['bunk*', 'skip*', 'miss', 'missing', 'take leave', 'take a leave', 'leave class*', 'afford to'];
+
+// PER-SUBJECT ATTENDANCE RESPONSE
+function breakdownReply({ attendance, userName }) {
+  const subjectEntries = Object.entries(attendance.subjects || {});
+
+  if (subjectEntries.length === 0) {
+    return addressMaybe(t('attendance.noSubjectBreakdown'), userName);
+  }
+
+  const lines = [t('attendance.breakdownIntro')];
+
+  // Sort by percentage (lowest first) to highlight concerning subjects
+  const sortedSubjects = subjectEntries.sort((a, b) => {
+    const percentA = a[1].percentage || 0;
+    const percentB = b[1].percentage || 0;
+    return percentA - percentB;
+  });
+
+  sortedSubjects.forEach(([subjectName, data]) => {
+    const subPercent = data.percentage || 0;
+    const subAttended = data.attended || 0;
+    const subHeld = data.held || 0;
+
+    let indicator = '';
+    if (subPercent < ATTENDANCE_THRESHOLD) indicator = '⚠️';
+    else if (subPercent >= 85) indicator = '✓';
+
+    // The indicator brings its own space, so a line without one starts flush
+    lines.push(t('attendance.subjectLine', {
+      indicator: indicator && `${indicator} `,
+      subject: subjectName,
+      percent: subPercent,
+      attended: subAttended,
+      held: subHeld
+    }));
+  });
+
+  // Add summary
+  lines.push(t('attendance.overallLine', {
+    percent: attendance.percentage,
+    attended: attendance.totalAttended,
+    held: attendance.totalHeld
+  }));
+
+  return formatReply(lines);
+}
+
+// FIND LOWEST ATTENDANCE SUBJECT
+function lowestSubjectReply({ attendance, userName }) {
+  const subjects = attendance.subjects || {};
+  const subjectEntries = Object.entries(subjects);
+
+  if (subjectEntries.length === 0) {
+    return addressMaybe(t('attendance.noSubjectData'), userName);
+  }
+
+  // Find subject with lowest percentage
+  let lowestSubject = null;
+  let lowestPercent = 101;
+
+  subjectEntries.forEach(([name, data]) => {
+    const percent = data.percentage || 0;
+    if (percent < lowestPercent && data.held > 0) {
+      lowestPercent = percent;
+      lowestSubject = name;
+    }
+  });
+
+  if (lowestSubject && lowestPercent < ATTENDANCE_THRESHOLD) {
+    const data = subjects[lowestSubject];
+    const needed = classesNeeded(data.attended, data.held);
+    return addressMaybe(
+      t('attendance.lowestBelow', {
+        subject: lowestSubject,
+        percent: lowestPercent,
+        attended: data.attended,
+        held: data.held,
+        count: needed,
+        threshold: ATTENDANCE_THRESHOLD
+      }),
+      userName
+    );
+  }
+  if (lowestSubject) {
+    return addressMaybe(
+      t('attendance.lowestAbove', { subject: lowestSubject, percent: lowestPercent, threshold: ATTENDANCE_THRESHOLD }),
+      userName
+    );
+  }
+  return addressMaybe(t('attendance.allAbove', { threshold: ATTENDANCE_THRESHOLD }), userName);
+}
+
+// OVERALL ATTENDANCE RESPONSE
+function overallReply({ attendance, userName }) {
+  const { percentage, totalAttended: attended, totalHeld: held } = attendance;
+
+  const parts = [
+    t('attendance.overall', { percent: percentage, attended, held })
+  ];
+
+  if (percentage < ATTENDANCE_THRESHOLD) {
+    parts.push(t('attendance.belowThreshold', { threshold: ATTENDANCE_THRESHOLD }));
+    const needed = classesNeeded(attended, held);
+    if (needed > 0) {
+      parts.push(t('attendance.needInARow', { count: needed, threshold: ATTENDANCE_THRESHOLD }));
+    }
+
+    // Add note about subject breakdown if available
+    if (attendance.subjects && Object.keys(attendance.subjects).length > 0) {
+      parts.push(t('attendance.askBreakdown'));
+    }
+  } else if (percentage < 85) {
+    parts.push(t('attendance.acceptable'));
+  } else {
+    parts.push(t('attendance.good'));
+  }
+
+  return addressMaybe(parts.join(' '), userName);
+}
+
+// =========================================
+// WHAT-IF SIMULATOR ("can I bunk tomorrow?")
+// =========================================
+
+// "stay above 80", "keep 80%" — otherwise the configured threshold
+function thresholdFrom(lowerMessage) {
+  const match = lowerMessage.match(/\b(?:above|over|at least|minimum|min|keep|stay at|maintain)\s*(\d{2}(?:\.\d)?)\s*%?/);
+  const value = match ? parseFloat(match[1]) : NaN;
+  return value > 0 && value <= 100 ? value : ATTENDANCE_THRESHOLD;
+}
+
+// "skip 3", "miss 2 classes", "bunk 4 lectures"
+function skipCountFrom(lowerMessage) {
+  const match = lowerMessage.match(/\b(?:bunk|skip|miss)\w*\s+(\d{1,3})\b/) ||
+    lowerMessage.match(/\b(\d{1,3})\s+(?:more\s+)?(?:class|classes|lectures?)\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Attendance subjects named in the message
+function subjectsFrom(lowerMessage, subjects) {
+  return Object.keys(subjects).filter(name => hasTerm(lowerMessage, name.toLowerCase()));
+}
+
+const classCount = count => t('common.classCount', { count });
+
+// "Can I bunk tomorrow / on Friday / this week?"
+function skipDaysReply({ attendance, schedule, userName }, range, threshold) {
+  const dayIndexes = dayIndexesInRange(range);
+  const result = simulateSkippedDays(attendance, schedule, dayIndexes, threshold);
+
+  if (result.overall.skipped === 0) {
+    return { reply: addressMaybe(t('attendance.nothingToSkip', { when: range.label, percent: result.overall.before }), userName) };
+  }
+
+  const parts = [
+    t('attendance.skippingMeans', {
+      when: range.label,
+      count: result.overall.skipped,
+      classes: classCount(result.overall.skipped)
+    })
+  ];
+
+  result.subjects.forEach(subject => {
+    let note = '';
+    if (subject.dropsBelow) note = t('attendance.dropsBelow', { threshold });
+    else if (subject.belowAfter) note = t('attendance.alreadyBelow', { threshold });
+    parts.push(t('attendance.skipLine', {
+      subject: subject.name,
+      before: subject.before,
+      after: subject.after,
+      classes: classCount(subject.skipped),
+      note
+    }));
+  });
+
+  if (result.unknown.length > 0) {
+    parts.push(t('attendance.noRecordsFor', { subjects: result.unknown.join(', ') }));
+  }
+
+  parts.push(t('attendance.overallChange', { before: result.overall.before, after: result.overall.after }));
+
+  const atRisk = result.subjects.filter(subject => subject.belowAfter);
+  if (atRisk.length > 0 || result.overall.after < threshold) {
+    parts.push(t('attendance.betterAttend', {
+      subjects: atRisk.length > 0 ? formatList(atRisk.map(s => s.name)) : t('attendance.yourOverall'),
+      threshold
+    }));
+  } else {
+    parts.push(t('attendance.canAfford', { threshold }));
+  }
+
+  const forecast = attendanceForecast(
+    result.subjects.map(({ name, before, after, skipped }) => ({ subject: name, before, after, skipped })),
+    result.overall,
+    threshold
+  );
+  return { reply: addressMaybe(parts.join(' '), userName), blocks: [forecast] };
+}
+
+// "What will my attendance be if I skip 3?"
+function skipCountReply({ attendance, userName }, count, subjectNames, threshold) {
+  const subjects = attendance.subjects || {};
+
+  if (subjectNames.length > 0) {
+    const rows = subjectNames.map(name => {
+      const data = subjects[name];
+      return {
+        subject: name,
+        before: percentOf(data.attended, data.held),
+        after: simulateSkip(data, count).percentage,
+        skipped: count
+      };
+    });
+    const lines = rows.map(row => t('attendance.subjectAfterSkip', {
+      subject: row.subject,
+      before: row.before,
+      after: row.after,
+      classes: classCount(count),
+      warning: row.after < threshold ? t('attendance.belowWarning', { threshold }) : ''
+    }));
+    return { reply: addressMaybe(paragraph(lines), userName), blocks: [attendanceForecast(rows, null, threshold)] };
+  }
+
+  const after = simulateSkip({ attended: attendance.totalAttended, held: attendance.totalHeld }, count).percentage;
+  const warning = t(after < threshold ? 'attendance.overallBelow' : 'attendance.overallStill', { threshold });
+  const line = t('attendance.overallAfterSkip', {
+    classes: classCount(count),
+    before: attendance.percentage,
+    after,
+    warning
+  });
+  return {
+    reply: addressMaybe(line, userName),
+    blocks: [attendanceForecast([], { before: attendance.percentage, after, skipped: count }, threshold)]
+  };
+}
+
+// "How many (Physics) classes can I miss and stay above 75?"
+function skippableReply({ attendance, userName }, subjectNames, threshold) {
+  const subjects = attendance.subjects || {};
+
+  if (subjectNames.length > 0) {
+    const lines = subjectNames.map(name => {
+      const { attended = 0, held = 0 } = subjects[name];
+      const canSkip = skippableClasses(attended, held, threshold);
+      if (canSkip > 0) {
+        return t('attendance.canMissSubject', { count: canSkip, subject: name, threshold, percent: percentOf(attended, held) });
+      }
+      const needed = classesNeeded(attended, held, threshold);
+      // Exactly at the threshold: nothing to catch up on, but no class to spare
+      if (needed === 0) {
+        return t('attendance.atThresholdSubject', { subject: name, percent: percentOf(attended, held), threshold });
+      }
+      return t('attendance.cannotMissSubject', { subject: name, percent: percentOf(attended, held), needed, threshold });
+    });
+    return { reply: addressMaybe(paragraph(lines), userName), blocks: [attendanceTable(attendance, threshold)] };
+  }
+
+  const overallSkippable = skippableClasses(attendance.totalAttended, attendance.totalHeld, threshold);
+  const overallNeeded = classesNeeded(attendance.totalAttended, attendance.totalHeld, threshold);
+  let overallLine;
+  if (overallSkippable > 0) {
+    overallLine = t('attendance.canMissOverall', { count: overallSkippable, threshold });
+  } else if (overallNeeded === 0) {
+    overallLine = t('attendance.atThresholdOverall', { threshold });
+  } else {
+    overallLine = t('attendance.cannotMissOverall', { needed: overallNeeded, threshold });
+  }
+  const lines = [overallLine];
+
+  const entries = Object.entries(subjects);
+  if (entries.length > 0) {
+    lines.push(t('attendance.bySubject'));
+    entries
+      .map(([name, data]) => [name, skippableClasses(data.attended || 0, data.held || 0, threshold)])
+      .sort((a, b) => a[1] - b[1])
+      .forEach(([name, canSkip]) => {
+        lines.push(t('attendance.skippableLine', {
+          indicator: canSkip === 0 ? '⚠️' : '•',
+          subject: name,
+          count: canSkip === 0 ? t('attendance.none') : canSkip
+        }));
+      });
+  }
+
+  return {
+    reply: formatReply(lines),
+    blocks: [entries.length > 0 ? attendanceTable(attendance, threshold) : attendanceStat(attendance)]
+  };
+}
+
+// { reply, blocks } for a what-if question
+function simulateReply(ctx) {
+  const { attendance, lowerMessage, dateRange } = ctx;
+  const threshold = thresholdFrom(lowerMessage);
+  const subjectNames = subjectsFrom(lowerMessage, attendance.subjects || {});
+  const count = skipCountFrom(lowerMessage);
+
+  if (dateRange?.end && count === null) return skipDaysReply(ctx, dateRange, threshold);
+  if (count !== null) return skipCountReply(ctx, count, subjectNames, threshold);
+  return skippableReply(ctx, subjectNames, threshold);
+}
+
+// 📊 ATTENDANCE INSIGHTS - UPDATED WITH PER-SUBJECT
+export default {
+  name: 'attendance',
+  priority: 30,
+
+  match({ lowerMessage }) {
+    return scoreTerms(lowerMessage, {
+      'attendance': 3,
+      'present': 1,
+      'absent': 2,
+      'percentage': 1,
+      'bunk*': 3,
+      'skip*': 2,
+      'miss': 2,
+      'take leave': 2,
+      'take a leave': 2,
+      'leave class*': 2,
+      'stay above': 2,
+      'which subject': 1,
+      'what subject': 1
+    });
+  },
+
+  handle(ctx) {
+    const { attendance, lowerMessage, userName } = ctx;
+    const intent = 'ATTENDANCE_INSIGHTS';
+
+    if (!(attendance?.totalHeld > 0)) {
+      return {
+        intent,
+        reply: addressMaybe(t('attendance.noRecords'), userName)
+      };
+    }
+
+    const hasSubjects = Object.keys(attendance.subjects || {}).length > 0;
+    const table = hasSubjects ? attendanceTable(attendance) : attendanceStat(attendance);
+
+    // What-if questions: skipping days, a number of classes, or "how many can I miss"
+    if (hasAnyTerm(lowerMessage, SKIP_TERMS)) {
+      return {
+        intent: 'ATTENDANCE_SIMULATION',
+        ...simulateReply(ctx),
+        suggestions: suggest(hasSubjects && 'attendanceBySubject', 'attendance')
+      };
+    }
+
+    // Check if asking for per-subject attendance
+    if (hasAnyTerm(lowerMessage, BREAKDOWN_TERMS)) {
+      return {
+        intent,
+        reply: breakdownReply(ctx),
+        blocks: [table],
+        suggestions: suggest(hasSubjects && 'lowestAttendance', 'canSkip')
+      };
+    }
+
+    if (
+      hasAnyTerm(lowerMessage, LOWEST_TERMS) ||
+      /subject.*low|low.*subject/.test(lowerMessage) ||
+      /subject.*below|below.*subject/.test(lowerMessage)
+    ) {
+      return { intent, reply: lowestSubjectReply(ctx), blocks: [table], suggestions: suggest('canSkip') };
+    }
+
+    return {
+      intent,
+      reply: overallReply(ctx),
+      blocks: [attendanceStat(attendance)],
+      suggestions: suggest(hasSubjects && 'attendanceBySubject', 'canSkip')
+    };
+  }
+};
@@ -0,0 +1,259 @@
+// intents/blocks.js
+import { ATTENDANCE_THRESHOLD, classesNeeded, skippableClasses } from '../services/attendance.service.js';
+import { semesterScore, computeCgpa } from '../services/grades.service.js';
+import { currentStyle } from '../utils/style.util.js';
+import { parseClockTime, toClockTime } from '../utils/schedule.util.js';
+import { daysBetween } from '../utils/date.util.js';
+import { t, formatWeekday } from '../i18n/index.js';
+
+/*
+ * Structured reply payloads.
+ *
+ * Next to the plain `reply` (kept for older clients), a handler returns
+ *   blocks       typed data for the app to render, in reply order
+ *   suggestions  quick-reply chips { id, label, message }; tapping one
+ *                sends `message` as the next chat message
+ *
+ * Blocks hold raw values - dates 'YYYY-MM-DD', times 'HH:MM', numbers as
+ * numbers - and only titles and labels come in the reply language:
+ *   stat                 { key, label, value, unit, status }
+ *   attendance_table     { title, threshold, rows, overall }
+ *                        rows: { subject, attended, held, percentage,
+ *                                classesNeeded, classesSkippable, status }
+ *   attendance_forecast  { title, threshold, rows, overall }
+ *                        rows: { subject, before, after, skipped, status }
+ *   semester_list        { title, cgpa, weighted, items: { semester, sgpa, credits } }
+ *   cgpa_target          { title, target, currentCgpa, requiredSgpa, bestPossible,
+ *                          remainingSemesters, status }
+ *   deadline_list        { title, items: { id, title, subject, dueDate, dueTime,
+ *                                          daysLeft, count, effortMinutes, priority } }
+ *   countdown            { kind, title, date, daysLeft }   kind: exam, holiday, event, deadline
+ *   event_list           { title, items: { date, daysLeft, category, title } }
+ *   class_list           { title, date, dayIndex, items: { name, start, end, room } }
+ *   free_slots           { title, date, items: { start, end, minutes } }
+ *   week_overview        { title, busiestDay, items: { dayIndex, day, classes, today } }
+ *   session_list         { title, items: { date, start, end, minutes, name, subject } }
+ *   spending             { title, currency, total, categories: { category, amount, share } }
+ * A status is 'low' (below the threshold), 'ok' or 'good'.
+ */
+
+// At or above this an attendance percentage is 'good'
+const GOOD_ATTENDANCE = 85;
+
+// Chip id -> the message it sends, worded so the intent router picks it up
+export const SUGGESTIONS = {
+  attendance: 'my attendance',
+  attendanceBySubject: 'attendance by subject',
+  lowestAttendance: 'which subject has the lowest attendance',
+  canSkip: 'how many classes can I bunk',
+  latestGrades: 'my sgpa',
+  allSemesters: 'show all semesters',
+  gradeTrend: 'my grade trend',
+  todaysClasses: "today's classes",
+  tomorrowsClasses: 'classes tomorrow',
+  nextClass: 'next class',
+  freeTime: 'when am I free today',
+  busyWeek: 'how busy is my week',
+  allAssignments: 'my assignments',
+  nextDeadline: 'next deadline',
+  dueThisWeek: 'assignments due this week',
+  planWeek: 'plan my week',
+  revisionPlan: 'revision plan',
+  nextExam: 'when is my next exam',
+  nextHoliday: 'next holiday',
+  calendar: 'show my calendar',
+  spendingThisMonth: 'how much did I spend this month',
+  spendingBreakdown: 'my expenses',
+  compareLastMonth: 'compare spending with last month',
+  monthEndForecast: 'spending at this rate by month end'
+};
+
+/**
+ * Quick-reply chips for the given ids (falsy ids are skipped, so callers can
+ * write `cond && 'id'`)
+ */
+export const suggest = (...ids) => ids
+  .filter(Boolean)
+  .map(id => ({ id, label: t(`suggestions.${id}`), message: SUGGESTIONS[id] }));
+
+const attendanceStatus = (percentage, threshold = ATTENDANCE_THRESHOLD) => {
+  if (percentage < threshold) return 'low';
+  return percentage >= GOOD_ATTENDANCE ? 'good' : 'ok';
+};
+
+export const statBlock = (key, label, value, { unit = null, status = null } = {}) =>
+  ({ type: 'stat', key, label, value, unit, status });
+
+// Overall attendance as a stat
+export const attendanceStat = attendance => statBlock('attendance', t('blocks.attendance'), attendance.percentage, {
+  unit: '%',
+  status: attendanceStatus(attendance.percentage)
+});
+
+// Every subject, lowest first, with what it takes to stay above `threshold`
+export function attendanceTable(attendance, threshold = ATTENDANCE_THRESHOLD) {
+  const rows = Object.entries(attendance.subjects || {})
+    .map(([subject, { attended = 0, held = 0, percentage = 0 }]) => ({
+      subject,
+      attended,
+      held,
+      percentage,
+      classesNeeded: classesNeeded(attended, held, threshold),
+      classesSkippable: skippableClasses(attended, held, threshold),
+      status: attendanceStatus(percentage, threshold)
+    }))
+    .sort((a, b) => a.percentage - b.percentage);
+
+  return {
+    type: 'attendance_table',
+    title: t('blocks.attendanceBySubject'),
+    threshold,
+    rows,
+    overall: {
+      attended: attendance.totalAttended,
+      held: attendance.totalHeld,
+      percentage: attendance.percentage,
+      status: attendanceStatus(attendance.percentage, threshold)
+    }
+  };
+}
+
+// Before/after percentages for skipped classes; rows { subject, before, after, skipped }
+export const attendanceForecast = (rows, overall, threshold) => ({
+  type: 'attendance_forecast',
+  title: t('blocks.ifYouSkip'),
+  threshold,
+  rows: rows.map(row => ({ ...row, status: attendanceStatus(row.after, threshold) })),
+  overall: overall && { ...overall, status: attendanceStatus(overall.after, threshold) }
+});
+
+// Semesters in order, with the overall CGPA
+export function semesterList(cgpa) {
+  const overall = computeCgpa(cgpa);
+  return {
+    type: 'semester_list',
+    title: t('blocks.semesters'),
+    cgpa: overall.cgpa,
+    weighted: overall.weighted,
+    items: cgpa.map((sem, index) => ({
+      semester: sem.semester || sem.name || t('academic.semester', { number: index + 1 }),
+      sgpa: semesterScore(sem),
+      credits: Number(sem.credits) > 0 ? Number(sem.credits) : null
+    }))
+  };
+}
+
+// A planTargetCgpa result for `target`
+export const cgpaTarget = (plan, target) => ({
+  type: 'cgpa_target',
+  title: t('blocks.cgpaTarget'),
+  target,
+  currentCgpa: plan.currentCgpa,
+  requiredSgpa: plan.requiredSgpa,
+  bestPossible: plan.bestPossible,
+  remainingSemesters: plan.remainingSemesters,
+  status: plan.status
+});
+
+// Assignment records (see assignment.service.js), as given
+export const deadlineList = (list, today) => ({
+  type: 'deadline_list',
+  title: t('blocks.deadlines'),
+  items: list.map(assignment => ({
+    id: assignment.id,
+    title: assignment.title,
+    subject: assignment.subject,
+    dueDate: assignment.dueDate,
+    dueTime: assignment.dueTime,
+    daysLeft: daysBetween(today, assignment.dueDate),
+    count: assignment.count,
+    effortMinutes: assignment.effortAssumed ? null : assignment.effortMinutes,
+    priority: assignment.priority
+  }))
+});
+
+export const countdown = (kind, title, date, today) =>
+  ({ type: 'countdown', kind, title, date, daysLeft: daysBetween(today, date) });
+
+// Calendar marks, as given
+export const eventList = (marks, today) => ({
+  type: 'event_list',
+  title: t('blocks.dates'),
+  items: marks.map(mark => ({
+    date: mark.date,
+    daysLeft: daysBetween(today, mark.date),
+    category: mark.categoryName || null,
+    title: mark.title || null
+  }))
+});
+
+// One day's classes; times when the timetable has readable ones
+export function classList(schedule, dayIndex, date = null) {
+  const items = schedule.getClassesForDay(dayIndex).map(cls => {
+    const start = parseClockTime(cls.startTime);
+    const end = parseClockTime(cls.endTime);
+    const timed = start !== null && end !== null && end > start;
+    return {
+      name: cls.name || cls.subject || t('timetable.unnamedClass'),
+      start: timed ? toClockTime(start) : null,
+      end: timed ? toClockTime(end) : null,
+      room: cls.room || cls.location || null
+    };
+  });
+
+  return { type: 'class_list', title: t('blocks.classesOn', { day: formatWeekday(dayIndex) }), date, dayIndex, items };
+}
+
+export const freeSlots = (slots, date) => ({
+  type: 'free_slots',
+  title: t('blocks.freeTime'),
+  date,
+  items: slots.map(({ start, end }) => ({ start: toClockTime(start), end: toClockTime(end), minutes: end - start }))
+});
+
+// Classes per weekday
+export function weekOverview(schedule, todayIndex) {
+  const { busiestDay } = schedule.analyzeWeeklyPattern();
+  return {
+    type: 'week_overview',
+    title: t('blocks.week'),
+    busiestDay: busiestDay.day,
+    items: Array.from({ length: 7 }, (_, dayIndex) => ({
+      dayIndex,
+      day: formatWeekday(dayIndex),
+      classes: schedule.getClassesForDay(dayIndex).length,
+      today: dayIndex === todayIndex
+    }))
+  };
+}
+
+// Planned study sessions (see planStudy / planRevision); `nameOf` labels each
+export const sessionList = (title, sessions, nameOf) => ({
+  type: 'session_list',
+  title,
+  items: sessions.map(session => ({
+    date: session.date,
+    start: toClockTime(session.start),
+    end: toClockTime(session.end),
+    minutes: session.minutes,
+    name: nameOf(session),
+    subject: session.subject || null
+  }))
+});
+
+// Category -> amount, largest first, with each one's share of `total`
+export function spending(title, total, categories = {}) {
+  return {
+    type: 'spending',
+    title,
+    currency: currentStyle().currency,
+    total,
+    categories: Object.entries(categories)
+      .sort((a, b) => b[1] - a[1])
+      .map(([category, amount]) => ({
+        category,
+        amount,
+        share: total > 0 ? Math.round((amount / total) * 1000) / 10 : 0
+      }))
+  };
+}
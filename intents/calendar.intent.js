@@ -0,0 +1,149 @@
+// intents/calendar.intent.js
+import { hasTerm, hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe, formatReply } from '../utils/format.util.js';
+import { daysUntil, getFutureDates } from '../utils/schedule.util.js';
+import { daysBetween, formatDay, inRange, isDateKey } from '../utils/date.util.js';
+import { HOLIDAY_WORDS, EXAM_WORDS, categoryMatches } from '../services/calendar.service.js';
+import { countdown, eventList, suggest } from './blocks.js';
+import { t, formatDaysAway } from '../i18n/index.js';
+
+// Marked dates inside a resolved range ("exams in the next 10 days"), as { reply, blocks }
+function rangeReply({ calendarMarks, lowerMessage, today, userName }, range) {
+  // [catalogue key when there are none, when there are some]
+  let kind = ['calendar.noMarked', 'calendar.markedIn'];
+  let marks = calendarMarks
+    .filter(mark => isDateKey(mark?.date) && inRange(mark.date, range))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (hasTerm(lowerMessage, 'holiday*')) {
+    kind = ['calendar.noHolidaysIn', 'calendar.holidaysIn'];
+    marks = marks.filter(mark => categoryMatches(mark, HOLIDAY_WORDS));
+  } else if (hasTerm(lowerMessage, 'exam*')) {
+    kind = ['calendar.noExamsIn', 'calendar.examsIn'];
+    marks = marks.filter(mark => categoryMatches(mark, EXAM_WORDS));
+  }
+
+  if (marks.length === 0) {
+    return { reply: addressMaybe(t(kind[0], { when: range.label }), userName) };
+  }
+
+  const lines = [t(kind[1], { count: marks.length, when: range.label })];
+  marks.forEach(mark => {
+    lines.push(t('calendar.rangeLine', {
+      date: formatDay(mark.date),
+      category: mark.categoryName,
+      when: formatDaysAway(daysBetween(today, mark.date))
+    }));
+  });
+  return { reply: formatReply(lines), blocks: [eventList(marks, today)] };
+}
+
+// 📅 CALENDAR & EVENTS - CLEAN FORMATTING
+export default {
+  name: 'calendar',
+  priority: 60,
+
+  match({ lowerMessage }) {
+    return scoreTerms(lowerMessage, {
+      'calendar': 3,
+      'event*': 2,
+      'exam*': 3,
+      'holiday*': 3,
+      'important date*': 3,
+      'meeting*': 2
+    });
+  },
+
+  handle(ctx) {
+    const { calendarMarks, lowerMessage, today, userName, dateRange } = ctx;
+    const intent = 'CALENDAR_MANAGEMENT';
+
+    if (calendarMarks.length === 0) {
+      return { intent, reply: addressMaybe(t('calendar.clear'), userName) };
+    }
+
+    if (dateRange) {
+      return { intent, ...rangeReply(ctx, dateRange), suggestions: suggest('calendar') };
+    }
+
+    const futureDates = getFutureDates(calendarMarks, today);
+
+    if (hasTerm(lowerMessage, 'holiday*')) {
+      const holidays = futureDates.filter(d => categoryMatches(d, HOLIDAY_WORDS));
+
+      if (holidays.length === 0) {
+        return { intent, reply: addressMaybe(t('calendar.noHolidays'), userName) };
+      }
+
+      const nextHoliday = holidays[0];
+      return {
+        intent,
+        reply: addressMaybe(
+          t('calendar.nextHoliday', { date: formatDay(nextHoliday.date), count: daysUntil(nextHoliday.date, today) }),
+          userName
+        ),
+        blocks: [countdown('holiday', nextHoliday.title || nextHoliday.categoryName, nextHoliday.date, today)],
+        suggestions: suggest('calendar')
+      };
+    }
+
+    if (hasTerm(lowerMessage, 'exam*')) {
+      const exams = futureDates.filter(d => categoryMatches(d, EXAM_WORDS));
+
+      if (exams.length === 0) {
+        return { intent, reply: addressMaybe(t('calendar.noExams'), userName) };
+      }
+
+      const nextExam = exams[0];
+      return {
+        intent,
+        reply: addressMaybe(
+          t('calendar.nextExam', { date: formatDay(nextExam.date), count: daysUntil(nextExam.date, today) }),
+          userName
+        ),
+        blocks: [countdown('exam', nextExam.title || nextExam.categoryName, nextExam.date, today)],
+        suggestions: suggest('revisionPlan', 'calendar')
+      };
+    }
+
+    if (futureDates.length === 0) {
+      return { intent, reply: addressMaybe(t('calendar.noUpcoming'), userName) };
+    }
+
+    if (hasAnyTerm(lowerMessage, ['next', 'upcoming'])) {
+      const nextDate = futureDates[0];
+      return {
+        intent,
+        reply: addressMaybe(
+          t('calendar.nextMarked', {
+            date: formatDay(nextDate.date),
+            category: nextDate.categoryName,
+            when: formatDaysAway(daysUntil(nextDate.date, today))
+          }),
+          userName
+        ),
+        blocks: [countdown('event', nextDate.title || nextDate.categoryName, nextDate.date, today)],
+        suggestions: suggest('calendar')
+      };
+    }
+
+    // Show ALL dates with clean bullet points
+    const lines = [t('calendar.upcomingIntro', { count: futureDates.length })];
+
+    futureDates.forEach((d, i) => {
+      lines.push(t('calendar.upcomingLine', {
+        index: i + 1,
+        date: formatDay(d.date),
+        category: d.categoryName,
+        when: formatDaysAway(daysUntil(d.date, today))
+      }));
+    });
+
+    return {
+      intent,
+      reply: formatReply(lines),
+      blocks: [eventList(futureDates, today)],
+      suggestions: suggest('nextExam', 'nextHoliday')
+    };
+  }
+};
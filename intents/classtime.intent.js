@@ -0,0 +1,188 @@
+// intents/classtime.intent.js
+import { hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe } from '../utils/format.util.js';
+import { dayIndexOf } from '../utils/date.util.js';
+import { classList, freeSlots, suggest } from './blocks.js';
+import { t, formatTime, formatDuration, formatWeekday, formatList } from '../i18n/index.js';
+
+const NOW_TERMS = ['right now', 'in class', 'current class', 'class now'];
+const FREE_TERMS = ['free slot*', 'free time', 'gap*', 'break', 'breaks', 'when am i free', 'free today', 'free now'];
+const FINISH_TERMS = ['finish*', 'done for the day', 'last class', 'last lecture', 'get off', 'day end*'];
+
+const className = cls => cls.name || cls.subject || t('timetable.unnamedClass');
+const roomOf = cls => (cls.room || cls.location ? t('classTime.room', { room: cls.room || cls.location }) : '');
+
+const classParams = cls => ({
+  name: className(cls),
+  room: roomOf(cls),
+  start: formatTime(cls.start),
+  end: formatTime(cls.end)
+});
+
+// The day asked about: a single date in the question, else today
+function targetDay({ today, todayIndex, dateRange }) {
+  if (dateRange?.kind === 'day' && dateRange.start !== today) {
+    return { dayIndex: dayIndexOf(dateRange.start), date: dateRange.start, when: dateRange.label, isToday: false };
+  }
+  return { dayIndex: todayIndex, date: today, when: t('dates.today'), isToday: true };
+}
+
+// Timed classes for the day, or the reply explaining why there are none
+function timedClasses({ schedule }, { dayIndex, when }) {
+  const classes = schedule.getTimedClassesForDay(dayIndex);
+  if (classes.length > 0) return { classes };
+
+  return {
+    reply: schedule.getClassesForDay(dayIndex).length === 0
+      ? t('timetable.noClassesOn', { when })
+      : t('classTime.noTimes', { when })
+  };
+}
+
+// First timed class after today, up to a week ahead
+function nextDayReply({ schedule, todayIndex }) {
+  for (let ahead = 1; ahead <= 7; ahead++) {
+    const dayIndex = (todayIndex + ahead) % 7;
+    const [first] = schedule.getTimedClassesForDay(dayIndex);
+    if (first) {
+      return ahead === 1
+        ? t('classTime.nextTomorrow', classParams(first))
+        : t('classTime.nextOn', { ...classParams(first), day: formatWeekday(dayIndex) });
+    }
+  }
+  return null;
+}
+
+// "what's my next class", "am I in class right now"
+function nowReply(ctx, day, minutes) {
+  const { classes, reply } = timedClasses(ctx, day);
+  if (reply) return reply;
+
+  if (!day.isToday) return t('classTime.firstOn', { ...classParams(classes[0]), when: day.when });
+
+  const current = classes.find(cls => cls.start <= minutes && minutes < cls.end);
+  const next = classes.find(cls => cls.start > minutes);
+  const parts = [];
+
+  if (current) {
+    parts.push(t('classTime.inClass', { ...classParams(current), left: formatDuration(current.end - minutes) }));
+  } else if (hasAnyTerm(ctx.lowerMessage, NOW_TERMS)) {
+    parts.push(t('classTime.notInClass'));
+  }
+
+  if (next) {
+    parts.push(t('classTime.next', { ...classParams(next), wait: formatDuration(next.start - minutes) }));
+  } else {
+    parts.push(t('classTime.noMoreToday'), nextDayReply(ctx));
+  }
+
+  return parts.filter(Boolean).join(' ');
+}
+
+// "when am I free today" - the breaks between classes
+function freeReply(ctx, day, minutes) {
+  const { classes, reply } = timedClasses(ctx, day);
+  if (reply) return reply;
+
+  const lastEnd = Math.max(...classes.map(cls => cls.end));
+  if (day.isToday && minutes >= lastEnd) {
+    return t('classTime.doneForToday', { end: formatTime(lastEnd) });
+  }
+
+  const from = day.isToday ? minutes : null;
+  const slots = ctx.schedule.getFreeSlots(day.dayIndex, { from });
+  const after = t('classTime.freeAfter', { end: formatTime(lastEnd) });
+
+  if (classes.length === 1) {
+    return `${t('classTime.onlyClass', { ...classParams(classes[0]), when: day.when })} ${after}`;
+  }
+  if (slots.length === 0) {
+    const start = from === null ? classes[0].start : Math.max(from, classes[0].start);
+    return `${t('classTime.backToBack', { when: day.when, start: formatTime(start), end: formatTime(lastEnd) })} ${after}`;
+  }
+
+  const lines = slots.map(slot => t('classTime.slot', {
+    start: formatTime(slot.start),
+    end: formatTime(slot.end),
+    length: formatDuration(slot.end - slot.start)
+  }));
+  return `${t('classTime.freeSlots', { when: day.when, slots: formatList(lines) })} ${after}`;
+}
+
+// "when do I finish today"
+function finishReply(ctx, day, minutes) {
+  const { classes, reply } = timedClasses(ctx, day);
+  if (reply) return reply;
+
+  const last = classes.reduce((latest, cls) => (cls.end > latest.end ? cls : latest));
+  if (day.isToday && minutes >= last.end) {
+    return t('classTime.finished', { end: formatTime(last.end) });
+  }
+
+  const finish = t('classTime.finish', { ...classParams(last), when: day.when });
+  return day.isToday
+    ? `${finish} ${t('classTime.finishIn', { wait: formatDuration(last.end - minutes) })}`
+    : finish;
+}
+
+// 🕘 CLASS TIMES - next class, free slots and finishing time from the
+// timetable's start/end times, on the student's clock
+export default {
+  name: 'classTime',
+  priority: 65,
+
+  match({ lowerMessage, dateRange }) {
+    // Ranges ("this week") are the timetable's overview
+    if (dateRange && dateRange.kind !== 'day') return 0;
+
+    return scoreTerms(lowerMessage, {
+      'next class*': 4,
+      'next lecture*': 4,
+      'upcoming class*': 3,
+      'first class': 4,
+      'right now': 3,
+      'in class': 3,
+      'current class': 4,
+      'class now': 3,
+      'free slot*': 4,
+      'free time': 3,
+      'gap*': 3,
+      'break': 2,
+      'breaks': 2,
+      'when am i free': 4,
+      'free today': 3,
+      'free now': 3,
+      'finish*': 3,
+      'done for the day': 4,
+      'last class': 4,
+      'last lecture': 4,
+      'get off': 2,
+      'day end*': 2
+    });
+  },
+
+  handle(ctx) {
+    const { lowerMessage, schedule, hour, minute, userName } = ctx;
+    const day = targetDay(ctx);
+    const minutes = hour * 60 + minute;
+    const classes = classList(schedule, day.dayIndex, day.date);
+    const blocks = classes.items.length > 0 ? [classes] : [];
+
+    let reply;
+    let suggestions;
+    if (hasAnyTerm(lowerMessage, FINISH_TERMS)) {
+      reply = finishReply(ctx, day, minutes);
+      suggestions = suggest('freeTime', 'tomorrowsClasses');
+    } else if (hasAnyTerm(lowerMessage, FREE_TERMS)) {
+      reply = freeReply(ctx, day, minutes);
+      const slots = schedule.getFreeSlots(day.dayIndex, { from: day.isToday ? minutes : null });
+      if (slots.length > 0) blocks.unshift(freeSlots(slots, day.date));
+      suggestions = suggest('nextClass', 'planWeek');
+    } else {
+      reply = nowReply(ctx, day, minutes);
+      suggestions = suggest('freeTime', 'todaysClasses');
+    }
+
+    return { intent: 'CLASS_TIMING', reply: addressMaybe(reply, userName), blocks, suggestions };
+  }
+};
@@ -0,0 +1,295 @@
+// intents/expenses.intent.js
+import { hasTerm, hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe, paragraph } from '../utils/format.util.js';
+import { compareMonths, hasExpenses, projectMonthEnd, spendInRange } from '../services/expense.service.js';
+import { spending, statBlock, suggest } from './blocks.js';
+import { currentStyle } from '../utils/style.util.js';
+import { t, formatList, formatMoney, formatNumber } from '../i18n/index.js';
+
+const SPEND_TERMS = ['spend*', 'spent', 'expense*'];
+
+const COMPARE_TERMS = ['compare*', 'comparison', 'vs', 'versus'];
+
+const PROJECTION_TERMS = [
+  'at this rate',
+  'month end',
+  'end of the month',
+  'end of month',
+  'by the end',
+  'forecast*',
+  'project*',
+  'on track'
+];
+
+const hasLedger = expenses => Array.isArray(expenses?.transactions) && expenses.transactions.length > 0;
+
+// The 1st of this month to today; "this month" in a spending question looks back
+const monthToDate = today => ({ start: `${today.slice(0, 7)}-01`, end: today, label: t('dates.thisMonth') });
+
+// Ledger category named in the message ("food", "travel")
+function categoryFrom(lowerMessage, transactions) {
+  const categories = [...new Set(transactions.map(tx => tx.category))];
+  return categories.find(category => hasTerm(lowerMessage, category.toLowerCase())) || null;
+}
+
+// "This month vs last month" sentence from the ledger
+function comparisonLine(comparison) {
+  if (comparison.lastMonthToDate === 0) {
+    return comparison.hasLastMonth
+      ? t('expenses.nothingLastMonthToDate', { amount: formatMoney(comparison.lastMonth) })
+      : null;
+  }
+
+  const difference = comparison.thisMonth - comparison.lastMonthToDate;
+  if (Math.abs(comparison.change) < 5) {
+    return t('expenses.aboutSame', { amount: formatMoney(comparison.lastMonthToDate) });
+  }
+  return t(difference > 0 ? 'expenses.moreThanLastMonth' : 'expenses.lessThanLastMonth', {
+    amount: formatMoney(Math.abs(difference)),
+    change: `${formatNumber(comparison.change, { decimals: 0, signed: true })}%`
+  });
+}
+
+function projectionLine(projection) {
+  if (projection.daysLeft === 0) return null;
+  return t('expenses.projection', {
+    daily: formatMoney(projection.dailyAverage),
+    projected: formatMoney(projection.projected)
+  });
+}
+
+// Biggest movers by category, month-to-date against last month
+function categoryTrendLine(comparison) {
+  const movers = comparison.categoryTrends
+    .filter(trend => trend.change !== null && Math.abs(trend.change) >= 20)
+    .slice(0, 2)
+    .map(trend => t(trend.change > 0 ? 'expenses.categoryUp' : 'expenses.categoryDown', {
+      category: trend.category,
+      change: formatNumber(Math.abs(trend.change), { decimals: 0 })
+    }));
+
+  const fresh = comparison.categoryTrends
+    .filter(trend => trend.lastMonthToDate === 0 && trend.thisMonth > 0)
+    .slice(0, 1)
+    .map(trend => t('expenses.categoryNew', { category: trend.category, amount: formatMoney(trend.thisMonth) }));
+
+  const parts = [...movers, ...fresh];
+  return parts.length > 0 ? t('expenses.comparedSoFar', { changes: parts.join(', ') }) : null;
+}
+
+// 🧾 SPENDING IN A PERIOD / CATEGORY ("food last week"), as { reply, blocks }
+function periodReply({ expenses, dateRange, userName }, category) {
+  const transactions = expenses.transactions;
+
+  if (!dateRange) {
+    const all = spendInRange(transactions, { start: '0000-01-01', end: null }, category);
+    return {
+      reply: addressMaybe(t('expenses.totalOn', { amount: formatMoney(all.total), category, count: all.count }), userName),
+      blocks: [spending(t('blocks.spending'), all.total, all.categories)]
+    };
+  }
+
+  const result = spendInRange(transactions, dateRange, category);
+  const when = dateRange.label;
+
+  if (result.count === 0) {
+    return { reply: addressMaybe(t(category ? 'expenses.nothingOnIn' : 'expenses.nothingIn', { category, when }), userName) };
+  }
+
+  const parts = [t(category ? 'expenses.spentOnIn' : 'expenses.spentIn', {
+    amount: formatMoney(result.total),
+    category,
+    when,
+    count: result.count
+  })];
+
+  if (!category) {
+    const top = Object.entries(result.categories).sort((a, b) => b[1] - a[1]).slice(0, 2);
+    if (top.length > 1) {
+      const categories = top.map(([name, amount]) => t('expenses.categoryAmount', { category: name, amount: formatMoney(amount) }));
+      parts.push(t('expenses.mostly', { categories: formatList(categories) }));
+    }
+  }
+
+  return {
+    reply: addressMaybe(parts.join(' '), userName),
+    blocks: [spending(t('blocks.spendingIn', { when }), result.total, result.categories)]
+  };
+}
+
+// Comparison with last month and the month-end projection from a ledger; a
+// projection question leads with the projection
+function withLedgerLines([headline, note], transactions, { lowerMessage, today }) {
+  const comparison = comparisonLine(compareMonths(transactions, today));
+  const projection = projectionLine(projectMonthEnd(transactions, today));
+
+  return hasAnyTerm(lowerMessage, PROJECTION_TERMS)
+    ? [headline, projection, comparison]
+    : [headline, comparison, projection || note];
+}
+
+// One category's month so far ("how does my food spending compare")
+function categoryMonthReply(ctx, category) {
+  const transactions = ctx.expenses.transactions.filter(tx => tx.category === category);
+  const range = monthToDate(ctx.today);
+  const month = spendInRange(transactions, range);
+  const when = range.label;
+  const headline = month.count === 0
+    ? t('expenses.nothingOnIn', { category, when })
+    : t('expenses.spentOnIn', { amount: formatMoney(month.total), category, when, count: month.count });
+
+  return paragraph(withLedgerLines([headline], transactions, ctx));
+}
+
+// 🎯 MONTHLY EXPENSE QUERY (a ledger category narrows it to that category)
+function monthlyReply(ctx, category = null) {
+  const { expenses, userName } = ctx;
+  if (category) return categoryMonthReply(ctx, category);
+
+  if (!hasExpenses(expenses) || typeof expenses.thisMonth !== 'number') {
+    return addressMaybe(t('expenses.noMonthRecords'), userName);
+  }
+
+  const amount = formatMoney(expenses.thisMonth);
+  let lines;
+
+  if (expenses.thisMonth > 10000) {
+    lines = [t('expenses.highMonth', { amount }), t('expenses.reviewSpending')];
+  } else if (expenses.thisMonth > 5000) {
+    lines = [t('expenses.moderateMonth', { amount }), t('expenses.moderateNote')];
+  } else {
+    lines = [t('expenses.lowMonth', { amount }), t('expenses.lowNote')];
+  }
+
+  // With a dated ledger we can compare and project
+  if (hasLedger(expenses)) {
+    lines = withLedgerLines(lines, expenses.transactions, ctx);
+  }
+
+  return paragraph(lines);
+}
+
+// This month's spend and, with a ledger, where it is heading
+function monthBlocks({ expenses, today }, category = null) {
+  if (category) {
+    const month = spendInRange(expenses.transactions, monthToDate(today), category);
+    return [spending(t('blocks.spendingIn', { when: t('dates.thisMonth') }), month.total, month.categories)];
+  }
+  if (!hasExpenses(expenses) || typeof expenses.thisMonth !== 'number') return [];
+
+  const money = { unit: currentStyle().currency };
+  const blocks = [statBlock('thisMonth', t('blocks.spentThisMonth'), expenses.thisMonth, money)];
+  if (hasLedger(expenses)) {
+    const projection = projectMonthEnd(expenses.transactions, today);
+    if (projection.daysLeft > 0) {
+      blocks.push(statBlock('projected', t('blocks.projectedMonthEnd'), projection.projected, money));
+    }
+  }
+  return blocks;
+}
+
+// 💰 EXPENSE INSIGHTS
+function insightsReply(ctx) {
+  const { expenses, userName } = ctx;
+  if (!hasExpenses(expenses)) {
+    return addressMaybe(t('expenses.noRecords'), userName);
+  }
+
+  const total = expenses.total || 0;
+  const thisMonth = expenses.thisMonth || 0;
+  const categories = expenses.categories || {};
+
+  const parts = [
+    t('expenses.overview', { total: formatMoney(total), thisMonth: formatMoney(thisMonth) })
+  ];
+
+  if (thisMonth > 10000) {
+    parts.push(t('expenses.elevated'));
+  } else if (thisMonth > 5000) {
+    parts.push(t('expenses.reasonable'));
+  } else if (thisMonth > 0) {
+    parts.push(t('expenses.comfortable'));
+  }
+
+  if (hasLedger(expenses)) {
+    parts.push(categoryTrendLine(compareMonths(expenses.transactions, ctx.today)));
+  }
+
+  if (Object.keys(categories).length > 0) {
+    const sortedCategories = Object.entries(categories)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 2);
+
+    if (sortedCategories.length > 0) {
+      parts.push(t('expenses.mainAreas'));
+      sortedCategories.forEach(([cat, amt]) => {
+        const percentage = total > 0 ? formatNumber((amt / total) * 100, { decimals: 1 }) : 0;
+        parts.push(t('expenses.areaLine', { category: cat, amount: formatMoney(amt), percent: percentage }));
+      });
+    }
+  }
+
+  return addressMaybe(parts.filter(Boolean).join(' '), userName);
+}
+
+export default {
+  name: 'expenses',
+  priority: 20,
+
+  match({ lowerMessage, expenses }) {
+    // A ledger category named outright ("how much on travel") counts too
+    const categoryBonus = hasLedger(expenses) && categoryFrom(lowerMessage, expenses.transactions) ? 2 : 0;
+
+    return scoreTerms(lowerMessage, {
+      'spend*': 2,
+      'spent': 2,
+      'expense*': 3,
+      'money': 1,
+      'budget*': 1,
+      'cost*': 1,
+      'expensive': 1,
+      'saving*': 1,
+      'this month': 1,
+      'last month': 1,
+      'at this rate': 2,
+      'month end': 1
+    }) + categoryBonus;
+  },
+
+  handle(ctx) {
+    const { lowerMessage, expenses, dateRange, today } = ctx;
+    const category = hasLedger(expenses) ? categoryFrom(lowerMessage, expenses.transactions) : null;
+
+    // Compare / projection wording, or this month's total
+    if (
+      hasAnyTerm(lowerMessage, COMPARE_TERMS) ||
+      hasAnyTerm(lowerMessage, PROJECTION_TERMS) ||
+      (!category && hasTerm(lowerMessage, 'this month') && hasAnyTerm(lowerMessage, SPEND_TERMS))
+    ) {
+      return {
+        intent: 'EXPENSE_MONTHLY',
+        reply: monthlyReply(ctx, category),
+        blocks: monthBlocks(ctx, category),
+        suggestions: suggest(hasLedger(expenses) && 'compareLastMonth', hasLedger(expenses) && 'monthEndForecast', 'spendingBreakdown')
+      };
+    }
+
+    // "What did I spend on food last week?", "... last month?"
+    if (category || (hasLedger(expenses) && dateRange)) {
+      const range = hasTerm(lowerMessage, 'this month') ? monthToDate(today) : dateRange;
+      return {
+        intent: 'EXPENSE_INSIGHTS',
+        ...periodReply({ ...ctx, dateRange: range }, category),
+        suggestions: suggest('spendingThisMonth')
+      };
+    }
+
+    const hasAny = hasExpenses(expenses);
+    return {
+      intent: 'EXPENSE_INSIGHTS',
+      reply: insightsReply(ctx),
+      blocks: hasAny && expenses.categories ? [spending(t('blocks.spending'), expenses.total || 0, expenses.categories)] : [],
+      suggestions: hasAny ? suggest('spendingThisMonth', hasLedger(expenses) && 'compareLastMonth') : []
+    };
+  }
+};
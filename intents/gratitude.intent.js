@@ -0,0 +1,25 @@
+// intents/gratitude.intent.js
+import { scoreTerms } from './match.js';
+import { addressMaybe } from '../utils/format.util.js';
+import { t } from '../i18n/index.js';
+
+// 😊 GRATITUDE
+export default {
+  name: 'gratitude',
+  priority: 90,
+
+  match({ lowerMessage }) {
+    return scoreTerms(lowerMessage, {
+      'thank*': 2,
+      'thx': 2,
+      'appreciate*': 2
+    });
+  },
+
+  handle({ userName }) {
+    return {
+      intent: 'GRATITUDE',
+      reply: addressMaybe(t('gratitude.reply'), userName)
+    };
+  }
+};
@@ -0,0 +1,61 @@
+// intents/greeting.intent.js
+import { scoreTerms } from './match.js';
+import { formatReply, nameToUse } from '../utils/format.util.js';
+import { summaryLines } from '../services/briefing.service.js';
+import { classList, suggest } from './blocks.js';
+import { t } from '../i18n/index.js';
+
+// 👋 GREETINGS - WITH PROBABILISTIC NAME USAGE
+// Low weights on purpose: "hi, what's my attendance" belongs to attendance.
+export default {
+  name: 'greeting',
+  priority: 80,
+
+  match({ lowerMessage }) {
+    if (lowerMessage.trim() === '') return 1;
+
+    return scoreTerms(lowerMessage, {
+      'hi': 1,
+      'hii*': 1,
+      'hello': 1,
+      'hey': 1,
+      'good morning': 1,
+      'good afternoon': 1,
+      'good evening': 1
+    });
+  },
+
+  handle(context) {
+    const { userName, hour, schedule, today, todayIndex, assignmentCount, attendance } = context;
+
+    // Hour on the student's clock (see utils/time.util.js)
+    let greeting;
+    if (hour < 12) greeting = t('greeting.morning');
+    else if (hour < 17) greeting = t('greeting.afternoon');
+    else greeting = t('greeting.evening');
+
+    // Name usage for greetings (50% chance unless the student chose always/never)
+    const name = nameToUse(userName, 0.5);
+    const greetingLine = name ? t('greeting.withName', { greeting, name }) : t('greeting.alone', { greeting });
+
+    // The same summary the daily briefing pushes (see services/briefing.service.js)
+    const parts = [
+      greetingLine,
+      ...summaryLines(context),
+      t('greeting.anythingElse')
+    ];
+
+    const classes = classList(schedule, todayIndex, today);
+
+    return {
+      intent: 'GREETING',
+      reply: formatReply(parts),
+      blocks: classes.items.length > 0 ? [classes] : [],
+      suggestions: suggest(
+        classes.items.length > 0 && 'nextClass',
+        assignmentCount > 0 && 'nextDeadline',
+        attendance.totalHeld > 0 && 'attendance'
+      )
+    };
+  }
+};
@@ -0,0 +1,21 @@
+// intents/guidance.intent.js
+import { addressMaybe } from '../utils/format.util.js';
+import { suggest } from './blocks.js';
+import { t } from '../i18n/index.js';
+
+// 🤖 DEFAULT GUIDANCE - used when no handler matches
+export default {
+  name: 'guidance',
+
+  match() {
+    return 0;
+  },
+
+  handle({ userName }) {
+    return {
+      intent: 'GUIDANCE',
+      reply: addressMaybe(t('guidance.reply'), userName),
+      suggestions: suggest('busyWeek', 'nextExam', 'attendance', 'allAssignments', 'spendingThisMonth')
+    };
+  }
+};
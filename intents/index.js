@@ -0,0 +1,84 @@
+// intents/index.js
+import nameIntent from './name.intent.js';
+import expensesIntent from './expenses.intent.js';
+import attendanceIntent from './attendance.intent.js';
+import academicIntent from './academic.intent.js';
+import assignmentsIntent from './assignments.intent.js';
+import studyPlanIntent from './studyplan.intent.js';
+import revisionIntent from './revision.intent.js';
+import calendarIntent from './calendar.intent.js';
+import timetableIntent from './timetable.intent.js';
+import classTimeIntent from './classtime.intent.js';
+import greetingIntent from './greeting.intent.js';
+import gratitudeIntent from './gratitude.intent.js';
+import guidanceIntent from './guidance.intent.js';
+
+/*
+ * Intent handler registry.
+ *
+ * A handler is a plain object:
+ *   name      unique id (used in logs)
+ *   priority  tie-breaker, lower wins when two handlers score the same
+ *   match     (ctx) => number — 0 means "not mine", higher is more confident
+ *   handle    (ctx) => { intent, reply, blocks?, suggestions? } (may be async;
+ *             blocks and suggestions are described in blocks.js)
+ *
+ * The router asks every handler for a score and runs the best one, so a new
+ * intent is a new module plus one registerIntent() call — no ordering games.
+ */
+
+const handlers = [];
+
+export function registerIntent(handler) {
+  if (!handler?.name || typeof handler.match !== 'function' || typeof handler.handle !== 'function') {
+    throw new Error('Intent handler needs a name, match() and handle()');
+  }
+  if (handlers.some(h => h.name === handler.name)) {
+    throw new Error(`Intent handler "${handler.name}" is already registered`);
+  }
+
+  handlers.push({ priority: 100, ...handler });
+  handlers.sort((a, b) => a.priority - b.priority);
+}
+
+export function listIntents() {
+  return handlers.map(({ name, priority }) => ({ name, priority }));
+}
+
+/**
+ * Score every handler against the context and pick the best.
+ * Falls back to the guidance handler when nothing matches.
+ */
+export function resolveIntent(ctx) {
+  let best = null;
+  let bestScore = 0;
+  const scores = {};
+
+  for (const handler of handlers) {
+    const score = handler.match(ctx) || 0;
+    scores[handler.name] = score;
+
+    // Strictly greater: on a tie the earlier (higher-priority) handler keeps it
+    if (score > bestScore) {
+      best = handler;
+      bestScore = score;
+    }
+  }
+
+  return { handler: best || guidanceIntent, score: bestScore, scores };
+}
+
+[
+  nameIntent,
+  expensesIntent,
+  attendanceIntent,
+  academicIntent,
+  revisionIntent,
+  studyPlanIntent,
+  assignmentsIntent,
+  calendarIntent,
+  classTimeIntent,
+  timetableIntent,
+  greetingIntent,
+  gratitudeIntent
+].forEach(registerIntent);
@@ -0,0 +1,36 @@
+// intents/match.js
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const patternCache = new Map();
+
+/*
+ * Terms are matched on word boundaries, so "hi" no longer fires on "this"
+ * or "which". A trailing `*` makes a term a prefix: "assignment*" covers
+ * "assignment" and "assignments", "spend*" covers "spending".
+ */
+function termPattern(term) {
+  if (!patternCache.has(term)) {
+    const isPrefix = term.endsWith('*');
+    const body = escapeRegExp(isPrefix ? term.slice(0, -1) : term);
+    patternCache.set(term, new RegExp(`\\b${body}${isPrefix ? '' : '\\b'}`));
+  }
+  return patternCache.get(term);
+}
+
+export function hasTerm(text, term) {
+  return termPattern(term).test(text);
+}
+
+export function hasAnyTerm(text, terms) {
+  return terms.some(term => hasTerm(text, term));
+}
+
+/**
+ * Sum the weights of every term found in the text.
+ * `weights` maps term -> weight, e.g. { 'attendance': 3, 'present': 1 }.
+ */
+export function scoreTerms(text, weights) {
+  return Object.entries(weights)
+    .reduce((score, [term, weight]) => score + (hasTerm(text, term) ? weight : 0), 0);
+}
@@ -0,0 +1,26 @@
+// intents/name.intent.js
+import { scoreTerms } from './match.js';
+import { t } from '../i18n/index.js';
+
+// 👤 NAME QUERY
+export default {
+  name: 'name',
+  priority: 10,
+
+  match({ lowerMessage }) {
+    return scoreTerms(lowerMessage, {
+      'what is my name': 5,
+      'who am i': 5,
+      'do you know my name': 5,
+      "what's my name": 5,
+      'whats my name': 5
+    });
+  },
+
+  handle({ userName }) {
+    return {
+      intent: 'NAME_QUERY',
+      reply: t('name.reply', { name: userName })
+    };
+  }
+};
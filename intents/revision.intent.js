@@ -0,0 +1,115 @@
+// intents/revision.intent.js
+import { hasTerm, hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe, formatReply } from '../utils/format.util.js';
+import { formatDay } from '../utils/date.util.js';
+import { planRevision } from '../services/revision.service.js';
+import { countdown, sessionList, suggest } from './blocks.js';
+import { t, formatDaysAway, formatDuration, formatTime } from '../i18n/index.js';
+
+// Days of sessions one reply lays out; GET /revision has the rest
+const MAX_REPLY_DAYS = 7;
+
+// "Midterm (Physics)", unless the title already names the subject
+const examName = exam =>
+  exam.subject && !exam.title.toLowerCase().includes(exam.subject.toLowerCase())
+    ? t('revision.withSubject', { title: exam.title, subject: exam.subject })
+    : exam.title;
+
+function examLines(plan) {
+  return plan.exams
+    .filter(exam => exam.status !== 'LATER')
+    .map(exam => t(exam.weak ? 'revision.examLineWeak' : 'revision.examLine', {
+      name: examName(exam),
+      date: formatDay(exam.date),
+      when: formatDaysAway(exam.daysLeft),
+      total: formatDuration(exam.revisionMinutes)
+    }));
+}
+
+function sessionLines(plan) {
+  const byId = new Map(plan.exams.map(exam => [exam.id, exam]));
+  const planned = plan.days.filter(day => day.sessions.length > 0);
+
+  const lines = planned.slice(0, MAX_REPLY_DAYS).flatMap(day => [
+    t('studyPlan.dayLine', { date: formatDay(day.date) }),
+    ...day.sessions.map(session => t('studyPlan.sessionLine', {
+      start: formatTime(session.start),
+      end: formatTime(session.end),
+      name: examName(byId.get(session.examId))
+    }))
+  ]);
+
+  if (planned.length > MAX_REPLY_DAYS) {
+    lines.push(t('revision.moreDays', { count: planned.length - MAX_REPLY_DAYS }));
+  }
+  return lines;
+}
+
+// 📚 REVISION - exam revision spread over the free time before each exam
+export default {
+  name: 'revision',
+  priority: 44,
+
+  match({ lowerMessage }) {
+    const score = scoreTerms(lowerMessage, {
+      'revision*': 6,
+      'revise': 6,
+      'revising': 6
+    });
+
+    // "study plan for my exams", "prepare for exams": exams turn a plan into revision
+    const forExams = hasTerm(lowerMessage, 'exam*') &&
+      hasAnyTerm(lowerMessage, ['plan', 'study*', 'prepar*']) ? 9 : 0;
+
+    return score + forExams;
+  },
+
+  handle(ctx) {
+    const { today, hour, minute, userName } = ctx;
+    const intent = 'REVISION_PLAN';
+    const plan = planRevision(ctx, { today, nowMinutes: hour * 60 + minute });
+
+    if (plan.exams.length === 0) {
+      return { intent, reply: addressMaybe(t('revision.noExams'), userName), suggestions: suggest('calendar') };
+    }
+
+    const scheduled = plan.exams.filter(exam => exam.status !== 'LATER');
+    const intro = plan.totalMinutes > 0
+      ? addressMaybe(t('revision.intro', {
+        count: scheduled.length,
+        date: formatDay(plan.to),
+        total: formatDuration(plan.totalMinutes)
+      }), userName)
+      : addressMaybe(t('revision.noTime'), userName);
+
+    const warnings = plan.exams
+      .filter(exam => exam.status === 'AT_RISK')
+      .map(exam => t('revision.atRisk', {
+        name: examName(exam),
+        date: formatDay(exam.date),
+        short: formatDuration(exam.remainingMinutes)
+      }));
+
+    const later = plan.exams
+      .filter(exam => exam.status === 'LATER')
+      .map(exam => t('revision.later', {
+        name: examName(exam),
+        date: formatDay(exam.date),
+        remaining: formatDuration(exam.remainingMinutes)
+      }));
+
+    const byId = new Map(plan.exams.map(exam => [exam.id, exam]));
+    const sessions = plan.days.flatMap(day => day.sessions.map(session => ({ ...session, date: day.date })));
+    const [next] = plan.exams;
+
+    return {
+      intent,
+      reply: formatReply([intro, ...examLines(plan), ...warnings, ...sessionLines(plan), ...later]),
+      blocks: [
+        countdown('exam', examName(next), next.date, today),
+        sessionList(t('blocks.revisionPlan'), sessions, session => examName(byId.get(session.examId)))
+      ],
+      suggestions: suggest('planWeek', 'calendar')
+    };
+  }
+};
@@ -0,0 +1,116 @@
+// intents/studyplan.intent.js
+import { hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe, formatReply } from '../utils/format.util.js';
+import { daysBetween, formatDay } from '../utils/date.util.js';
+import {
+  PLAN_DEFAULTS,
+  assignmentsFromCounts,
+  assignmentFullName,
+  planStudy
+} from '../services/assignment.service.js';
+import { sessionList, suggest } from './blocks.js';
+import { t, formatDuration, formatTime } from '../i18n/index.js';
+
+// Longest plan one reply lays out
+const MAX_PLAN_DAYS = 14;
+
+// "plan my day" / "today" is one day; a range ("next week") runs to its end
+function planDays({ lowerMessage, dateRange, today }) {
+  if (hasAnyTerm(lowerMessage, ['my day', 'today', 'tonight'])) return 1;
+  if (!dateRange || dateRange.end === null || dateRange.end < today) return PLAN_DEFAULTS.days;
+  return Math.min(MAX_PLAN_DAYS, daysBetween(today, dateRange.end) + 1);
+}
+
+// What the plan can't cover, most urgent first
+function warningLines(plan) {
+  return plan.assignments.flatMap(assignment => {
+    const params = { name: assignmentFullName(assignment), date: formatDay(assignment.dueDate) };
+    if (assignment.planStatus === 'OVERDUE') return [t('studyPlan.overdue', params)];
+    if (assignment.planStatus === 'AT_RISK') {
+      return [t('studyPlan.atRisk', { ...params, short: formatDuration(assignment.remainingMinutes) })];
+    }
+    return [];
+  });
+}
+
+// Sessions grouped under their day
+function sessionLines(plan) {
+  const byId = new Map(plan.assignments.map(assignment => [assignment.id, assignment]));
+  const lines = [];
+  let day = null;
+
+  plan.sessions.forEach(session => {
+    if (session.date !== day) {
+      day = session.date;
+      lines.push(t('studyPlan.dayLine', { date: formatDay(day) }));
+    }
+    lines.push(t('studyPlan.sessionLine', {
+      start: formatTime(session.start),
+      end: formatTime(session.end),
+      name: assignmentFullName(byId.get(session.assignmentId))
+    }));
+  });
+  return lines;
+}
+
+// 🗓️ STUDY PLAN - spreads assignment effort over the free time around classes
+export default {
+  name: 'studyPlan',
+  priority: 45,
+
+  match({ lowerMessage }) {
+    return scoreTerms(lowerMessage, {
+      'plan my week': 6,
+      'plan my day': 6,
+      'plan my stud*': 6,
+      'plan my time': 5,
+      'study plan*': 6,
+      'study schedule': 5,
+      'when should i study': 5,
+      'when to study': 5,
+      'plan my*': 3,
+      'plan for': 1,
+      'study': 1
+    });
+  },
+
+  handle(ctx) {
+    const { assignments, assignmentList, schedule, today, hour, minute, userName } = ctx;
+    const intent = 'STUDY_PLAN';
+    const list = assignmentList ?? assignmentsFromCounts(assignments);
+
+    if (list.length === 0) {
+      return { intent, reply: addressMaybe(t('assignments.noPending'), userName) };
+    }
+
+    const days = planDays(ctx);
+    const plan = planStudy(list, schedule, { today, nowMinutes: hour * 60 + minute, days });
+    const when = t('studyPlan.forDays', { count: days });
+
+    const intro = plan.sessions.length > 0
+      ? addressMaybe(t('studyPlan.intro', {
+        when,
+        count: plan.sessions.length,
+        total: formatDuration(plan.totalMinutes)
+      }), userName)
+      : addressMaybe(t('studyPlan.noTime', { when }), userName);
+
+    const later = plan.assignments
+      .filter(assignment => assignment.planStatus === 'LATER')
+      .map(assignment => t('studyPlan.later', {
+        name: assignmentFullName(assignment),
+        date: formatDay(assignment.dueDate),
+        remaining: formatDuration(assignment.remainingMinutes)
+      }));
+
+    const byId = new Map(plan.assignments.map(assignment => [assignment.id, assignment]));
+
+    // Warnings before the sessions, so a brief reply still carries them
+    return {
+      intent,
+      reply: formatReply([intro, ...warningLines(plan), ...sessionLines(plan), ...later]),
+      blocks: [sessionList(t('blocks.studyPlan'), plan.sessions, session => assignmentFullName(byId.get(session.assignmentId)))],
+      suggestions: suggest('allAssignments', 'dueThisWeek')
+    };
+  }
+};
@@ -0,0 +1,294 @@
+// intents/timetable.intent.js
+import { hasAnyTerm, scoreTerms } from './match.js';
+import { addressMaybe } from '../utils/format.util.js';
+import { DAYS } from '../utils/schedule.util.js';
+import { addDays, dayIndexOf, daysBetween, formatDay } from '../utils/date.util.js';
+import { conflictsForDay } from '../services/timetable.service.js';
+import { classList, suggest, weekOverview } from './blocks.js';
+import { t, formatWeekday, formatTime, formatDuration } from '../i18n/index.js';
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+const BUSIEST_TERMS = [
+  'busiest day',
+  'most busy',
+  'which day is busiest',
+  'what is my busiest day',
+  'when am i busiest'
+];
+
+const WORKLOAD_TERMS = [
+  'busy',
+  'packed',
+  'workload',
+  'work load',
+  'overall load'
+];
+
+const FREE_TERMS = ['free', 'off day', 'day off', 'which day'];
+
+const nameOf = cls => cls.name || cls.subject || t('timetable.unnamedClass');
+const classNames = classes => classes.map(nameOf).join(', ');
+
+// Longest stretch we list day by day ("next 10 days", "this weekend")
+const MAX_RANGE_DAYS = 14;
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Clashes and rushed room changes on a day, as sentences to append
+function conflictNotes({ timetable }, dayIndex) {
+  return conflictsForDay(timetable, dayIndex).map(conflict => (
+    conflict.code === 'CLASH'
+      ? t('timetable.clash', {
+        first: nameOf(conflict.first),
+        second: nameOf(conflict.second),
+        start: formatTime(conflict.start),
+        end: formatTime(conflict.end)
+      })
+      : t('timetable.shortGap', {
+        first: nameOf(conflict.first),
+        second: nameOf(conflict.second),
+        gap: formatDuration(conflict.gapMinutes)
+      })
+  ));
+}
+
+// A day's reply with any clashes on that day after it
+const withConflicts = (ctx, dayIndex, text) => [text, ...conflictNotes(ctx, dayIndex)].join(' ');
+
+// BUSIEST DAY QUERY - MUST COME FIRST
+function busiestReply({ schedule, userName }) {
+  const analysis = schedule.analyzeWeeklyPattern();
+
+  if (analysis.busiestDay.day !== null) {
+    return addressMaybe(
+      t('timetable.busiest', { day: formatWeekday(analysis.busiestDay.day), count: analysis.busiestDay.count }),
+      userName
+    );
+  }
+  if (analysis.totalClasses === 0) {
+    return addressMaybe(t('timetable.noClassesThisWeek'), userName);
+  }
+  return addressMaybe(t('timetable.evenlySpread'), userName);
+}
+
+// WORKLOAD ANALYSIS QUERY
+function workloadReply({ schedule, userName }) {
+  const analysis = schedule.analyzeWeeklyPattern();
+
+  if (analysis.totalClasses === 0) {
+    return addressMaybe(t('timetable.freeWeek'), userName);
+  }
+
+  const parts = [
+    t('timetable.weekSummary', { count: analysis.totalClasses, days: analysis.daysWithClasses })
+  ];
+
+  if (analysis.totalClasses >= 8) {
+    parts.push(t('timetable.fullWeek'));
+  } else if (analysis.totalClasses >= 5) {
+    parts.push(t('timetable.moderateWeek'));
+  } else {
+    parts.push(t('timetable.lightWeek'));
+  }
+
+  if (analysis.busiestDay.day !== null) {
+    parts.push(t('timetable.busiest', { day: formatWeekday(analysis.busiestDay.day), count: analysis.busiestDay.count }));
+  }
+
+  return addressMaybe(parts.join(' '), userName);
+}
+
+// TOMORROW QUERY
+function tomorrowReply(ctx) {
+  const { schedule, todayIndex, userName } = ctx;
+  const tomorrowIndex = (todayIndex + 1) % 7;
+  const tomorrowClasses = schedule.getClassesForDay(tomorrowIndex);
+
+  if (tomorrowClasses.length === 0) {
+    return addressMaybe(t('timetable.noClassesTomorrow'), userName);
+  }
+  return addressMaybe(
+    withConflicts(ctx, tomorrowIndex, t('timetable.tomorrow', { count: tomorrowClasses.length, classes: classNames(tomorrowClasses) })),
+    userName
+  );
+}
+
+// TODAY QUERY
+function todayReply(ctx) {
+  const { schedule, todayIndex, userName } = ctx;
+  const todayClasses = schedule.getClassesForDay(todayIndex);
+
+  if (todayClasses.length === 0) {
+    return addressMaybe(t('timetable.noClassesToday'), userName);
+  }
+  return addressMaybe(
+    withConflicts(ctx, todayIndex, t('timetable.today', { count: todayClasses.length, classes: classNames(todayClasses) })),
+    userName
+  );
+}
+
+// SPECIFIC DAY QUERY ("friday", "next friday", "on the 14th")
+function dayReply(ctx, dayIndex, label) {
+  const { schedule, userName } = ctx;
+  const classes = schedule.getClassesForDay(dayIndex);
+
+  if (classes.length === 0) {
+    return addressMaybe(t('timetable.noClassesOn', { when: label }), userName);
+  }
+  return addressMaybe(
+    withConflicts(ctx, dayIndex, t('timetable.onDay', { when: capitalize(label), count: classes.length, classes: classNames(classes) })),
+    userName
+  );
+}
+
+// DATE RANGE QUERY ("this weekend", "in the next 5 days")
+function rangeReply({ schedule, userName }, range) {
+  const days = Math.min(daysBetween(range.start, range.end), MAX_RANGE_DAYS - 1);
+  const lines = [];
+  let total = 0;
+
+  for (let i = 0; i <= days; i++) {
+    const key = addDays(range.start, i);
+    const classes = schedule.getClassesForDay(dayIndexOf(key));
+    total += classes.length;
+    lines.push(t('timetable.rangeDay', {
+      date: formatDay(key),
+      classes: classes.length > 0 ? classNames(classes) : t('timetable.noClasses')
+    }));
+  }
+
+  if (total === 0) {
+    return addressMaybe(t('timetable.noClassesOn', { when: range.label }), userName);
+  }
+  return addressMaybe(t('timetable.range', { when: capitalize(range.label), days: lines.join('; ') }), userName);
+}
+
+// FREE DAY QUERY
+function freeDaysReply({ schedule, userName }) {
+  const freeDays = DAYS
+    .map((_, i) => i)
+    .filter(i => schedule.getClassesForDay(i).length === 0)
+    .map(i => formatWeekday(i));
+
+  if (freeDays.length === 0) {
+    return addressMaybe(t('timetable.everyDay'), userName);
+  }
+  return addressMaybe(t('timetable.freeOn', { days: freeDays.join(', ') }), userName);
+}
+
+// WEEKLY SCHEDULE
+function weekReply({ schedule, todayIndex, userName }) {
+  const analysis = schedule.analyzeWeeklyPattern();
+
+  if (analysis.totalClasses === 0) {
+    return addressMaybe(t('timetable.completelyFreeWeek'), userName);
+  }
+
+  const lines = [t('timetable.weekIntro')];
+  for (let i = 0; i < 7; i++) {
+    const day = i === todayIndex ? t('timetable.todayMarker', { day: formatWeekday(i) }) : formatWeekday(i);
+    lines.push(t('timetable.weekDay', { day, count: schedule.getClassesForDay(i).length }));
+  }
+  return addressMaybe(lines.join(' '), userName);
+}
+
+// FALLBACK - SHOW TODAY
+function fallbackReply({ schedule, todayIndex, userName }) {
+  const todayClasses = schedule.getClassesForDay(todayIndex);
+
+  if (todayClasses.length === 0) {
+    return addressMaybe(t('timetable.noClassesTodayAsk'), userName);
+  }
+  return addressMaybe(
+    t('timetable.fallback', { count: todayClasses.length, classes: classNames(todayClasses) }),
+    userName
+  );
+}
+
+// ⏰ TIMETABLE & SCHEDULE
+export default {
+  name: 'timetable',
+  priority: 70,
+
+  match({ lowerMessage, dateRange }) {
+    const dayWeights = Object.fromEntries(DAYS.map(day => [day.toLowerCase(), 1]));
+
+    return scoreTerms(lowerMessage, {
+      // Class-related queries
+      'class*': 2,
+      'lecture*': 2,
+      'timetable': 3,
+      'schedule': 2,
+
+      // Day-specific queries (dates are also picked up via dateRange below)
+      'tomorrow': 1,
+      'today': 1,
+      ...dayWeights,
+
+      // Free day queries
+      'free day*': 2,
+      'off day*': 2,
+      'day off': 2,
+
+      // Week queries
+      'week': 1,
+      'weekly': 1,
+
+      // Workload queries
+      'busy': 1,
+      'packed': 1,
+      'workload': 2,
+      'work load': 2,
+      'overall load': 2,
+
+      // Busiest day queries
+      'busiest': 2,
+      'most busy': 2
+    }) + (dateRange?.kind === 'day' ? 1 : 0);
+  },
+
+  handle(ctx) {
+    const { lowerMessage } = ctx;
+    const intent = 'TIMETABLE_ANALYSIS';
+
+    if (DEBUG) {
+      console.log('[Timetable] Triggered by:', lowerMessage);
+    }
+
+    const { schedule, today, todayIndex, dateRange } = ctx;
+
+    // Week-level answers show every weekday; day answers that day's classes
+    const week = () => ({
+      blocks: [weekOverview(schedule, todayIndex)],
+      suggestions: suggest('todaysClasses', 'tomorrowsClasses')
+    });
+    const day = date => ({
+      blocks: [classList(schedule, dayIndexOf(date), date)],
+      suggestions: suggest('nextClass', 'busyWeek')
+    });
+
+    if (hasAnyTerm(lowerMessage, BUSIEST_TERMS)) return { intent, reply: busiestReply(ctx), ...week() };
+    if (hasAnyTerm(lowerMessage, WORKLOAD_TERMS)) return { intent, reply: workloadReply(ctx), ...week() };
+    if (dateRange?.kind === 'day' && dateRange.start === today) {
+      return { intent, reply: todayReply(ctx), ...day(today), suggestions: suggest('nextClass', 'freeTime') };
+    }
+    if (dateRange?.kind === 'day' && dateRange.start === addDays(today, 1)) {
+      return { intent, reply: tomorrowReply(ctx), ...day(dateRange.start) };
+    }
+    if (dateRange?.kind === 'day') {
+      return { intent, reply: dayReply(ctx, dayIndexOf(dateRange.start), dateRange.label), ...day(dateRange.start) };
+    }
+    if (dateRange?.end) {
+      const days = Math.min(daysBetween(dateRange.start, dateRange.end), MAX_RANGE_DAYS - 1);
+      const blocks = Array.from({ length: days + 1 }, (_, i) => addDays(dateRange.start, i))
+        .map(date => classList(schedule, dayIndexOf(date), date))
+        .filter(block => block.items.length > 0);
+      return { intent, reply: rangeReply(ctx, dateRange), blocks, suggestions: suggest('busyWeek') };
+    }
+    if (hasAnyTerm(lowerMessage, FREE_TERMS)) return { intent, reply: freeDaysReply(ctx), ...week() };
+    if (hasAnyTerm(lowerMessage, ['week', 'weekly'])) return { intent, reply: weekReply(ctx), ...week() };
+
+    return { intent, reply: fallbackReply(ctx), ...day(today) };
+  }
+};
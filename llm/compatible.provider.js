@@ -0,0 +1,111 @@
+// llm/compatible.provider.js
+import axios from 'axios';
+import { parseEventStream } from '../utils/sse.util.js';
+
+// Any server speaking the Chat Completions API: Ollama, vLLM, LM Studio, ...
+// e.g. LLM_BASE_URL=http://localhost:11434/v1 LLM_MODEL=llama3.1
+const BASE_URL = (process.env.LLM_BASE_URL || '').replace(/\/+$/, '');
+const API_KEY = process.env.LLM_API_KEY; // most local servers don't need one
+const MODEL = process.env.LLM_MODEL;
+
+const usageOf = usage => ({
+  inputTokens: usage?.prompt_tokens ?? 0,
+  outputTokens: usage?.completion_tokens ?? 0
+});
+
+// Neutral messages -> Chat Completions messages
+function toMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'assistant' && message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      };
+    }
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+const toTools = tools => tools.map(tool => ({ type: 'function', function: tool }));
+
+const toolCallsOf = (calls = []) => calls.map(call => ({
+  id: call.id,
+  name: call.function?.name,
+  arguments: call.function?.arguments || ''
+}));
+
+async function generateStreaming(payload, headers, { onDelta, signal }) {
+  const response = await axios.post(`${BASE_URL}/chat/completions`, {
+    ...payload,
+    stream: true,
+    // Servers that support it send usage in a last, choice-less chunk
+    stream_options: { include_usage: true }
+  }, { headers, signal, responseType: 'stream' });
+
+  let text = '';
+  let usage = null;
+  const calls = []; // tool calls arrive in pieces, keyed by index
+
+  await parseEventStream(response.data, (event, data) => {
+    if (data === '[DONE]') return;
+    if (data?.error) throw new Error(data.error.message || 'Stream failed');
+
+    const delta = data?.choices?.[0]?.delta;
+    if (typeof delta?.content === 'string' && delta.content) {
+      text += delta.content;
+      onDelta(delta.content);
+    }
+
+    (delta?.tool_calls || []).forEach(part => {
+      const call = calls[part.index ?? 0] ||= { id: '', function: { name: '', arguments: '' } };
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    });
+
+    if (data?.usage) usage = data.usage;
+  });
+
+  return { text, toolCalls: toolCallsOf(calls.filter(Boolean)), usage: usageOf(usage) };
+}
+
+// 🏠 OpenAI-compatible Chat Completions (self-hosted or third-party)
+export default {
+  name: 'compatible',
+  model: MODEL,
+  configured: Boolean(BASE_URL && MODEL),
+
+  async generate({ messages, tools, temperature, maxTokens, onDelta, signal }) {
+    const payload = {
+      model: MODEL,
+      messages: toMessages(messages),
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (tools?.length) payload.tools = toTools(tools);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (API_KEY) headers.Authorization = `Bearer ${API_KEY}`;
+
+    if (onDelta) {
+      return { model: MODEL, ...(await generateStreaming(payload, headers, { onDelta, signal })) };
+    }
+
+    const { data } = await axios.post(`${BASE_URL}/chat/completions`, payload, { headers, signal });
+    const message = data.choices?.[0]?.message || {};
+    return {
+      model: MODEL,
+      text: message.content || '',
+      toolCalls: toolCallsOf(message.tool_calls),
+      usage: usageOf(data.usage)
+    };
+  }
+};
@@ -0,0 +1,136 @@
+// llm/guardrails.js
+import { hasTerm } from '../intents/match.js';
+
+/*
+ * Guardrails around the AI call.
+ *
+ * Input: the student's text is cleaned of chat-template markers and scored
+ * against known injection phrasings; at or above INJECTION_BLOCK_SCORE the
+ * AI is skipped and the rule-based reply is used instead.
+ *
+ * Output: the model's reply is checked for leaked system-prompt text and
+ * for denylisted terms (defaults below plus AI_OUTPUT_DENYLIST, a comma-
+ * separated list using the intent matcher's syntax: word boundaries, a
+ * trailing `*` for prefixes).
+ */
+
+export const INJECTION_BLOCK_SCORE = parseInt(process.env.INJECTION_BLOCK_SCORE, 10) || 3;
+
+// The assistant's own instructions as an object ("your rules", "previous
+// instructions", "the system prompt"), not "the rules of integration"
+const OWN_INSTRUCTIONS = '(?:(?:your|previous|prior|above|earlier|preceding|original|initial|hidden|system|developer)\\s+(?:\\w+\\s+)?(?:instructions?|prompts?|rules|guidelines|directions)|(?:instructions|prompt) (?:above|you were given))';
+
+const INJECTION_PATTERNS = [
+  {
+    name: 'override-instructions',
+    weight: 3,
+    pattern: new RegExp(`\\b(ignore|disregard|forget|override|bypass)\\b.{0,40}\\b${OWN_INSTRUCTIONS}\\b`)
+  },
+  {
+    name: 'reveal-prompt',
+    weight: 3,
+    pattern: new RegExp(`\\b(reveal|show|print|repeat|output|leak|tell me|what (is|are|were))\\b.{0,30}\\b${OWN_INSTRUCTIONS}\\b`)
+  },
+  { name: 'jailbreak', weight: 3, pattern: /\b(jailbreak|dan mode|developer mode|do anything now)\b/ },
+  { name: 'new-identity', weight: 2, pattern: /\byou are (now|no longer)\b/ },
+  { name: 'new-instructions', weight: 2, pattern: /\b(new|updated|real) (instructions|rules|system prompt)\b/ },
+  { name: 'template-markers', weight: 2, pattern: /<\|[^|]*\|>|\|im_(start|end|sep)\||\[\/?inst\]|<<\/?sys>>|^\s*(system|assistant|developer)\s*:|^\s*#{2,}\s*(system|instruction)/m },
+  { name: 'roleplay', weight: 1, pattern: /\b(pretend|roleplay|act) (to be|as|like)\b/ }
+];
+
+// Chat-template tokens and role prefixes that could pass for structure
+// (the route strips < and >, so "<|im_start|>" may arrive as "|im_start|")
+const TEMPLATE_MARKERS = [
+  /<\|[^|]*\|>/g,
+  /\|im_(start|end|sep)\|/gi,
+  /\[\/?INST\]/gi,
+  /<<\/?SYS>>/gi,
+  /^\s*(system|assistant|developer)\s*:\s*/gim,
+  /^\s*#{2,}\s*(system|instructions?)\b.*$/gim
+];
+
+// Zero-width and control characters (newlines and tabs are kept)
+const INVISIBLE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+
+const DEFAULT_OUTPUT_DENYLIST = [
+  'system prompt',
+  'my instructions',
+  'as an ai',
+  'proxy attendance',
+  'fake medical*',
+  'forged certificate*',
+  'kill yourself'
+];
+
+const OUTPUT_DENYLIST = [
+  ...DEFAULT_OUTPUT_DENYLIST,
+  ...(process.env.AI_OUTPUT_DENYLIST || '')
+    .split(',')
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean)
+];
+
+// Prompt lines shorter than this are too generic to count as a leak;
+// longer ones count once their opening LEAK_WINDOW characters appear
+const MIN_LEAK_LENGTH = 25;
+const LEAK_WINDOW = 40;
+
+/**
+ * Characters a stream must hold back so screenOutput() sees any blocked
+ * phrase before its first word is forwarded
+ */
+export const STREAM_HOLDBACK = Math.max(LEAK_WINDOW, ...OUTPUT_DENYLIST.map(term => term.length)) + 8;
+
+/**
+ * Strip invisible characters and template markers from any text that goes
+ * into the prompt (the student's message, history, subject names)
+ */
+export function neutralize(text) {
+  return TEMPLATE_MARKERS
+    .reduce((clean, marker) => clean.replace(marker, ''), String(text ?? '').replace(INVISIBLE, ''))
+    .trim();
+}
+
+/**
+ * Score a student message for injection attempts.
+ * Returns { text (neutralised), score, matched: [pattern names], blocked }.
+ */
+export function screenInput(message) {
+  const raw = String(message ?? '').replace(INVISIBLE, '');
+  const lower = raw.toLowerCase();
+
+  const matched = INJECTION_PATTERNS.filter(({ pattern }) => pattern.test(lower));
+  const score = matched.reduce((sum, { weight }) => sum + weight, 0);
+
+  return {
+    text: neutralize(raw),
+    score,
+    matched: matched.map(({ name }) => name),
+    blocked: score >= INJECTION_BLOCK_SCORE
+  };
+}
+
+/**
+ * Check a model reply before it reaches the student.
+ * Returns { blocked, reason: 'SYSTEM_PROMPT_LEAK' | 'DENYLIST' | null, matched }.
+ */
+export function screenOutput(text, { systemPrompt = '' } = {}) {
+  const lower = String(text ?? '').toLowerCase();
+
+  const leaked = systemPrompt
+    .split('\n')
+    .map(line => line.replace(/^[-\s]+/, '').trim().toLowerCase())
+    .filter(line => line.length >= MIN_LEAK_LENGTH)
+    .map(line => line.slice(0, LEAK_WINDOW))
+    .find(line => lower.includes(line));
+  if (leaked) {
+    return { blocked: true, reason: 'SYSTEM_PROMPT_LEAK', matched: [leaked] };
+  }
+
+  const denied = OUTPUT_DENYLIST.filter(term => hasTerm(lower, term));
+  if (denied.length > 0) {
+    return { blocked: true, reason: 'DENYLIST', matched: denied };
+  }
+
+  return { blocked: false, reason: null, matched: [] };
+}
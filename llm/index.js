@@ -0,0 +1,52 @@
+// llm/index.js
+// Providers read their settings at import time, so .env must load first
+import 'dotenv/config';
+import openaiProvider from './openai.provider.js';
+import compatibleProvider from './compatible.provider.js';
+import mockProvider from './mock.provider.js';
+
+/*
+ * LLM providers.
+ *
+ * A provider is a plain object:
+ *   name        id used in LLM_PROVIDER and logs
+ *   model       model name reported for usage/pricing
+ *   configured  false when required settings are missing (AI is disabled)
+ *   generate    ({ messages, tools?, temperature, maxTokens, onDelta?, signal? }) =>
+ *                 { text, model, toolCalls, usage: { inputTokens, outputTokens } }
+ *
+ * `messages` are [{ role: 'system' | 'user' | 'assistant', content }] plus,
+ * during a tool round, { role: 'assistant', toolCalls: [{ id, name, arguments }] }
+ * and { role: 'tool', toolCallId, content }; each provider maps them onto its
+ * own wire format. `tools` are { name, description, parameters } (see tools.js).
+ * With `onDelta` the provider streams and calls it with each chunk of text.
+ *
+ * Selected with LLM_PROVIDER = openai (default) | compatible | mock.
+ */
+
+const PROVIDERS = {
+  [openaiProvider.name]: openaiProvider,
+  [compatibleProvider.name]: compatibleProvider,
+  [mockProvider.name]: mockProvider
+};
+
+function selectProvider() {
+  const wanted = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const provider = PROVIDERS[wanted];
+
+  if (!provider) {
+    console.warn(`[LLM] Unknown LLM_PROVIDER "${wanted}" — using openai`);
+    return openaiProvider;
+  }
+  return provider;
+}
+
+const provider = selectProvider();
+
+if (!provider.configured) {
+  console.warn(`[LLM] ⚠️ Provider "${provider.name}" is not configured — AI features will be disabled`);
+}
+
+export function getProvider() {
+  return provider;
+}
@@ -0,0 +1,105 @@
+// llm/openai.provider.js
+import axios from 'axios';
+import { parseEventStream } from '../utils/sse.util.js';
+
+const API_KEY = process.env.OPENAI_API_KEY;
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+const usageOf = usage => ({
+  inputTokens: usage?.input_tokens ?? 0,
+  outputTokens: usage?.output_tokens ?? 0
+});
+
+// Neutral messages -> Responses API input items
+function toInput(messages) {
+  return messages.flatMap(message => {
+    if (message.role === 'assistant' && message.toolCalls) {
+      return message.toolCalls.map(call => ({
+        type: 'function_call',
+        call_id: call.id,
+        name: call.name,
+        arguments: call.arguments
+      }));
+    }
+    if (message.role === 'tool') {
+      return [{ type: 'function_call_output', call_id: message.toolCallId, output: message.content }];
+    }
+    return [{ role: message.role, content: message.content }];
+  });
+}
+
+const toTools = tools => tools.map(tool => ({ type: 'function', ...tool }));
+
+function toolCallsOf(output = []) {
+  return output
+    .filter(item => item.type === 'function_call')
+    .map(item => ({ id: item.call_id, name: item.name, arguments: item.arguments }));
+}
+
+function textOf(data) {
+  if (data.output_text) return data.output_text;
+  const message = (data.output || []).find(item => item.type === 'message') || data.output?.[0];
+  return message?.content?.[0]?.text || '';
+}
+
+// Streamed call: forwards each text delta and collects the final response
+async function generateStreaming(payload, headers, { onDelta, signal }) {
+  const response = await axios.post(`${BASE_URL}/responses`, { ...payload, stream: true }, {
+    headers, signal, responseType: 'stream'
+  });
+
+  let text = '';
+  let completed = null;
+
+  await parseEventStream(response.data, (event, data) => {
+    if (event === 'response.output_text.delta' && typeof data?.delta === 'string') {
+      text += data.delta;
+      onDelta(data.delta);
+    } else if (event === 'response.completed') {
+      completed = data?.response || null;
+    } else if (event === 'response.failed' || event === 'error') {
+      throw new Error(data?.response?.error?.message || data?.message || 'Stream failed');
+    }
+  });
+
+  return {
+    text,
+    toolCalls: toolCallsOf(completed?.output),
+    usage: usageOf(completed?.usage)
+  };
+}
+
+// 🤖 OpenAI Responses API (the default)
+export default {
+  name: 'openai',
+  model: MODEL,
+  configured: Boolean(API_KEY),
+
+  async generate({ messages, tools, temperature, maxTokens, onDelta, signal }) {
+    const payload = {
+      model: MODEL,
+      input: toInput(messages),
+      temperature,
+      max_output_tokens: maxTokens
+    };
+    if (tools?.length) payload.tools = toTools(tools);
+
+    const headers = {
+      'Authorization': `Bearer ${API_KEY}`,
+      'Content-Type': 'application/json'
+    };
+
+    if (onDelta) {
+      return { model: MODEL, ...(await generateStreaming(payload, headers, { onDelta, signal })) };
+    }
+
+    const { data } = await axios.post(`${BASE_URL}/responses`, payload, { headers, signal });
+    return {
+      model: MODEL,
+      text: textOf(data),
+      toolCalls: toolCallsOf(data.output),
+      usage: usageOf(data.usage)
+    };
+  }
+};
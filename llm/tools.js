@@ -0,0 +1,199 @@
+// llm/tools.js
+import {
+  ATTENDANCE_THRESHOLD,
+  classesNeeded,
+  skippableClasses,
+  findSubjectKey,
+  percentOf
+} from '../services/attendance.service.js';
+import { EXAM_WORDS, upcomingMarks } from '../services/calendar.service.js';
+import { planRevision } from '../services/revision.service.js';
+import { getDayName } from '../utils/schedule.util.js';
+import { daysBetween } from '../utils/date.util.js';
+
+/*
+ * Tools the model may call instead of guessing numbers.
+ *
+ * A tool is { name, description, parameters (JSON Schema), run(args, ctx) }.
+ * `ctx` is the student's data as the chat route loaded it:
+ *   { attendance, schedule, calendarMarks, assignments, assignmentList, today }
+ * Every tool answers from the same services the rule-based intents use, so
+ * the AI and the rules can't disagree about the maths.
+ */
+
+const MAX_DEADLINE_DAYS = 60;
+
+function attendanceFigures({ attended = 0, held = 0 }, threshold) {
+  return {
+    attended,
+    held,
+    percentage: percentOf(attended, held),
+    classesNeeded: classesNeeded(attended, held, threshold),
+    classesSkippable: skippableClasses(attended, held, threshold)
+  };
+}
+
+const TOOLS = [
+  {
+    name: 'attendance_needed',
+    description: 'Attendance for one subject (or overall when no subject is given): current percentage, consecutive classes needed to reach the threshold, and classes that can still be missed.',
+    parameters: {
+      type: 'object',
+      properties: {
+        subject: { type: 'string', description: 'Subject name; omit for overall attendance' },
+        threshold: { type: 'number', description: `Target percentage, default ${ATTENDANCE_THRESHOLD}` }
+      },
+      additionalProperties: false
+    },
+    run({ subject, threshold = ATTENDANCE_THRESHOLD }, { attendance }) {
+      if (!(attendance?.totalHeld > 0)) return { error: 'No attendance recorded yet' };
+
+      if (subject) {
+        const key = findSubjectKey(attendance.subjects, subject);
+        if (!key) {
+          return { error: `No attendance for "${subject}"`, subjects: Object.keys(attendance.subjects || {}) };
+        }
+        return { subject: key, threshold, ...attendanceFigures(attendance.subjects[key], threshold) };
+      }
+
+      return {
+        subject: 'overall',
+        threshold,
+        ...attendanceFigures({ attended: attendance.totalAttended, held: attendance.totalHeld }, threshold)
+      };
+    }
+  },
+  {
+    name: 'lowest_attendance',
+    description: 'Subjects ordered from lowest attendance percentage, with classes needed to reach the threshold.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 20, description: 'How many subjects, default 3' }
+      },
+      additionalProperties: false
+    },
+    run({ limit = 3 }, { attendance }) {
+      const subjects = Object.entries(attendance?.subjects || {})
+        .filter(([, data]) => data.held > 0)
+        .map(([name, data]) => ({ subject: name, ...attendanceFigures(data, ATTENDANCE_THRESHOLD) }))
+        .sort((a, b) => a.percentage - b.percentage);
+
+      if (subjects.length === 0) return { error: 'No subject-wise attendance recorded yet' };
+      return { threshold: ATTENDANCE_THRESHOLD, subjects: subjects.slice(0, limit) };
+    }
+  },
+  {
+    name: 'weekly_pattern',
+    description: 'Shape of the weekly timetable: busiest and lightest day, total classes per week, days with classes, and classes per weekday.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    run(args, { schedule }) {
+      const pattern = schedule.analyzeWeeklyPattern();
+      if (pattern.totalClasses === 0) return { error: 'No timetable saved yet' };
+
+      const dayName = day => (day === null ? null : getDayName(day));
+      return {
+        totalClasses: pattern.totalClasses,
+        daysWithClasses: pattern.daysWithClasses,
+        busiestDay: { day: dayName(pattern.busiestDay.day), classes: pattern.busiestDay.count },
+        lightestDay: { day: dayName(pattern.lightestDay.day), classes: pattern.lightestDay.count },
+        classesPerDay: Object.fromEntries(
+          Array.from({ length: 7 }, (_, i) => [getDayName(i), schedule.getClassesForDay(i).length])
+        )
+      };
+    }
+  },
+  {
+    name: 'next_exam',
+    description: 'The next exam marked in the calendar and how many days away it is.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    run(args, { calendarMarks, today }) {
+      const [exam] = upcomingMarks(calendarMarks, today, EXAM_WORDS);
+      if (!exam) return { error: 'No upcoming exams in the calendar' };
+      return { date: exam.date, name: exam.categoryName, daysLeft: daysBetween(today, exam.date) };
+    }
+  },
+  {
+    name: 'revision_plan',
+    description: 'Revision schedule for upcoming exams: per exam the subject, strength (from attendance and past marks, 0-1), revision time allotted and planned, and status; per day the minutes planned and subjects covered. Weaker subjects get more time.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    run(args, ctx) {
+      const plan = planRevision(ctx, { today: ctx.today });
+      if (plan.exams.length === 0) return { error: 'No upcoming exams in the calendar' };
+
+      return {
+        from: plan.from,
+        to: plan.to,
+        totalMinutes: plan.totalMinutes,
+        exams: plan.exams.map(({ title, subject, date, daysLeft, strength, revisionMinutes, plannedMinutes, status }) =>
+          ({ title, subject, date, daysLeft, strength, revisionMinutes, plannedMinutes, status })),
+        days: plan.days
+          .filter(day => day.sessions.length > 0)
+          .map(day => ({
+            date: day.date,
+            minutes: day.sessions.reduce((sum, session) => sum + session.minutes, 0),
+            subjects: [...new Set(day.sessions.map(session => session.subject || session.title))]
+          }))
+      };
+    }
+  },
+  {
+    name: 'upcoming_deadlines',
+    description: 'Pending assignment deadlines from today, soonest first, with the number due on each date and the named assignments (title, subject, due time, estimated effort, priority).',
+    parameters: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1, maximum: MAX_DEADLINE_DAYS, description: 'Look-ahead in days, default 14' }
+      },
+      additionalProperties: false
+    },
+    run({ days = 14 }, { assignments, assignmentList = [], today }) {
+      const horizon = Math.min(Math.max(1, days), MAX_DEADLINE_DAYS);
+      const named = date => assignmentList
+        .filter(a => a.dueDate === date && a.title)
+        .map(({ title, subject, dueTime, effortMinutes, priority }) => ({ title, subject, dueTime, effortMinutes, priority }));
+
+      const deadlines = Object.entries(assignments || {})
+        .map(([date, count]) => ({ date, count: Number(count) || 0, daysLeft: daysBetween(today, date), assignments: named(date) }))
+        .filter(d => d.count > 0 && d.daysLeft >= 0 && d.daysLeft <= horizon)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+      return {
+        days: horizon,
+        total: deadlines.reduce((sum, d) => sum + d.count, 0),
+        deadlines
+      };
+    }
+  }
+];
+
+const byName = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+// What providers send to the model (no `run`)
+export const TOOL_DEFINITIONS = TOOLS.map(({ name, description, parameters }) => ({
+  name, description, parameters
+}));
+
+/**
+ * Execute one tool call from the model. `args` is the JSON string the model
+ * produced. Always resolves to a JSON string for the model to read; failures
+ * come back as { error } rather than throwing.
+ */
+export function runTool(name, args, ctx) {
+  const tool = byName.get(name);
+  if (!tool) return JSON.stringify({ error: `Unknown tool "${name}"` });
+
+  let parsed;
+  try {
+    parsed = args ? JSON.parse(args) : {};
+  } catch {
+    return JSON.stringify({ error: 'Arguments were not valid JSON' });
+  }
+
+  try {
+    return JSON.stringify(tool.run(parsed || {}, ctx));
+  } catch (error) {
+    console.error(`[LLM] Tool ${name} failed:`, error?.message || error);
+    return JSON.stringify({ error: 'Tool failed' });
+  }
+}
@@ -0,0 +1,105 @@
+// middleware/auth.middleware.js
+import { auth } from '../firebase/firebaseAdmin.js';
+
+// Set AUTH_CHECK_REVOKED=true to also reject tokens revoked via the Admin SDK
+// (costs one extra Auth lookup per request)
+const CHECK_REVOKED = process.env.AUTH_CHECK_REVOKED === 'true';
+
+const AUTH_ERRORS = {
+  AUTH_MISSING_TOKEN: 'Authentication required. Please sign in again.',
+  AUTH_INVALID_TOKEN: 'Your session is invalid. Please sign in again.',
+  AUTH_TOKEN_EXPIRED: 'Your session has expired. Please sign in again.',
+  AUTH_TOKEN_REVOKED: 'Your session was revoked. Please sign in again.'
+};
+
+// Map Firebase Auth error codes onto our response codes
+function authErrorCode(error) {
+  switch (error?.code) {
+    case 'auth/id-token-expired':
+      return 'AUTH_TOKEN_EXPIRED';
+    case 'auth/id-token-revoked':
+    case 'auth/user-disabled':
+      return 'AUTH_TOKEN_REVOKED';
+    default:
+      return 'AUTH_INVALID_TOKEN';
+  }
+}
+
+function rejectAuth(req, res, code, reason) {
+  // SECURITY LOGGING: Log failed authentication
+  console.warn('[SECURITY] Authentication failed:', {
+    ip: req.ip,
+    path: req.originalUrl,
+    method: req.method,
+    code,
+    reason,
+    timestamp: new Date().toISOString()
+  });
+
+  return res.status(401).json({
+    error: AUTH_ERRORS[code],
+    code
+  });
+}
+
+/**
+ * Verify the Firebase ID token sent as `Authorization: Bearer <token>`.
+ * On success the caller is bound to `req.auth = { uid, claims }`.
+ * Works unchanged against the Auth emulator (FIREBASE_AUTH_EMULATOR_HOST).
+ */
+export async function requireAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+
+  if (!match) {
+    return rejectAuth(req, res, 'AUTH_MISSING_TOKEN', 'No bearer token');
+  }
+
+  let claims;
+  try {
+    claims = await auth.verifyIdToken(match[1], CHECK_REVOKED);
+  } catch (error) {
+    // SDK/network failures (e.g. emulator not running) are our problem, not a bad token
+    if (error?.code?.startsWith('app/')) {
+      console.error('[Auth] Token verification unavailable:', error.code, error.message);
+      return res.status(503).json({
+        error: 'Sign-in could not be verified right now. Please try again shortly.',
+        code: 'AUTH_UNAVAILABLE'
+      });
+    }
+
+    return rejectAuth(req, res, authErrorCode(error), error?.code || error?.message);
+  }
+
+  req.auth = { uid: claims.uid, claims };
+  return next();
+}
+
+/**
+ * First name from the verified token, if the account has a display name
+ */
+export function firstNameFromClaims(claims = {}) {
+  const name = typeof claims.name === 'string' ? claims.name.trim() : '';
+  return name ? name.split(/\s+/)[0] : null;
+}
+
+/**
+ * Admin-only routes: requires a verified token (requireAuth first) carrying
+ * the `admin: true` custom claim, set with auth.setCustomUserClaims().
+ */
+export function requireAdmin(req, res, next) {
+  if (req.auth?.claims?.admin === true) return next();
+
+  console.warn('[SECURITY] Admin access denied:', {
+    ip: req.ip,
+    uid: req.auth?.uid,
+    path: req.originalUrl,
+    method: req.method,
+    timestamp: new Date().toISOString()
+  });
+
+  return res.status(403).json({
+    error: 'You do not have access to this resource.',
+    code: 'AUTH_FORBIDDEN'
+  });
+}
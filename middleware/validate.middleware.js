@@ -0,0 +1,292 @@
+// middleware/validate.middleware.js
+import { body, validationResult } from 'express-validator';
+import { resolveLocale, isCurrency, SUPPORTED_LANGUAGES } from '../i18n/index.js';
+import { resolveTimeZone, isTimeZone } from '../utils/time.util.js';
+import { isDateKey } from '../utils/date.util.js';
+import { GRADE_SCALE_MAX } from '../services/grades.service.js';
+import { PRIORITIES, STATUSES } from '../services/assignment.service.js';
+
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// 24-hour 'HH:MM'
+export const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validation errors for a response: what to fix and where, as
+ * { path, msg } with the exact field path ("cgpa[1].sgpa"). Outside
+ * production the full errors, posted values included.
+ */
+export const fieldErrors = result => (DEBUG
+  ? result.array()
+  : result.array().map(({ path, msg }) => ({ path, msg })));
+
+/**
+ * Validation gate for express-validator chains, with the same security
+ * logging as /chat. Sends 400 VALIDATION_ERROR or passes through.
+ */
+export function rejectInvalid(req, res, next) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+
+  console.warn('[SECURITY] Validation failed:', {
+    ip: req.ip,
+    uid: req.auth?.uid,
+    path: req.originalUrl,
+    errors: errors.array(),
+    timestamp: new Date().toISOString()
+  });
+
+  return res.status(400).json({
+    error: 'Invalid request.',
+    code: 'VALIDATION_ERROR',
+    errors: fieldErrors(errors)
+  });
+}
+
+// Optional locale tag we have replies for, stored in canonical form ("hi-IN")
+export const localeField = field => body(field)
+  .optional()
+  .custom(value => resolveLocale(value) !== null)
+  .withMessage(`Locale must be a language tag for one of: ${SUPPORTED_LANGUAGES.join(', ')}`)
+  .customSanitizer(resolveLocale);
+
+// Optional ISO 4217 currency code, stored upper-case
+export const currencyField = field => body(field)
+  .optional()
+  .custom(isCurrency).withMessage('Currency must be an ISO 4217 code, e.g. INR')
+  .customSanitizer(value => (typeof value === 'string' ? value.toUpperCase() : value));
+
+// Optional IANA timezone ("Asia/Kolkata"), stored in canonical form;
+// null clears it
+export const timeZoneField = field => body(field)
+  .optional()
+  .if(value => value !== null)
+  .custom(isTimeZone).withMessage('Time zone must be an IANA name, e.g. Asia/Kolkata')
+  .customSanitizer(resolveTimeZone);
+
+// ---- Student data posted to /chat (preview mode, see CONTEXT_FIELDS) ----
+
+const DAY_KEY = /^day_[0-6]$/;
+
+const optionalText = (field, label, max) => body(field)
+  .optional()
+  .isString().withMessage(`${label} must be text`)
+  .isLength({ max }).withMessage(`${label} must be at most ${max} characters`);
+
+const optionalNumber = (field, label, { min = 0, max } = {}) => body(field)
+  .optional()
+  .isFloat({ min, max }).withMessage(max === undefined
+    ? `${label} must be a positive number`
+    : `${label} must be between ${min}-${max}`)
+  .toFloat();
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Checks that depend on each other go in one custom validator that throws
+// the message: a bail() in a wildcard chain stops it for every item as
+// soon as one fails, hiding the errors of the rest
+const requiredDate = (chain, label) => chain.custom(value => {
+  if (value === undefined || value === null) throw new Error(`${label} is required`);
+  if (!isDateKey(value)) throw new Error(`${label} must be YYYY-MM-DD`);
+  return true;
+});
+
+const requiredNumber = (field, label, { min = 0, max }) => body(field)
+  .custom(value => {
+    if (value === undefined || value === null) throw new Error(`${label} is required`);
+    const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+    if (!(Number.isFinite(number) && String(value).trim() !== '' && number >= min && number <= max)) {
+      throw new Error(`${label} must be a number between ${min}-${max}`);
+    }
+    return true;
+  })
+  .toFloat();
+
+// `assignments` may be a date -> count map or a list of records
+const assignmentList = body('assignments').isArray();
+
+/*
+ * Every nested structure of the chat's student data, down to the field.
+ * Errors name the exact path ("timetable.day_2[0].time", "cgpa[1].sgpa").
+ * docs/openapi.js publishes the same shapes.
+ */
+export const validateContext = [
+  // { day_0: [class, ...], ..., day_6 } (Monday = 0)
+  body('timetable')
+    .optional()
+    .isObject().withMessage('Timetable must be an object of day_0 to day_6'),
+
+  body('timetable.*')
+    .custom((classes, { pathValues: [day] }) => {
+      if (!DAY_KEY.test(day)) throw new Error('Days must be day_0 (Monday) to day_6 (Sunday)');
+      if (!Array.isArray(classes)) throw new Error('A day must be a list of classes');
+      return true;
+    }),
+
+  // Classes of a day that is a list (anything else is reported above)
+  body('timetable.*.*')
+    .custom((cls, { req, pathValues: [day] }) => !Array.isArray(req.body.timetable[day]) || isPlainObject(cls))
+    .withMessage('Each class must be an object'),
+
+  optionalText('timetable.*.*.name', 'Class name', 100),
+  optionalText('timetable.*.*.subject', 'Subject', 100),
+  optionalText('timetable.*.*.time', 'Time', 50),
+  optionalText('timetable.*.*.startTime', 'Start time', 20),
+  optionalText('timetable.*.*.endTime', 'End time', 20),
+  optionalText('timetable.*.*.room', 'Room', 50),
+  optionalText('timetable.*.*.location', 'Location', 50),
+
+  // { totalHeld, totalAttended, percentage, subjects: { [name]: { held, attended, percentage } } }
+  body('attendance')
+    .optional()
+    .isObject().withMessage('Attendance must be an object'),
+
+  body('attendance.totalHeld')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Total held must be a positive number')
+    .toInt(),
+
+  body('attendance.totalAttended')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Total attended must be a positive number')
+    .toInt(),
+
+  optionalNumber('attendance.percentage', 'Percentage', { max: 100 }),
+
+  body('attendance.subjects')
+    .optional()
+    .isObject().withMessage('Subjects must be an object of subject name to attendance'),
+
+  body('attendance.subjects.*')
+    .custom(subject => {
+      if (!isPlainObject(subject)) throw new Error('Each subject must be { held, attended, percentage }');
+      if (Number(subject.attended) > Number(subject.held)) throw new Error('Classes attended cannot be more than classes held');
+      return true;
+    }),
+
+  body('attendance.subjects.*.held')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Classes held must be a positive number')
+    .toInt(),
+
+  body('attendance.subjects.*.attended')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Classes attended must be a positive number')
+    .toInt(),
+
+  // Worked out from held and attended when left out (see previewContextFromBody)
+  optionalNumber('attendance.subjects.*.percentage', 'Percentage', { max: 100 }),
+
+  // [{ semester, sgpa | gpa | score, credits? }] in order
+  body('cgpa')
+    .optional()
+    .isArray().withMessage('CGPA must be an array'),
+
+  body('cgpa.*')
+    .custom(sem => {
+      if (!isPlainObject(sem)) throw new Error('Each semester must be an object');
+      if (!['sgpa', 'gpa', 'score'].some(field => sem[field] !== undefined && sem[field] !== null)) {
+        throw new Error('Each semester needs an sgpa, gpa or score');
+      }
+      return true;
+    }),
+
+  optionalText('cgpa.*.semester', 'Semester', 50),
+  optionalNumber('cgpa.*.sgpa', 'SGPA', { max: GRADE_SCALE_MAX }),
+  optionalNumber('cgpa.*.gpa', 'GPA', { max: GRADE_SCALE_MAX }),
+  optionalNumber('cgpa.*.score', 'Score', { max: GRADE_SCALE_MAX }),
+  optionalNumber('cgpa.*.credits', 'Credits', { max: 100 }),
+
+  // [{ date, categoryName, title?, subject?, score?, maxScore? }]
+  body('calendarMarks')
+    .optional()
+    .isArray().withMessage('Calendar marks must be an array'),
+
+  body('calendarMarks.*')
+    .custom(mark => {
+      if (!isPlainObject(mark)) throw new Error('Each calendar mark must be an object');
+      if (mark.score !== undefined && !(Number(mark.maxScore) > 0)) throw new Error('A score needs a max score');
+      return true;
+    }),
+
+  requiredDate(body('calendarMarks.*.date'), 'Date'),
+  optionalText('calendarMarks.*.categoryName', 'Category', 50),
+  optionalText('calendarMarks.*.title', 'Title', 120),
+  optionalText('calendarMarks.*.subject', 'Subject', 100),
+  optionalNumber('calendarMarks.*.score', 'Score'),
+  optionalNumber('calendarMarks.*.maxScore', 'Max score'),
+
+  // { total, thisMonth, categories: { [name]: amount }, transactions: [{ amount, date, category? }] }
+  body('expenses')
+    .optional()
+    .isObject().withMessage('Expenses must be an object'),
+
+  optionalNumber('expenses.thisMonth', 'Monthly expense'),
+  optionalNumber('expenses.total', 'Total expense'),
+
+  body('expenses.categories')
+    .optional()
+    .isObject().withMessage('Expense categories must be an object of category to amount'),
+
+  optionalNumber('expenses.categories.*', 'Category amount'),
+
+  body('expenses.transactions')
+    .optional()
+    .isArray().withMessage('Expense transactions must be an array'),
+
+  body('expenses.transactions.*')
+    .isObject().withMessage('Each transaction must be an object'),
+
+  requiredNumber('expenses.transactions.*.amount', 'Amount', { min: 0.01, max: 10000000 }),
+
+  requiredDate(body('expenses.transactions.*.date'), 'Date'),
+  optionalText('expenses.transactions.*.category', 'Category', 50),
+  optionalText('expenses.transactions.*.note', 'Note', 200),
+
+  // { 'YYYY-MM-DD': count } or [{ dueDate, title?, subject?, dueTime?, ... }]
+  body('assignments')
+    .optional()
+    .custom(value => value !== null && typeof value === 'object')
+    .withMessage('Assignments must be an object of date counts or a list of assignments'),
+
+  body('assignments.*')
+    .if(body('assignments').not().isArray())
+    .custom((count, { pathValues: [date] }) => {
+      if (!isDateKey(date)) throw new Error('Assignment dates must be YYYY-MM-DD');
+      if (!(Number.isInteger(Number(count)) && count !== '' && count >= 0 && count <= 50)) {
+        throw new Error('Assignment counts must be between 0-50');
+      }
+      return true;
+    })
+    .toInt(),
+
+  body('assignments.*')
+    .if(assignmentList)
+    .isObject().withMessage('Each assignment must be an object'),
+
+  requiredDate(body('assignments.*.dueDate').if(assignmentList), 'Due date'),
+  optionalText('assignments.*.title', 'Title', 120),
+  optionalText('assignments.*.subject', 'Subject', 100),
+
+  body('assignments.*.dueTime')
+    .optional()
+    .matches(CLOCK_TIME).withMessage('Due time must be HH:MM (24-hour)'),
+
+  body('assignments.*.effortMinutes')
+    .optional()
+    .isInt({ min: 1, max: 10000 }).withMessage('Effort must be between 1-10000 minutes')
+    .toInt(),
+
+  body('assignments.*.priority')
+    .optional()
+    .isIn(PRIORITIES).withMessage(`Priority must be one of: ${PRIORITIES.join(', ')}`),
+
+  body('assignments.*.status')
+    .optional()
+    .isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  body('assignments.*.count')
+    .optional()
+    .isInt({ min: 0, max: 50 }).withMessage('Count must be between 0-50')
+    .toInt()
+];
@@ -0,0 +1,30 @@
+// notify/fcm.transport.js
+import { messaging } from '../firebase/firebaseAdmin.js';
+
+// Errors that mean the token will never work again (app uninstalled, etc.)
+const DEAD_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// 📲 Firebase Cloud Messaging, one multicast per student
+export default {
+  name: 'fcm',
+
+  async send({ tokens, title, body, data = {} }) {
+    const response = await messaging.sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      data
+    });
+
+    const invalidTokens = [];
+    response.responses.forEach((result, i) => {
+      if (result.success) return;
+      if (DEAD_TOKEN_CODES.includes(result.error?.code)) invalidTokens.push(tokens[i]);
+      else console.warn('[Notify] FCM delivery failed:', result.error?.code || result.error?.message);
+    });
+
+    return { sent: response.successCount, failed: response.failureCount, invalidTokens };
+  }
+};
@@ -0,0 +1,42 @@
+// notify/index.js
+import 'dotenv/config';
+import fcmTransport from './fcm.transport.js';
+import memoryTransport from './memory.transport.js';
+
+/*
+ * Push notification transports.
+ *
+ * A transport is a plain object:
+ *   name        id used in NOTIFY_TRANSPORT and logs
+ *   send        ({ tokens, title, body, data }) =>
+ *                 { sent, failed, invalidTokens }
+ *
+ * `tokens` are the student's device registration tokens, `data` a flat
+ * object of strings delivered alongside the notification. `invalidTokens`
+ * lists tokens the service reported as no longer registered, so the caller
+ * can forget them.
+ *
+ * Selected with NOTIFY_TRANSPORT = fcm (default) | memory.
+ */
+
+const TRANSPORTS = {
+  [fcmTransport.name]: fcmTransport,
+  [memoryTransport.name]: memoryTransport
+};
+
+function selectTransport() {
+  const wanted = (process.env.NOTIFY_TRANSPORT || 'fcm').toLowerCase();
+  const transport = TRANSPORTS[wanted];
+
+  if (!transport) {
+    console.warn(`[Notify] Unknown NOTIFY_TRANSPORT "${wanted}" — using fcm`);
+    return fcmTransport;
+  }
+  return transport;
+}
+
+const transport = selectTransport();
+
+export function getTransport() {
+  return transport;
+}
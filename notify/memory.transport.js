@@ -0,0 +1,22 @@
+// notify/memory.transport.js
+
+// Messages "sent" since start-up (or the last clearSent), oldest first
+const sent = [];
+
+export const sentMessages = () => [...sent];
+
+export function clearSent() {
+  sent.length = 0;
+}
+
+// 🧪 Keeps notifications in memory instead of sending them - for tests and
+// local development
+export default {
+  name: 'memory',
+
+  async send({ tokens, title, body, data = {} }) {
+    sent.push({ tokens: [...tokens], title, body, data, sentAt: new Date() });
+    console.log(`[Notify] (memory) ${title} -> ${tokens.length} device(s)`);
+    return { sent: tokens.length, failed: 0, invalidTokens: [] };
+  }
+};
@@ -0,0 +1,74 @@
+import express from 'express';
+import { query, matchedData } from 'express-validator';
+import { requireAuth, requireAdmin } from '../middleware/auth.middleware.js';
+import { rejectInvalid } from '../middleware/validate.middleware.js';
+import { MAX_REPORT_DAYS, usageReport } from '../services/usage.service.js';
+import { runBriefings } from '../services/notification.service.js';
+import { toDateKey, daysBetween } from '../utils/date.util.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Admin API (requires the `admin` custom claim)
+
+const validateUsage = [
+  query('from')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From must be YYYY-MM-DD'),
+
+  query('to')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('To must be YYYY-MM-DD')
+];
+
+const validateBriefingRun = [
+  query('dryRun')
+    .optional()
+    .isBoolean().withMessage('Dry run must be true or false')
+    .toBoolean()
+];
+
+function sendServerError(res, error) {
+  console.error('[Admin] Error:', error?.message || error);
+  return res.status(500).json({
+    error: 'Something went wrong. Could you try that again?',
+    code: 'SERVER_ERROR',
+    details: DEBUG ? error?.message : undefined
+  });
+}
+
+router.use('/admin', requireAuth, requireAdmin);
+
+// GET /admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD  (defaults to this month so far)
+router.get('/admin/usage', validateUsage, rejectInvalid, async (req, res) => {
+  try {
+    const params = matchedData(req, { locations: ['query'] });
+    const to = params.to || toDateKey(new Date());
+    const from = params.from || `${to.slice(0, 7)}-01`;
+
+    const span = daysBetween(from, to);
+    if (span < 0 || span >= MAX_REPORT_DAYS) {
+      return res.status(400).json({
+        error: `Pick a range of 1-${MAX_REPORT_DAYS} days with from on or before to.`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    return res.status(200).json(await usageReport({ from, to }));
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+// POST /admin/briefings/run[?dryRun=true]
+// One scheduler pass now (e.g. from an external cron); dryRun only counts
+router.post('/admin/briefings/run', validateBriefingRun, rejectInvalid, async (req, res) => {
+  try {
+    const { dryRun = false } = matchedData(req, { locations: ['query'] });
+    return res.status(200).json(await runBriefings(new Date(), { dryRun }));
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+export default router;
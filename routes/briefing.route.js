@@ -0,0 +1,33 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { prepareBriefing } from '../services/notification.service.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Daily briefing API
+
+router.use('/briefing', requireAuth);
+
+// GET /briefing  today's briefing as it would be pushed now, and whether it is due
+router.get('/briefing', async (req, res) => {
+  try {
+    const { briefing, status, settings, clock } = await prepareBriefing(req.auth.uid);
+
+    return res.status(200).json({
+      briefing,
+      status,
+      briefingTime: settings.briefingTime,
+      timeZone: clock.timeZone
+    });
+  } catch (error) {
+    console.error('[Briefing] Error:', error?.message || error);
+    return res.status(500).json({
+      error: 'Something went wrong. Could you try that again?',
+      code: 'SERVER_ERROR',
+      details: DEBUG ? error?.message : undefined
+    });
+  }
+});
+
+export default router;
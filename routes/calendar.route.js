@@ -0,0 +1,128 @@
+import express from 'express';
+import { body, query, matchedData } from 'express-validator';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { rejectInvalid } from '../middleware/validate.middleware.js';
+import { loadStudentContext, invalidateStudentContext } from '../services/context.service.js';
+import { getPersona } from '../services/persona.service.js';
+import {
+  FEED_PARTS,
+  MAX_IMPORT_MARKS,
+  buildCalendarFeed,
+  parseCalendarMarks,
+  saveImportedMarks
+} from '../services/ics.service.js';
+import { studentClock } from '../utils/time.util.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Calendar (iCalendar) API
+
+// Published college calendars run well past the 10kb JSON limit
+const ICS_BODY_LIMIT = process.env.ICS_BODY_LIMIT || '512kb';
+
+const validateExport = [
+  query('include')
+    .optional()
+    .isString()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',').map(part => part.trim()) : value))
+    .custom(parts => parts.length > 0 && parts.every(part => FEED_PARTS.includes(part)))
+    .withMessage(`Include must be a comma-separated list of: ${FEED_PARTS.join(', ')}`),
+
+  query('until')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Until must be YYYY-MM-DD')
+];
+
+const validateImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean().withMessage('Dry run must be true or false')
+    .toBoolean(),
+
+  // JSON clients may send the file as { ics: "BEGIN:VCALENDAR..." }
+  body('ics')
+    .optional()
+    .isString().withMessage('ics must be the calendar file as text')
+];
+
+function sendServerError(res, error) {
+  console.error('[Calendar] Error:', error?.message || error);
+  return res.status(500).json({
+    error: 'Something went wrong. Could you try that again?',
+    code: 'SERVER_ERROR',
+    details: DEBUG ? error?.message : undefined
+  });
+}
+
+router.use('/calendar', requireAuth);
+
+// GET /calendar/export.ics?include=timetable,marks,assignments&until=YYYY-MM-DD
+router.get('/calendar/export.ics', validateExport, rejectInvalid, async (req, res) => {
+  try {
+    const { uid } = req.auth;
+    const { include = FEED_PARTS, until = null } = matchedData(req, { locations: ['query'] });
+
+    const persona = await getPersona(uid);
+    const { today } = studentClock(new Date(), { timeZone: persona.timeZone });
+    const context = await loadStudentContext(uid, today);
+
+    const ics = buildCalendarFeed(context, {
+      today,
+      timeZone: persona.timeZone,
+      locale: persona.locale,
+      until,
+      include
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="campus-schedule.ics"');
+    return res.status(200).send(ics);
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+// POST /calendar/import[?dryRun=true]  body: text/calendar, or JSON { ics }
+// Adds the file's events as calendar marks; dryRun only shows what would be added
+router.post(
+  '/calendar/import',
+  express.text({ type: 'text/calendar', limit: ICS_BODY_LIMIT }),
+  validateImport,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { uid } = req.auth;
+      const { dryRun = false } = matchedData(req, { locations: ['query'] });
+      const text = typeof req.body === 'string' ? req.body : req.body?.ics;
+
+      if (!text || !/BEGIN:VCALENDAR/i.test(text)) {
+        return res.status(400).json({
+          error: 'Send an iCalendar file (Content-Type: text/calendar).',
+          code: 'INVALID_ICS'
+        });
+      }
+
+      const persona = await getPersona(uid);
+      const { marks, skipped } = parseCalendarMarks(text, { timeZone: persona.timeZone });
+
+      if (marks.length > MAX_IMPORT_MARKS) {
+        return res.status(413).json({
+          error: `That calendar has ${marks.length} days of events; import at most ${MAX_IMPORT_MARKS} at a time.`,
+          code: 'ICS_TOO_LARGE'
+        });
+      }
+
+      if (!dryRun && marks.length > 0) {
+        await saveImportedMarks(uid, marks);
+        invalidateStudentContext(uid);
+      }
+
+      return res.status(dryRun ? 200 : 201).json({ imported: dryRun ? 0 : marks.length, dryRun, marks, skipped });
+    } catch (error) {
+      return sendServerError(res, error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,100 @@
+import express from 'express';
+import { param, query, matchedData } from 'express-validator';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { rejectInvalid } from '../middleware/validate.middleware.js';
+import {
+  listConversations,
+  getConversation,
+  getMessages,
+  deleteConversation
+} from '../services/conversation.service.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Conversation history API
+
+const conversationIdParam = param('id')
+  .isString()
+  .matches(/^[A-Za-z0-9_-]{1,128}$/).withMessage('Invalid conversation id');
+
+const validateList = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50')
+    .toInt(),
+
+  query('cursor')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]{1,128}$/).withMessage('Invalid cursor')
+];
+
+const validateFetch = [
+  conversationIdParam,
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1-200')
+    .toInt()
+];
+
+function sendServerError(res, error) {
+  console.error('[Conversations] Error:', error?.message || error);
+  return res.status(500).json({
+    error: 'Something went wrong. Could you try that again?',
+    code: 'SERVER_ERROR',
+    details: DEBUG ? error?.message : undefined
+  });
+}
+
+const notFound = res => res.status(404).json({
+  error: 'Conversation not found.',
+  code: 'CONVERSATION_NOT_FOUND'
+});
+
+router.use('/conversations', requireAuth);
+
+router.get('/conversations', validateList, rejectInvalid, async (req, res) => {
+  try {
+    // matchedData() carries the sanitised values (Express 5's req.query is read-only)
+    const { limit = 20, cursor } = matchedData(req, { locations: ['query'] });
+    const page = await listConversations(req.auth.uid, { limit, cursor });
+    if (!page) {
+      return res.status(400).json({
+        error: 'Unknown cursor. Start again from the first page.',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    return res.status(200).json(page);
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+router.get('/conversations/:id', validateFetch, rejectInvalid, async (req, res) => {
+  try {
+    const { uid } = req.auth;
+    const conversation = await getConversation(uid, req.params.id);
+    if (!conversation) return notFound(res);
+
+    const { limit = 50 } = matchedData(req, { locations: ['query'] });
+    const messages = await getMessages(uid, conversation.id, { limit });
+    return res.status(200).json({ conversation, messages });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+router.delete('/conversations/:id', conversationIdParam, rejectInvalid, async (req, res) => {
+  try {
+    const deleted = await deleteConversation(req.auth.uid, req.params.id);
+    if (!deleted) return notFound(res);
+
+    return res.status(200).json({ deleted: true, conversationId: req.params.id });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { openApiDocument } from '../docs/openapi.js';
+
+const router = express.Router();
+
+// GET /openapi.json  the chat API description (public, like any API doc)
+router.get('/openapi.json', (req, res) => res.status(200).json(openApiDocument));
+
+export default router;
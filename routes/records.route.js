@@ -0,0 +1,347 @@
+import express from 'express';
+import { body, param, query, matchedData } from 'express-validator';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { CLOCK_TIME, rejectInvalid } from '../middleware/validate.middleware.js';
+import {
+  listRecords,
+  getRecord,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  nextOrder,
+  listTimetableEntries,
+  getTimetableEntry,
+  createTimetableEntry,
+  updateTimetableEntry,
+  deleteTimetableEntry
+} from '../services/records.service.js';
+import { PRIORITIES, STATUSES } from '../services/assignment.service.js';
+import { percentOf } from '../services/attendance.service.js';
+import { GRADE_SCALE_MAX } from '../services/grades.service.js';
+import { parseClockTime } from '../utils/schedule.util.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Student data API: the records the chat reads (see services/records.service.js)
+
+const ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Required when creating, optional in a partial update
+const required = (create, field, label) => (create
+  ? body(field).exists({ values: 'null' }).withMessage(`${label} is required`).bail()
+  : body(field).optional());
+
+// Optional either way; null clears it on update
+const optional = field => body(field)
+  .optional()
+  .if(value => value !== null);
+
+// Trimmed text without angle brackets, like chat messages
+const text = (chain, label, max) => chain
+  .isString().withMessage(`${label} must be text`)
+  .trim()
+  .isLength({ min: 1, max }).withMessage(`${label} must be 1–${max} characters`)
+  .customSanitizer(value => (typeof value === 'string' ? value.replace(/[<>]/g, '') : value));
+
+const dateKey = (chain, label) => chain
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage(`${label} must be YYYY-MM-DD`);
+
+const validateId = param('id').matches(ID).withMessage('Invalid id');
+
+const pageQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100')
+    .toInt(),
+
+  query('cursor')
+    .optional()
+    .matches(ID).withMessage('Invalid cursor')
+];
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD on a date-ordered list
+const dateRangeQuery = [
+  dateKey(query('from').optional(), 'From'),
+  dateKey(query('to').optional(), 'To')
+];
+
+// A store for a users/{uid}/{collection} collection, listed by `orderBy`
+const collectionStore = (collection, orderBy, direction = 'asc') => ({
+  list: (uid, options) => listRecords(uid, collection, { orderBy, direction, ...options }),
+  get: (uid, id) => getRecord(uid, collection, id),
+  create: (uid, data) => createRecord(uid, collection, data),
+  update: (uid, id, changes) => updateRecord(uid, collection, id, changes),
+  remove: (uid, id) => deleteRecord(uid, collection, id)
+});
+
+const timetableStore = {
+  list: listTimetableEntries,
+  get: getTimetableEntry,
+  create: createTimetableEntry,
+  update: updateTimetableEntry,
+  remove: deleteTimetableEntry
+};
+
+/*
+ * Each resource gets
+ *   GET    {path}?limit=&cursor=   { [many]: [...], nextCursor } (400 for an unknown cursor)
+ *   GET    {path}/:id              { [one]: record }
+ *   POST   {path}                  201 { [one]: record }
+ *   PUT    {path}/:id              partial update (null clears an optional field)
+ *   DELETE {path}/:id              { deleted: true, id }
+ * `fields(create)` validates the body; `check(record)` returns why a whole
+ * record (an update merged over the saved one) is invalid, or null.
+ */
+const RESOURCES = [
+  {
+    path: '/timetable/entries',
+    label: 'Timetable entry',
+    one: 'entry',
+    many: 'entries',
+    store: timetableStore,
+    filters: [
+      query('day')
+        .optional()
+        .isInt({ min: 0, max: 6 }).withMessage('Day must be between 0-6 (Monday=0)')
+        .toInt()
+    ],
+    fields: create => [
+      required(create, 'day', 'Day')
+        .isInt({ min: 0, max: 6 }).withMessage('Day must be between 0-6 (Monday=0)')
+        .toInt(),
+      text(required(create, 'name', 'Class name'), 'Class name', 100),
+      optional('startTime').matches(CLOCK_TIME).withMessage('Start time must be HH:MM (24-hour)'),
+      optional('endTime').matches(CLOCK_TIME).withMessage('End time must be HH:MM (24-hour)'),
+      text(optional('room'), 'Room', 50)
+    ],
+    check: ({ startTime, endTime }) => {
+      if (!startTime !== !endTime) return 'A class needs both a start and an end time, or neither';
+      const [start, end] = [parseClockTime(startTime), parseClockTime(endTime)];
+      return start !== null && end !== null && end <= start ? 'A class must end after it starts' : null;
+    }
+  },
+  {
+    path: '/attendance',
+    label: 'Subject',
+    one: 'subject',
+    many: 'subjects',
+    store: collectionStore('attendance', 'name'),
+    fields: create => [
+      text(required(create, 'name', 'Subject name'), 'Subject name', 100),
+      body('held')
+        .optional()
+        .isInt({ min: 0, max: 10000 }).withMessage('Classes held must be a positive number')
+        .toInt(),
+      body('attended')
+        .optional()
+        .isInt({ min: 0, max: 10000 }).withMessage('Classes attended must be a positive number')
+        .toInt()
+    ],
+    check: ({ held = 0, attended = 0 }) =>
+      attended > held ? 'Classes attended cannot be more than classes held' : null,
+    view: record => ({ ...record, percentage: percentOf(record.attended || 0, record.held || 0) })
+  },
+  {
+    path: '/grades',
+    label: 'Semester',
+    one: 'semester',
+    many: 'semesters',
+    store: collectionStore('cgpa', 'order'),
+    fields: create => [
+      text(required(create, 'semester', 'Semester'), 'Semester', 50),
+      required(create, 'sgpa', 'SGPA')
+        .isFloat({ min: 0, max: GRADE_SCALE_MAX }).withMessage(`SGPA must be between 0-${GRADE_SCALE_MAX}`)
+        .toFloat(),
+      optional('credits')
+        .isFloat({ min: 0.5, max: 100 }).withMessage('Credits must be between 0.5-100')
+        .toFloat(),
+      body('order')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Order must be a positive number')
+        .toInt()
+    ],
+    // New semesters go last unless an order is given
+    prepare: async (uid, data) => ({ ...data, order: data.order ?? await nextOrder(uid, 'cgpa') })
+  },
+  {
+    path: '/expenses',
+    label: 'Expense',
+    one: 'expense',
+    many: 'expenses',
+    store: collectionStore('expenses', 'date', 'desc'),
+    filters: dateRangeQuery,
+    fields: create => [
+      required(create, 'amount', 'Amount')
+        .isFloat({ gt: 0, max: 10000000 }).withMessage('Amount must be a positive number')
+        .toFloat(),
+      text(body('category').optional(), 'Category', 50),
+      dateKey(required(create, 'date', 'Date'), 'Date'),
+      text(optional('note'), 'Note', 200)
+    ]
+  },
+  {
+    path: '/assignments',
+    label: 'Assignment',
+    one: 'assignment',
+    many: 'assignments',
+    store: collectionStore('assignments', 'dueDate'),
+    filters: dateRangeQuery,
+    fields: create => [
+      text(optional('title'), 'Title', 120),
+      text(optional('subject'), 'Subject', 100),
+      dateKey(required(create, 'dueDate', 'Due date'), 'Due date'),
+      optional('dueTime').matches(CLOCK_TIME).withMessage('Due time must be HH:MM (24-hour)'),
+      optional('effortMinutes')
+        .isInt({ min: 1, max: 10000 }).withMessage('Effort must be between 1-10000 minutes')
+        .toInt(),
+      body('priority')
+        .optional()
+        .isIn(PRIORITIES).withMessage(`Priority must be one of: ${PRIORITIES.join(', ')}`),
+      body('status')
+        .optional()
+        .isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+      body('count')
+        .optional()
+        .isInt({ min: 1, max: 50 }).withMessage('Count must be between 1-50')
+        .toInt()
+    ]
+  },
+  {
+    path: '/calendar/marks',
+    label: 'Calendar mark',
+    one: 'mark',
+    many: 'marks',
+    store: collectionStore('calendarMarks', 'date'),
+    filters: dateRangeQuery,
+    fields: create => [
+      dateKey(required(create, 'date', 'Date'), 'Date'),
+      text(required(create, 'categoryName', 'Category'), 'Category', 50),
+      text(optional('title'), 'Title', 120),
+      text(optional('subject'), 'Subject', 100),
+      // A past test's result
+      optional('score')
+        .isFloat({ min: 0 }).withMessage('Score must be a positive number')
+        .toFloat(),
+      optional('maxScore')
+        .isFloat({ gt: 0 }).withMessage('Max score must be more than 0')
+        .toFloat()
+    ],
+    check: ({ score, maxScore }) => {
+      if (score === undefined) return null;
+      if (maxScore === undefined) return 'A score needs a max score';
+      return score > maxScore ? 'Score cannot be more than the max score' : null;
+    }
+  }
+];
+
+function sendServerError(res, error) {
+  console.error('[Records] Error:', error?.message || error);
+  return res.status(500).json({
+    error: 'Something went wrong. Could you try that again?',
+    code: 'SERVER_ERROR',
+    details: DEBUG ? error?.message : undefined
+  });
+}
+
+const invalid = (res, error) => res.status(400).json({ error, code: 'VALIDATION_ERROR' });
+
+// Null fields are about to be cleared, so they don't count as set
+const merged = (record, changes) => Object.fromEntries(
+  Object.entries({ ...record, ...changes }).filter(([, value]) => value !== null && value !== undefined)
+);
+
+function mountResource({
+  path,
+  label,
+  one,
+  many,
+  store,
+  filters = [],
+  fields,
+  check = () => null,
+  prepare = (uid, data) => data,
+  view = record => record
+}) {
+  const notFound = res => res.status(404).json({
+    error: `${label} not found.`,
+    code: `${label.toUpperCase().replace(/ /g, '_')}_NOT_FOUND`
+  });
+
+  router.use(path, requireAuth);
+
+  router.get(path, pageQuery, filters, rejectInvalid, async (req, res) => {
+    try {
+      const page = await store.list(req.auth.uid, matchedData(req, { locations: ['query'] }));
+      if (!page) return invalid(res, 'Unknown cursor. Start again from the first page.');
+
+      return res.status(200).json({ [many]: page.records.map(view), nextCursor: page.nextCursor });
+    } catch (error) {
+      return sendServerError(res, error);
+    }
+  });
+
+  router.get(`${path}/:id`, validateId, rejectInvalid, async (req, res) => {
+    try {
+      const record = await store.get(req.auth.uid, req.params.id);
+      if (!record) return notFound(res);
+
+      return res.status(200).json({ [one]: view(record) });
+    } catch (error) {
+      return sendServerError(res, error);
+    }
+  });
+
+  router.post(path, fields(true), rejectInvalid, async (req, res) => {
+    try {
+      const { uid } = req.auth;
+      const data = matchedData(req, { locations: ['body'] });
+
+      const problem = check(merged({}, data));
+      if (problem) return invalid(res, problem);
+
+      const record = await store.create(uid, await prepare(uid, data));
+      return res.status(201).json({ [one]: view(record) });
+    } catch (error) {
+      return sendServerError(res, error);
+    }
+  });
+
+  router.put(`${path}/:id`, validateId, fields(false), rejectInvalid, async (req, res) => {
+    try {
+      const { uid } = req.auth;
+      const changes = matchedData(req, { locations: ['body'] });
+      if (Object.keys(changes).length === 0) {
+        return invalid(res, 'Send at least one field to change.');
+      }
+
+      const current = await store.get(uid, req.params.id);
+      if (!current) return notFound(res);
+
+      const problem = check(merged(current, changes));
+      if (problem) return invalid(res, problem);
+
+      const record = await store.update(uid, req.params.id, changes);
+      if (!record) return notFound(res);
+
+      return res.status(200).json({ [one]: view(record) });
+    } catch (error) {
+      return sendServerError(res, error);
+    }
+  });
+
+  router.delete(`${path}/:id`, validateId, rejectInvalid, async (req, res) => {
+    try {
+      const deleted = await store.remove(req.auth.uid, req.params.id);
+      if (!deleted) return notFound(res);
+
+      return res.status(200).json({ deleted: true, id: req.params.id });
+    } catch (error) {
+      return sendServerError(res, error);
+    }
+  });
+}
+
+RESOURCES.forEach(mountResource);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { loadStudentContext } from '../services/context.service.js';
+import { getPersona } from '../services/persona.service.js';
+import { planRevision } from '../services/revision.service.js';
+import { createSchedule, toClockTime } from '../utils/schedule.util.js';
+import { studentClock } from '../utils/time.util.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Exam revision API
+
+router.use('/revision', requireAuth);
+
+// GET /revision  the revision schedule for upcoming exams, worked out from
+// the saved calendar, timetable and attendance as of now
+router.get('/revision', async (req, res) => {
+  try {
+    const { uid } = req.auth;
+    const persona = await getPersona(uid);
+    const clock = studentClock(new Date(), { timeZone: persona.timeZone });
+    const context = await loadStudentContext(uid, clock.today);
+
+    const plan = planRevision(
+      { ...context, schedule: createSchedule(context.timetable) },
+      { today: clock.today, nowMinutes: clock.hour * 60 + clock.minute }
+    );
+
+    return res.status(200).json({
+      ...plan,
+      days: plan.days.map(day => ({
+        ...day,
+        sessions: day.sessions.map(session => ({
+          ...session,
+          start: toClockTime(session.start),
+          end: toClockTime(session.end)
+        }))
+      })),
+      timeZone: clock.timeZone
+    });
+  } catch (error) {
+    console.error('[Revision] Error:', error?.message || error);
+    return res.status(500).json({
+      error: 'Something went wrong. Could you try that again?',
+      code: 'SERVER_ERROR',
+      details: DEBUG ? error?.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,173 @@
+import express from 'express';
+import { body, matchedData } from 'express-validator';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { CLOCK_TIME, rejectInvalid, localeField, currencyField, timeZoneField } from '../middleware/validate.middleware.js';
+import {
+  FORMALITY,
+  VERBOSITY,
+  NAME_USAGE,
+  getPersona,
+  updatePersona
+} from '../services/persona.service.js';
+import {
+  getNotificationSettings,
+  updateNotificationSettings,
+  addDeviceToken,
+  removeDeviceTokens
+} from '../services/notification.service.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Assistant settings API
+
+// Text field that may also be cleared with null
+const nullableText = (field, label, max) => body(field)
+  .optional()
+  .if(value => value !== null)
+  .isString().withMessage(`${label} must be text`)
+  .trim()
+  .isLength({ min: 1, max }).withMessage(`${label} must be 1–${max} characters`)
+  .customSanitizer(value => value.replace(/[<>]/g, ''));
+
+const validatePersona = [
+  nullableText('assistantName', 'Assistant name', 40),
+  nullableText('address', 'Form of address', 50),
+
+  body('formality')
+    .optional()
+    .isIn(FORMALITY).withMessage(`Formality must be one of: ${FORMALITY.join(', ')}`),
+
+  body('verbosity')
+    .optional()
+    .isIn(VERBOSITY).withMessage(`Verbosity must be one of: ${VERBOSITY.join(', ')}`),
+
+  body('emoji')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Emoji must be true or false'),
+
+  body('nameUsage')
+    .optional()
+    .isIn(NAME_USAGE).withMessage(`Name usage must be one of: ${NAME_USAGE.join(', ')}`),
+
+  localeField('locale'),
+  currencyField('currency'),
+  timeZoneField('timeZone')
+];
+
+const isQuietHours = value =>
+  value !== null && typeof value === 'object' &&
+  CLOCK_TIME.test(value.start) && CLOCK_TIME.test(value.end) && value.start !== value.end;
+
+const validateNotifications = [
+  body('briefing')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Briefing must be true or false'),
+
+  body('briefingTime')
+    .optional()
+    .matches(CLOCK_TIME).withMessage('Briefing time must be HH:MM (24-hour)'),
+
+  // { start, end } in HH:MM, may run past midnight; null turns quiet hours off
+  body('quietHours')
+    .optional()
+    .if(value => value !== null)
+    .custom(isQuietHours).withMessage('Quiet hours must be { start, end } in HH:MM, not the same time')
+    .customSanitizer(({ start, end }) => ({ start, end }))
+];
+
+const validateDevice = [
+  body('token')
+    .exists().withMessage('Token is required')
+    .isString().withMessage('Token must be text')
+    .isLength({ min: 1, max: 4096 }).withMessage('Token must be 1–4096 characters')
+    .matches(/^[A-Za-z0-9_:.-]+$/).withMessage('Invalid device token')
+];
+
+// Device tokens stay on the server; clients only see how many there are
+const publicNotifications = ({ deviceTokens, ...settings }) => ({ ...settings, devices: deviceTokens.length });
+
+function sendServerError(res, error) {
+  console.error('[Settings] Error:', error?.message || error);
+  return res.status(500).json({
+    error: 'Something went wrong. Could you try that again?',
+    code: 'SERVER_ERROR',
+    details: DEBUG ? error?.message : undefined
+  });
+}
+
+router.use('/settings', requireAuth);
+
+router.get('/settings/assistant', async (req, res) => {
+  try {
+    return res.status(200).json({ assistant: await getPersona(req.auth.uid) });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+// Partial update: send only the fields to change (null clears a name or the timezone)
+router.put('/settings/assistant', validatePersona, rejectInvalid, async (req, res) => {
+  try {
+    const changes = matchedData(req, { locations: ['body'] });
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Send at least one setting to change.',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    return res.status(200).json({ assistant: await updatePersona(req.auth.uid, changes) });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+router.get('/settings/notifications', async (req, res) => {
+  try {
+    const settings = await getNotificationSettings(req.auth.uid);
+    return res.status(200).json({ notifications: publicNotifications(settings) });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+// Partial update: briefing (opt in/out), briefingTime, quietHours
+router.put('/settings/notifications', validateNotifications, rejectInvalid, async (req, res) => {
+  try {
+    const changes = matchedData(req, { locations: ['body'] });
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Send at least one setting to change.',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const settings = await updateNotificationSettings(req.auth.uid, changes);
+    return res.status(200).json({ notifications: publicNotifications(settings) });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+// POST /settings/notifications/devices  { token }  (FCM registration token)
+router.post('/settings/notifications/devices', validateDevice, rejectInvalid, async (req, res) => {
+  try {
+    const devices = await addDeviceToken(req.auth.uid, req.body.token);
+    return res.status(201).json({ devices });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+// DELETE /settings/notifications/devices  { token }  (e.g. on sign-out)
+router.delete('/settings/notifications/devices', validateDevice, rejectInvalid, async (req, res) => {
+  try {
+    const devices = await removeDeviceTokens(req.auth.uid, [req.body.token]);
+    return res.status(200).json({ devices });
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+});
+
+export default router;
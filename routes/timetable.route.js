@@ -0,0 +1,49 @@
+import express from 'express';
+import { body, matchedData } from 'express-validator';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { rejectInvalid } from '../middleware/validate.middleware.js';
+import { loadStudentContext } from '../services/context.service.js';
+import { MIN_TRANSFER_MINUTES, validateTimetable } from '../services/timetable.service.js';
+
+const router = express.Router();
+const DEBUG = process.env.NODE_ENV !== 'production';
+
+// Timetable API
+
+const validateCheck = [
+  // Any shape: reporting what is wrong with it is the point
+  body('timetable').optional(),
+
+  body('minTransferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 60 }).withMessage('Minimum transfer time must be between 0-60 minutes')
+    .toInt()
+];
+
+router.use('/timetable', requireAuth);
+
+// POST /timetable/validate  { timetable?, minTransferMinutes? }
+// Checks the posted timetable, or the saved one when none is sent
+router.post('/timetable/validate', validateCheck, rejectInvalid, async (req, res) => {
+  try {
+    const { minTransferMinutes = MIN_TRANSFER_MINUTES } = matchedData(req, { locations: ['body'] });
+    const posted = req.body.timetable !== undefined;
+    const timetable = posted
+      ? req.body.timetable
+      : (await loadStudentContext(req.auth.uid)).timetable;
+
+    return res.status(200).json({
+      ...validateTimetable(timetable, { minTransferMinutes }),
+      source: posted ? 'body' : 'firestore'
+    });
+  } catch (error) {
+    console.error('[Timetable] Error:', error?.message || error);
+    return res.status(500).json({
+      error: 'Something went wrong. Could you try that again?',
+      code: 'SERVER_ERROR',
+      details: DEBUG ? error?.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,238 @@
+// services/assignment.service.js
+import { addDays, daysBetween, dayIndexOf, isDateKey } from '../utils/date.util.js';
+import { parseClockTime, toClockTime } from '../utils/schedule.util.js';
+import { t, formatList } from '../i18n/index.js';
+
+export const PRIORITIES = ['low', 'medium', 'high'];
+export const STATUSES = ['todo', 'in_progress', 'done'];
+
+// Effort assumed for an assignment that doesn't give one
+export const DEFAULT_EFFORT_MINUTES = parseInt(process.env.ASSIGNMENT_DEFAULT_EFFORT_MINUTES, 10) || 120;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// A due date without a time is due at the end of that day
+const END_OF_DAY = MINUTES_PER_DAY;
+
+const positive = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+
+/**
+ * Clean assignment records into the shape the chat and the planner use:
+ *   { id, title, subject, dueDate, dueTime, effortMinutes, effortAssumed,
+ *     priority, status, count }
+ * `count` is how many assignments one record stands for (older records are
+ * just { dueDate, count }); effortAssumed marks a DEFAULT_EFFORT_MINUTES
+ * guess. Records without a valid dueDate and finished ones are dropped; the
+ * rest come back soonest deadline first, higher priority first on a tie.
+ */
+export function normalizeAssignments(records = []) {
+  return records
+    .filter(record => record && typeof record === 'object' && isDateKey(record.dueDate))
+    .map((record, i) => {
+      const count = record.count === undefined ? 1 : Math.round(Number(record.count)) || 0;
+      const dueMinutes = parseClockTime(record.dueTime);
+      const effort = positive(record.effortMinutes);
+
+      return {
+        id: record.id ? String(record.id) : `assignment_${i}`,
+        title: typeof record.title === 'string' && record.title.trim() ? record.title.trim() : null,
+        subject: typeof record.subject === 'string' && record.subject.trim() ? record.subject.trim() : null,
+        dueDate: record.dueDate,
+        dueTime: dueMinutes === null ? null : toClockTime(dueMinutes),
+        effortMinutes: Math.round(effort ?? DEFAULT_EFFORT_MINUTES * Math.max(count, 1)),
+        effortAssumed: effort === null,
+        priority: PRIORITIES.includes(record.priority) ? record.priority : 'medium',
+        status: STATUSES.includes(record.status) ? record.status : 'todo',
+        count
+      };
+    })
+    .filter(assignment => assignment.status !== 'done' && assignment.count > 0)
+    .sort(byDeadline);
+}
+
+// Minutes past midnight an assignment is due by
+const dueMinutesOf = assignment =>
+  assignment.dueTime ? parseClockTime(assignment.dueTime) : END_OF_DAY;
+
+function byDeadline(a, b) {
+  return a.dueDate.localeCompare(b.dueDate) ||
+    dueMinutesOf(a) - dueMinutesOf(b) ||
+    PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority);
+}
+
+/**
+ * Date -> number of pending assignments due that day (the map the chat has
+ * always used)
+ */
+export function dueCounts(assignmentList) {
+  const counts = {};
+  assignmentList.forEach(({ dueDate, count }) => {
+    counts[dueDate] = (counts[dueDate] || 0) + count;
+  });
+  return counts;
+}
+
+/**
+ * Records for a date -> count map, for posted or older data that has no
+ * records: one untitled record per date
+ */
+export const assignmentsFromCounts = (assignments = {}) =>
+  normalizeAssignments(Object.entries(assignments).map(([dueDate, count]) => ({ id: `due_${dueDate}`, dueDate, count })));
+
+// What to call an assignment in a reply: its title, or "2 assignments"
+export const assignmentLabel = assignment =>
+  assignment.title || t('common.assignmentCount', { count: assignment.count });
+
+// The label with the subject, when there is one: "Lab report (Physics)"
+export const assignmentFullName = assignment =>
+  assignment.title && assignment.subject
+    ? t('assignments.withSubject', { title: assignment.title, subject: assignment.subject })
+    : assignmentLabel(assignment);
+
+// "Lab report and Essay" for the assignments due on a date
+export const assignmentNames = assignments => formatList(assignments.map(assignmentLabel));
+
+export const PLAN_DEFAULTS = {
+  days: 7,               // how far ahead to plan, today included
+  dayStart: 8 * 60,      // study no earlier than 08:00...
+  dayEnd: 22 * 60,       // ...and no later than 22:00
+  minSession: 30,        // shortest session worth sitting down for
+  maxSession: 90,        // longest before a break
+  breakMinutes: 10,      // between two sessions in the same free slot
+  maxDailyMinutes: 240   // most study planned on one day
+};
+
+// Step the daily study limit grows by while looking for a plan that meets every deadline
+const DAILY_STEP_MINUTES = 30;
+
+const roundUp = (value, step) => Math.ceil(value / step) * step;
+
+// Earliest-deadline-first fill of each day's free time, at most `dailyLimit` a day
+function allocate(tasks, days, dailyLimit, { minSession, maxSession, breakMinutes }) {
+  const remaining = new Map(tasks.map(task => [task.id, task.effortMinutes]));
+  const sessions = [];
+
+  days.forEach(({ date, offset, slots }) => {
+    let left = dailyLimit;
+
+    slots.forEach(({ start, end }) => {
+      let cursor = start;
+
+      while (left > 0 && cursor < end) {
+        const at = offset * MINUTES_PER_DAY + cursor;
+        const room = Math.min(end - cursor, left, maxSession);
+
+        // The most urgent task that can still fit a useful session before its deadline
+        let minutes = 0;
+        const task = tasks.find(candidate => {
+          const rest = remaining.get(candidate.id);
+          if (rest <= 0) return false;
+          minutes = Math.min(room, rest, candidate.deadline - at);
+          return minutes > 0 && minutes >= Math.min(minSession, rest);
+        });
+        if (!task) break;
+
+        sessions.push({
+          date,
+          start: cursor,
+          end: cursor + minutes,
+          minutes,
+          assignmentId: task.id,
+          title: task.title,
+          subject: task.subject
+        });
+        remaining.set(task.id, remaining.get(task.id) - minutes);
+        left -= minutes;
+        cursor += minutes + breakMinutes;
+      }
+    });
+  });
+
+  return { sessions, remaining };
+}
+
+/**
+ * Plan study sessions for pending assignments in the free time the
+ * timetable leaves, for `days` days from today (see PLAN_DEFAULTS).
+ *
+ * Work is spread out rather than crammed: each day gets at most an even
+ * share of the effort due, raised step by step (up to maxDailyMinutes)
+ * until every deadline inside the plan can be met. Sessions are filled
+ * earliest deadline first and always end before the deadline; on today
+ * nothing is planned before `nowMinutes`.
+ *
+ * Returns { from, to, dailyLimit, totalMinutes, sessions, assignments }
+ * where sessions are { date, start, end, minutes, assignmentId, title,
+ * subject } (start/end in minutes past midnight) and each assignment gets
+ * plannedMinutes, remainingMinutes and a planStatus:
+ *   ON_TRACK  all its effort is planned
+ *   AT_RISK   due inside the plan, but not enough free time before then
+ *   LATER     due after the plan; the rest is for later days
+ *   OVERDUE   already past its deadline (nothing planned)
+ */
+export function planStudy(assignmentList, schedule, { today, nowMinutes = null, ...options } = {}) {
+  const settings = { ...PLAN_DEFAULTS, ...options };
+  const to = addDays(today, settings.days - 1);
+
+  const days = Array.from({ length: settings.days }, (_, offset) => {
+    const date = addDays(today, offset);
+    const start = offset === 0 && nowMinutes !== null
+      ? Math.max(settings.dayStart, roundUp(nowMinutes, 5))
+      : settings.dayStart;
+
+    return {
+      date,
+      offset,
+      slots: start < settings.dayEnd
+        ? schedule.getFreeSlots(dayIndexOf(date), { from: start, until: settings.dayEnd, minLength: settings.minSession })
+        : []
+    };
+  });
+
+  const now = nowMinutes ?? 0;
+  const planEnd = settings.days * MINUTES_PER_DAY;
+
+  const tasks = assignmentList.map(assignment => ({
+    ...assignment,
+    deadline: daysBetween(today, assignment.dueDate) * MINUTES_PER_DAY + dueMinutesOf(assignment)
+  }));
+  const open = tasks.filter(task => task.deadline > now);
+
+  // Effort that belongs in this plan: all of it for deadlines inside the
+  // plan, a pro-rata share for later ones
+  const due = open.reduce((sum, task) =>
+    sum + task.effortMinutes * Math.min(1, planEnd / task.deadline), 0);
+
+  let dailyLimit = Math.min(settings.maxDailyMinutes,
+    Math.max(settings.minSession, roundUp(due / settings.days, DAILY_STEP_MINUTES)));
+  let result = allocate(open, days, dailyLimit, settings);
+
+  const missed = ({ remaining }) => open.some(task => task.deadline <= planEnd && remaining.get(task.id) > 0);
+  while (missed(result) && dailyLimit < settings.maxDailyMinutes) {
+    dailyLimit = Math.min(settings.maxDailyMinutes, dailyLimit + DAILY_STEP_MINUTES);
+    result = allocate(open, days, dailyLimit, settings);
+  }
+
+  const assignments = tasks.map(({ deadline, ...assignment }) => {
+    if (deadline <= now) {
+      return { ...assignment, plannedMinutes: 0, remainingMinutes: assignment.effortMinutes, planStatus: 'OVERDUE' };
+    }
+    const remainingMinutes = result.remaining.get(assignment.id);
+    const planStatus = remainingMinutes === 0 ? 'ON_TRACK' : (deadline <= planEnd ? 'AT_RISK' : 'LATER');
+    return {
+      ...assignment,
+      plannedMinutes: assignment.effortMinutes - remainingMinutes,
+      remainingMinutes,
+      planStatus
+    };
+  });
+
+  return {
+    from: today,
+    to,
+    dailyLimit,
+    totalMinutes: result.sessions.reduce((sum, session) => sum + session.minutes, 0),
+    sessions: result.sessions,
+    assignments
+  };
+}
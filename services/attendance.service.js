@@ -0,0 +1,128 @@
+// services/attendance.service.js
+import { addDays, dayIndexOf, daysBetween } from '../utils/date.util.js';
+
+// Minimum attendance most universities require, in percent
+export const ATTENDANCE_THRESHOLD = parseFloat(process.env.ATTENDANCE_THRESHOLD) || 75;
+
+// Longest stretch of skipped days we simulate ("can I bunk next week")
+const MAX_SKIP_DAYS = 14;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+export function percentOf(attended, held) {
+  return held > 0 ? round1((attended / held) * 100) : 0;
+}
+
+/**
+ * Classes to attend in a row to reach the threshold.
+ * Every class attended is also a class held, so it's (a + x) / (h + x) >= t.
+ */
+export function classesNeeded(attended, held, threshold = ATTENDANCE_THRESHOLD) {
+  const t = threshold / 100;
+  if (held === 0 || attended / held >= t) return 0;
+  if (t >= 1) return Infinity;
+  return Math.ceil((t * held - attended) / (1 - t));
+}
+
+/**
+ * Classes that can be missed in a row while staying at or above the threshold:
+ * a / (h + s) >= t
+ */
+export function skippableClasses(attended, held, threshold = ATTENDANCE_THRESHOLD) {
+  const t = threshold / 100;
+  if (t <= 0) return Infinity;
+  return Math.max(0, Math.floor(attended / t - held + 1e-9));
+}
+
+/**
+ * Attendance after missing `skipped` more classes
+ */
+export function simulateSkip({ attended = 0, held = 0 }, skipped) {
+  return {
+    attended,
+    held: held + skipped,
+    percentage: percentOf(attended, held + skipped)
+  };
+}
+
+// Subject name as written in the attendance data, matched case-insensitively
+export function findSubjectKey(subjects = {}, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return Object.keys(subjects).find(key => key.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Classes per subject on the given days, read from the timetable.
+ * Returns { counts: { subject: n }, total }.
+ */
+export function classesOnDays(schedule, dayIndexes) {
+  const counts = {};
+  let total = 0;
+
+  dayIndexes.forEach(dayIndex => {
+    schedule.getClassesForDay(dayIndex).forEach(cls => {
+      const subject = cls.subject || cls.name || 'class';
+      counts[subject] = (counts[subject] || 0) + 1;
+      total++;
+    });
+  });
+
+  return { counts, total };
+}
+
+// Weekday indexes for every day of a date range (capped, bounded ranges only)
+export function dayIndexesInRange(range) {
+  if (!range?.end) return [];
+  const span = Math.min(daysBetween(range.start, range.end), MAX_SKIP_DAYS - 1);
+  return Array.from({ length: span + 1 }, (_, i) => dayIndexOf(addDays(range.start, i)));
+}
+
+/**
+ * What happens to each subject and to the overall figure if the student
+ * skips everything on the given days.
+ *
+ * Returns { overall: { before, after, skipped }, subjects: [{ name, before,
+ * after, skipped, dropsBelow }], unknown: [timetable subjects with no
+ * attendance record], threshold }.
+ */
+export function simulateSkippedDays(attendance, schedule, dayIndexes, threshold = ATTENDANCE_THRESHOLD) {
+  const subjects = attendance.subjects || {};
+  const { counts, total } = classesOnDays(schedule, dayIndexes);
+
+  const results = [];
+  const unknown = [];
+
+  Object.entries(counts).forEach(([timetableName, skipped]) => {
+    const key = findSubjectKey(subjects, timetableName);
+    if (!key) {
+      unknown.push(timetableName);
+      return;
+    }
+
+    const data = subjects[key];
+    const before = percentOf(data.attended || 0, data.held || 0);
+    const after = simulateSkip({ attended: data.attended || 0, held: data.held || 0 }, skipped).percentage;
+
+    results.push({
+      name: key,
+      before,
+      after,
+      skipped,
+      dropsBelow: before >= threshold && after < threshold,
+      belowAfter: after < threshold
+    });
+  });
+
+  const overallBefore = percentOf(attendance.totalAttended || 0, attendance.totalHeld || 0);
+  const overallAfter = simulateSkip(
+    { attended: attendance.totalAttended || 0, held: attendance.totalHeld || 0 },
+    total
+  ).percentage;
+
+  return {
+    overall: { before: overallBefore, after: overallAfter, skipped: total },
+    subjects: results.sort((a, b) => a.after - b.after),
+    unknown,
+    threshold
+  };
+}
@@ -0,0 +1,142 @@
+// services/briefing.service.js
+import { ATTENDANCE_THRESHOLD, classesNeeded } from './attendance.service.js';
+import { EXAM_WORDS, upcomingMarks } from './calendar.service.js';
+import { assignmentsFromCounts, assignmentNames } from './assignment.service.js';
+import { daysUntil, parseClockTime } from '../utils/schedule.util.js';
+import { t, formatMoney, formatDate, formatDaysAway } from '../i18n/index.js';
+
+// Deadlines this close get a warning at the top of the briefing
+export const DEADLINE_WARNING_HOURS = 48;
+
+// Exams this many days away or fewer get a warning
+export const EXAM_WARNING_DAYS = 7;
+
+// A briefing is still sent this long after its time (server restarts,
+// quiet hours ending); after that the day is skipped
+export const BRIEFING_WINDOW_MINUTES = parseInt(process.env.BRIEFING_WINDOW_MINUTES, 10) || 240;
+
+/**
+ * The "how's my day" lines the greeting already gives: classes today,
+ * pending assignments, attendance and this month's spend
+ */
+export function summaryLines({ schedule, todayIndex, assignmentCount, attendance, expenses }) {
+  const todayClasses = schedule.getClassesForDay(todayIndex);
+
+  return [
+    todayClasses.length > 0
+      ? t('greeting.classesToday', { count: todayClasses.length })
+      : t('greeting.freeToday'),
+    assignmentCount > 0
+      ? t('greeting.pending', { count: assignmentCount })
+      : null,
+    attendance.totalHeld > 0
+      ? t('greeting.attendance', { percent: attendance.percentage })
+      : null,
+    expenses.thisMonth > 0
+      ? t('greeting.spent', { amount: formatMoney(expenses.thisMonth) })
+      : null
+  ].filter(Boolean);
+}
+
+/**
+ * What needs attention, most urgent kind first:
+ *   DEADLINE    assignments due within DEADLINE_WARNING_HOURS
+ *   EXAM        exams within EXAM_WARNING_DAYS
+ *   ATTENDANCE  subjects below ATTENDANCE_THRESHOLD
+ * Each is { type, text, ... } with the figures behind the text.
+ */
+export function briefingWarnings({ today, assignments = {}, assignmentList, calendarMarks = [], attendance = {} }) {
+  const list = assignmentList ?? assignmentsFromCounts(assignments);
+  const deadlines = Object.entries(assignments)
+    .map(([date, count]) => ({ date, count: Number(count) || 0, days: daysUntil(date, today) }))
+    .filter(({ count, days }) => count > 0 && days >= 0 && days * 24 < DEADLINE_WARNING_HOURS)
+    .sort((a, b) => a.days - b.days)
+    .map(({ date, count, days }) => ({
+      type: 'DEADLINE',
+      date,
+      count,
+      text: t('briefing.deadline', {
+        count,
+        assignments: assignmentNames(list.filter(assignment => assignment.dueDate === date)),
+        when: t(days === 0 ? 'dates.today' : 'dates.tomorrow')
+      })
+    }));
+
+  const exams = upcomingMarks(calendarMarks, today, EXAM_WORDS)
+    .filter(mark => daysUntil(mark.date, today) <= EXAM_WARNING_DAYS)
+    .map(mark => ({
+      type: 'EXAM',
+      date: mark.date,
+      text: t('briefing.exam', {
+        exam: mark.title || mark.categoryName,
+        date: formatDate(mark.date),
+        when: formatDaysAway(daysUntil(mark.date, today))
+      })
+    }));
+
+  const lowSubjects = Object.entries(attendance.subjects || {})
+    .filter(([, data]) => data.held > 0 && data.percentage < ATTENDANCE_THRESHOLD)
+    .sort((a, b) => a[1].percentage - b[1].percentage)
+    .map(([subject, data]) => ({
+      type: 'ATTENDANCE',
+      subject,
+      percentage: data.percentage,
+      text: t('briefing.attendance', {
+        subject,
+        percent: data.percentage,
+        count: classesNeeded(data.attended, data.held),
+        threshold: ATTENDANCE_THRESHOLD
+      })
+    }));
+
+  return [...deadlines, ...exams, ...lowSubjects];
+}
+
+/**
+ * The daily briefing for a push notification: warnings first, then the
+ * summary. Returns { date, title, body, warnings }. Call inside withStyle()
+ * so it comes out in the student's language.
+ */
+export function buildBriefing(context, { today, todayIndex }) {
+  const warnings = briefingWarnings({ ...context, today });
+
+  return {
+    date: today,
+    title: t('briefing.title', { date: formatDate(today) }),
+    body: [...warnings.map(warning => warning.text), ...summaryLines({ ...context, todayIndex })].join('\n'),
+    warnings
+  };
+}
+
+// Is `minutes` past midnight inside { start, end }? Ranges may wrap past midnight.
+export function isQuietTime(minutes, quietHours) {
+  if (!quietHours) return false;
+
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Whether a student's briefing should go out now, given their notification
+ * settings and clock (see utils/time.util.js). One of
+ *   DUE, OPTED_OUT, NO_DEVICES, ALREADY_SENT, NOT_YET, MISSED, QUIET_HOURS
+ * The briefing is due from briefingTime for BRIEFING_WINDOW_MINUTES (not
+ * past midnight); during quiet hours it waits for them to end.
+ */
+export function briefingStatus(settings, { today, hour, minute }) {
+  if (!settings.briefing) return 'OPTED_OUT';
+  if (settings.deviceTokens.length === 0) return 'NO_DEVICES';
+  if (settings.lastBriefingDate === today) return 'ALREADY_SENT';
+
+  const now = hour * 60 + minute;
+  const at = parseClockTime(settings.briefingTime);
+  if (at === null || now < at) return 'NOT_YET';
+  if (now >= at + BRIEFING_WINDOW_MINUTES) return 'MISSED';
+
+  return isQuietTime(now, settings.quietHours) ? 'QUIET_HOURS' : 'DUE';
+}
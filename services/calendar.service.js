@@ -0,0 +1,22 @@
+// services/calendar.service.js
+import { isDateKey } from '../utils/date.util.js';
+
+// Words in a mark's category that identify holidays / exams
+export const HOLIDAY_WORDS = ['holiday', 'break', 'vacation'];
+export const EXAM_WORDS = ['exam', 'test'];
+
+export const categoryMatches = (mark, words) => {
+  const category = (mark.categoryName || '').toLowerCase();
+  return words.some(word => category.includes(word));
+};
+
+/**
+ * Marks on or after `today`, soonest first, optionally only those whose
+ * category contains one of `words`
+ */
+export function upcomingMarks(calendarMarks = [], today, words = null) {
+  return calendarMarks
+    .filter(mark => isDateKey(mark?.date) && mark.date >= today)
+    .filter(mark => !words || categoryMatches(mark, words))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,230 @@
+// services/context.service.js
+import { db } from '../firebase/firebaseAdmin.js';
+import { normalizeTransactions, summarizeLedger } from './expense.service.js';
+import { normalizeAssignments, assignmentsFromCounts, dueCounts } from './assignment.service.js';
+import { percentOf } from './attendance.service.js';
+import { toDateKey } from '../utils/date.util.js';
+
+// How long a loaded context is reused. A chat burst (a few messages in a row)
+// hits Firestore once instead of six collection reads per message.
+const CACHE_TTL_MS = parseInt(process.env.CONTEXT_CACHE_TTL_MS, 10) || 30 * 1000;
+
+// Fields a client may post instead of having them loaded (preview mode only)
+export const CONTEXT_FIELDS = [
+  'assignments',
+  'timetable',
+  'cgpa',
+  'calendarMarks',
+  'attendance',
+  'expenses'
+];
+
+// uid -> { expiresAt, promise }; expired entries are pruned on each new fetch
+const cache = new Map();
+
+function pruneExpired(now) {
+  cache.forEach((entry, uid) => {
+    if (entry.expiresAt <= now) cache.delete(uid);
+  });
+}
+
+/*
+ * Firestore layout (all under users/{uid}):
+ *   timetable/{day_N}      { classes: [{ name, time, room, ... }] }
+ *   assignments/{id}       { title?, subject?, dueDate: 'YYYY-MM-DD', dueTime?: 'HH:MM',
+ *                            effortMinutes?, priority?, status?, count? }
+ *   cgpa/{id}              { semester, sgpa, order }
+ *   calendarMarks/{id}     { date: 'YYYY-MM-DD', categoryName, title?, subject?,
+ *                            score?, maxScore? }   (a past test's result)
+ *   attendance/{subjectId} { name, held, attended }
+ *   expenses/{id}          { amount, category, date: 'YYYY-MM-DD', note? }
+ *
+ * Each is folded into the same shape the chat intents already consume;
+ * assignments also come as records (assignmentList, see assignment.service.js).
+ * The records API (routes/records.route.js) reads and writes this layout.
+ */
+
+function buildTimetable(snapshot) {
+  const timetable = {};
+  snapshot.forEach(doc => {
+    if (!/^day_[0-6]$/.test(doc.id)) return;
+    const { classes } = doc.data();
+    timetable[doc.id] = Array.isArray(classes) ? classes : [];
+  });
+  return timetable;
+}
+
+// Pending assignment records, soonest first
+function buildAssignmentList(snapshot) {
+  return normalizeAssignments(snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id })));
+}
+
+function buildCgpa(snapshot) {
+  return snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+// Optional fields are only copied when set
+const MARK_EXTRAS = ['title', 'subject', 'score', 'maxScore'];
+
+function buildCalendarMarks(snapshot) {
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    const mark = { id: doc.id, date: data.date, categoryName: data.categoryName };
+    MARK_EXTRAS.forEach(field => {
+      if (data[field] !== undefined && data[field] !== null) mark[field] = data[field];
+    });
+    return mark;
+  });
+}
+
+// No records give zero totals, not {}
+function buildAttendance(snapshot) {
+  const subjects = {};
+  let totalHeld = 0;
+  let totalAttended = 0;
+
+  snapshot.forEach(doc => {
+    const { name = doc.id, held = 0, attended = 0 } = doc.data();
+    subjects[name] = {
+      held,
+      attended,
+      percentage: percentOf(attended, held)
+    };
+    totalHeld += held;
+    totalAttended += attended;
+  });
+
+  return {
+    totalHeld,
+    totalAttended,
+    percentage: percentOf(totalAttended, totalHeld),
+    subjects
+  };
+}
+
+// The dated ledger (empty when there are no records); the aggregates depend
+// on the day (see withLedgerSummary)
+function buildExpenses(snapshot) {
+  return { transactions: normalizeTransactions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))) };
+}
+
+// Normalised ledger plus the total / thisMonth / categories aggregates as
+// of the student's today; aggregates already in `expenses` win
+function withLedgerSummary(context, today) {
+  const { expenses } = context;
+  if (!Array.isArray(expenses.transactions)) return context;
+
+  return {
+    ...context,
+    expenses: { ...summarizeLedger(expenses.transactions, today), ...expenses }
+  };
+}
+
+async function fetchStudentContext(uid) {
+  const userRef = db.collection('users').doc(uid);
+  // Keyed by name: CONTEXT_FIELDS is not in the order the builders are listed
+  const snapshots = await Promise.all(CONTEXT_FIELDS.map(name => userRef.collection(name).get()));
+  const { timetable, assignments, cgpa, calendarMarks, attendance, expenses } =
+    Object.fromEntries(CONTEXT_FIELDS.map((name, i) => [name, snapshots[i]]));
+
+  const assignmentList = buildAssignmentList(assignments);
+
+  return {
+    timetable: buildTimetable(timetable),
+    assignments: dueCounts(assignmentList),
+    assignmentList,
+    cgpa: buildCgpa(cgpa),
+    calendarMarks: buildCalendarMarks(calendarMarks),
+    attendance: buildAttendance(attendance),
+    expenses: buildExpenses(expenses)
+  };
+}
+
+/**
+ * Load the authenticated student's data from Firestore, with "this month"
+ * as of `today` (their date key, see utils/time.util.js).
+ * Concurrent and back-to-back calls for the same uid share one fetch.
+ */
+export function loadStudentContext(uid, today = toDateKey()) {
+  const now = Date.now();
+  const cached = cache.get(uid);
+  if (cached && cached.expiresAt > now) {
+    return cached.promise.then(context => withLedgerSummary(context, today));
+  }
+
+  pruneExpired(now);
+  const promise = fetchStudentContext(uid);
+  cache.set(uid, { expiresAt: now + CACHE_TTL_MS, promise });
+
+  // Never cache a failure
+  promise.catch(() => cache.delete(uid));
+
+  return promise.then(context => withLedgerSummary(context, today));
+}
+
+/**
+ * Drop a cached context (call after the student's data changes)
+ */
+export function invalidateStudentContext(uid) {
+  cache.delete(uid);
+}
+
+// Posted attendance with any totals or percentages left out worked out from
+// the subjects, as buildAttendance does
+function withAttendanceTotals(attendance) {
+  const entries = Object.entries(attendance.subjects || {});
+  const sum = field => entries.reduce((total, [, subject]) => total + (subject[field] || 0), 0);
+
+  const subjects = attendance.subjects && Object.fromEntries(entries.map(([name, subject]) => [
+    name,
+    subject.percentage === undefined
+      ? { ...subject, percentage: percentOf(subject.attended || 0, subject.held || 0) }
+      : subject
+  ]));
+
+  const totalHeld = attendance.totalHeld ?? (subjects ? sum('held') : undefined);
+  const totalAttended = attendance.totalAttended ?? (subjects ? sum('attended') : undefined);
+
+  return {
+    ...attendance,
+    ...(subjects && { subjects, totalHeld, totalAttended }),
+    ...(attendance.percentage === undefined && totalHeld !== undefined && {
+      percentage: percentOf(totalAttended || 0, totalHeld)
+    })
+  };
+}
+
+/**
+ * Preview mode: use the posted fields as-is, with the same defaults.
+ * `assignments` may be the date -> count map or a list of records.
+ */
+export function previewContextFromBody(body = {}, today = toDateKey()) {
+  const {
+    assignments = {},
+    timetable = {},
+    cgpa = [],
+    calendarMarks = [],
+    attendance = {},
+    expenses = {}
+  } = body;
+
+  const assignmentList = Array.isArray(assignments)
+    ? normalizeAssignments(assignments)
+    : assignmentsFromCounts(assignments);
+
+  // A posted ledger fills in any aggregates the client left out
+  const posted = Array.isArray(expenses.transactions)
+    ? { ...expenses, transactions: normalizeTransactions(expenses.transactions) }
+    : expenses;
+  return withLedgerSummary({
+    assignments: Array.isArray(assignments) ? dueCounts(assignmentList) : assignments,
+    assignmentList,
+    timetable,
+    cgpa,
+    calendarMarks,
+    attendance: withAttendanceTotals(attendance),
+    expenses: posted
+  }, today);
+}
@@ -0,0 +1,167 @@
+// services/conversation.service.js
+import admin from 'firebase-admin';
+import { db } from '../firebase/firebaseAdmin.js';
+
+const { FieldValue } = admin.firestore;
+
+// How many previous turns (user + assistant pairs) are replayed to OpenAI
+export const HISTORY_TURNS = parseInt(process.env.CHAT_HISTORY_TURNS, 10) || 6;
+
+const TITLE_LENGTH = 60;
+
+/*
+ * Firestore layout:
+ *   users/{uid}/conversations/{conversationId}
+ *     { title, createdAt, updatedAt, messageCount, lastIntent }
+ *   users/{uid}/conversations/{conversationId}/messages/{messageId}
+ *     { role: 'user' | 'assistant', text, intent?, source?: 'rule' | 'openai', createdAt }
+ */
+
+const conversationsRef = uid =>
+  db.collection('users').doc(uid).collection('conversations');
+
+const toISO = value => (value?.toDate ? value.toDate().toISOString() : value ?? null);
+
+function serializeConversation(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    title: data.title,
+    messageCount: data.messageCount || 0,
+    lastIntent: data.lastIntent || null,
+    createdAt: toISO(data.createdAt),
+    updatedAt: toISO(data.updatedAt)
+  };
+}
+
+function serializeMessage(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    role: data.role,
+    text: data.text,
+    intent: data.intent || null,
+    source: data.source || null,
+    createdAt: toISO(data.createdAt)
+  };
+}
+
+/**
+ * Fetch a conversation's metadata, or null if it doesn't exist for this user
+ */
+export async function getConversation(uid, conversationId) {
+  const doc = await conversationsRef(uid).doc(conversationId).get();
+  return doc.exists ? serializeConversation(doc) : null;
+}
+
+/**
+ * List conversations, most recently active first.
+ * `cursor` is the id of the last conversation from the previous page; null
+ * if there is no such conversation.
+ */
+export async function listConversations(uid, { limit = 20, cursor } = {}) {
+  let query = conversationsRef(uid).orderBy('updatedAt', 'desc').limit(limit + 1);
+
+  if (cursor) {
+    const cursorDoc = await conversationsRef(uid).doc(cursor).get();
+    if (!cursorDoc.exists) return null;
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    conversations: docs.map(serializeConversation),
+    nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Messages of one conversation in chronological order (latest `limit`)
+ */
+export async function getMessages(uid, conversationId, { limit = 50 } = {}) {
+  const snapshot = await conversationsRef(uid)
+    .doc(conversationId)
+    .collection('messages')
+    .orderBy('createdAt', 'desc')
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(serializeMessage).reverse();
+}
+
+/**
+ * Last N turns shaped for the OpenAI `input` array
+ */
+export async function getRecentTurns(uid, conversationId, turns = HISTORY_TURNS) {
+  if (!conversationId || turns <= 0) return [];
+
+  const messages = await getMessages(uid, conversationId, { limit: turns * 2 });
+  return messages.map(({ role, text }) => ({ role, content: text }));
+}
+
+/**
+ * Store one user message and the assistant's reply.
+ * Creates the conversation when `conversationId` is null.
+ */
+export async function appendTurn(uid, conversationId, { userText, reply, intent, source, receivedAt = new Date() }) {
+  const isNew = !conversationId;
+  const conversationRef = isNew
+    ? conversationsRef(uid).doc()
+    : conversationsRef(uid).doc(conversationId);
+  const messagesRef = conversationRef.collection('messages');
+
+  const userMessageRef = messagesRef.doc();
+  const replyMessageRef = messagesRef.doc();
+
+  // Keep the reply strictly after the question so ordering by time is stable
+  const repliedAt = new Date(Math.max(Date.now(), receivedAt.getTime() + 1));
+
+  const batch = db.batch();
+
+  batch.set(userMessageRef, {
+    role: 'user',
+    text: userText,
+    createdAt: receivedAt
+  });
+
+  batch.set(replyMessageRef, {
+    role: 'assistant',
+    text: reply,
+    intent,
+    source,
+    createdAt: repliedAt
+  });
+
+  batch.set(conversationRef, {
+    ...(isNew && {
+      title: userText.substring(0, TITLE_LENGTH),
+      createdAt: receivedAt
+    }),
+    updatedAt: repliedAt,
+    lastIntent: intent,
+    messageCount: FieldValue.increment(2)
+  }, { merge: true });
+
+  await batch.commit();
+
+  return {
+    conversationId: conversationRef.id,
+    userMessageId: userMessageRef.id,
+    replyMessageId: replyMessageRef.id
+  };
+}
+
+/**
+ * Delete a conversation and all of its messages.
+ * Returns false if it didn't exist.
+ */
+export async function deleteConversation(uid, conversationId) {
+  const ref = conversationsRef(uid).doc(conversationId);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+
+  await db.recursiveDelete(ref);
+  return true;
+}
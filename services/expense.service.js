@@ -0,0 +1,143 @@
+// services/expense.service.js
+import { addDays, daysBetween, inRange, isDateKey } from '../utils/date.util.js';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const monthOf = key => key.slice(0, 7); // YYYY-MM
+
+const daysInMonth = key => {
+  const [y, m] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+};
+
+// Same day of the previous month, clamped (31 Mar -> 28/29 Feb)
+function sameDayLastMonth(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  const prevY = m === 1 ? y - 1 : y;
+  const prevM = m === 1 ? 12 : m - 1;
+  const prefix = `${prevY}-${String(prevM).padStart(2, '0')}`;
+  const day = Math.min(d, daysInMonth(`${prefix}-01`));
+  return `${prefix}-${String(day).padStart(2, '0')}`;
+}
+
+const percentChange = (current, previous) =>
+  previous > 0 ? round2(((current - previous) / previous) * 100) : null;
+
+/**
+ * Clean a list of transactions: { amount, category, date: 'YYYY-MM-DD', note? }.
+ * Drops entries without a valid date or a positive amount, sorts by date.
+ */
+export function normalizeTransactions(transactions = []) {
+  return transactions
+    .map(tx => ({ ...tx, amount: Number(tx?.amount), category: tx?.category || 'Other' }))
+    .filter(tx => isDateKey(tx.date) && tx.amount > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function sumBy(transactions, predicate = () => true) {
+  return round2(transactions.filter(predicate).reduce((sum, tx) => sum + tx.amount, 0));
+}
+
+function byCategory(transactions) {
+  const categories = {};
+  transactions.forEach(tx => {
+    categories[tx.category] = round2((categories[tx.category] || 0) + tx.amount);
+  });
+  return categories;
+}
+
+/**
+ * The three aggregates the chat has always used, derived from the ledger
+ */
+export function summarizeLedger(transactions, today) {
+  const month = monthOf(today);
+  return {
+    total: sumBy(transactions),
+    thisMonth: sumBy(transactions, tx => monthOf(tx.date) === month && tx.date <= today),
+    categories: byCategory(transactions)
+  };
+}
+
+/**
+ * Whether there is any spending to talk about: a ledger entry or a
+ * non-zero aggregate (an empty ledger summarises to zeros)
+ */
+export function hasExpenses(expenses) {
+  return (Array.isArray(expenses?.transactions) && expenses.transactions.length > 0) ||
+    expenses?.total > 0 ||
+    expenses?.thisMonth > 0 ||
+    Object.keys(expenses?.categories || {}).length > 0;
+}
+
+/**
+ * Spending inside a date range, optionally for one category
+ */
+export function spendInRange(transactions, range, category = null) {
+  const matches = transactions.filter(tx =>
+    inRange(tx.date, range) &&
+    (!category || tx.category.toLowerCase() === category.toLowerCase())
+  );
+
+  return {
+    total: sumBy(matches),
+    count: matches.length,
+    categories: byCategory(matches)
+  };
+}
+
+/**
+ * This month so far against the same stretch of last month (1st to the same
+ * day), plus last month in full. Comparing month-to-date keeps the 5th of
+ * the month from looking frugal next to a whole previous month.
+ */
+export function compareMonths(transactions, today) {
+  const monthStart = `${monthOf(today)}-01`;
+  const lastMonthSameDay = sameDayLastMonth(today);
+  const lastMonthStart = `${monthOf(lastMonthSameDay)}-01`;
+  const lastMonthEnd = addDays(monthStart, -1);
+
+  const thisMonthTx = transactions.filter(tx => tx.date >= monthStart && tx.date <= today);
+  const lastToDateTx = transactions.filter(tx => tx.date >= lastMonthStart && tx.date <= lastMonthSameDay);
+  const lastMonthTx = transactions.filter(tx => tx.date >= lastMonthStart && tx.date <= lastMonthEnd);
+
+  const thisMonth = sumBy(thisMonthTx);
+  const lastMonthToDate = sumBy(lastToDateTx);
+
+  const current = byCategory(thisMonthTx);
+  const previous = byCategory(lastToDateTx);
+  const categoryTrends = [...new Set([...Object.keys(current), ...Object.keys(previous)])]
+    .map(category => ({
+      category,
+      thisMonth: current[category] || 0,
+      lastMonthToDate: previous[category] || 0,
+      change: percentChange(current[category] || 0, previous[category] || 0)
+    }))
+    .sort((a, b) => (b.thisMonth - b.lastMonthToDate) - (a.thisMonth - a.lastMonthToDate));
+
+  return {
+    thisMonth,
+    lastMonthToDate,
+    lastMonth: sumBy(lastMonthTx),
+    change: percentChange(thisMonth, lastMonthToDate),
+    hasLastMonth: lastMonthTx.length > 0,
+    categoryTrends
+  };
+}
+
+/**
+ * Linear month-end projection: average daily spend so far × days in month
+ */
+export function projectMonthEnd(transactions, today) {
+  const monthStart = `${monthOf(today)}-01`;
+  const elapsed = daysBetween(monthStart, today) + 1;
+  const total = daysInMonth(today);
+  const spentSoFar = sumBy(transactions, tx => tx.date >= monthStart && tx.date <= today);
+  const dailyAverage = spentSoFar / elapsed;
+
+  return {
+    spentSoFar,
+    dailyAverage: round2(dailyAverage),
+    projected: round2(dailyAverage * total),
+    daysLeft: total - elapsed
+  };
+}
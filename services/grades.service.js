@@ -0,0 +1,97 @@
+// services/grades.service.js
+
+// Top of the grading scale (10-point scale unless configured otherwise)
+export const GRADE_SCALE_MAX = parseFloat(process.env.GRADE_SCALE_MAX) || 10;
+
+// Semesters in a full degree, used for "by graduation" questions
+export const TOTAL_SEMESTERS = parseInt(process.env.TOTAL_SEMESTERS, 10) || 8;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// The first of sgpa / gpa / score that is a number (an SGPA of 0 counts)
+export const semesterScore = sem => [sem.sgpa, sem.gpa, sem.score].find(Number.isFinite) ?? null;
+
+const semesterCredits = sem => {
+  const credits = Number(sem.credits);
+  return credits > 0 ? credits : null;
+};
+
+/**
+ * Credit weight for every semester. Semesters without `credits` borrow the
+ * average of those that have them; with no credits at all every semester
+ * weighs the same (the old plain mean).
+ */
+function semesterWeights(cgpa) {
+  const known = cgpa.map(semesterCredits).filter(Boolean);
+  const fallback = known.length > 0
+    ? known.reduce((sum, c) => sum + c, 0) / known.length
+    : 1;
+
+  return {
+    weights: cgpa.map(sem => semesterCredits(sem) ?? fallback),
+    weighted: known.length > 0,
+    averageCredits: fallback
+  };
+}
+
+/**
+ * Credit-weighted CGPA: Σ(sgpa × credits) / Σ credits
+ */
+export function computeCgpa(cgpa) {
+  if (cgpa.length === 0) return { cgpa: 0, totalCredits: 0, weighted: false };
+
+  const { weights, weighted } = semesterWeights(cgpa);
+  const totalCredits = weights.reduce((sum, w) => sum + w, 0);
+  const points = cgpa.reduce((sum, sem, i) => sum + semesterScore(sem) * weights[i], 0);
+
+  return {
+    cgpa: round2(points / totalCredits),
+    totalCredits: weighted ? totalCredits : 0,
+    weighted
+  };
+}
+
+/**
+ * The SGPA needed in each of the remaining semesters to finish at `target`.
+ *
+ * Remaining semesters are assumed to carry `creditsPerSemester` credits
+ * (the student's average so far unless given). Returns:
+ *   { status: 'secured' | 'reachable' | 'unreachable' | 'finished',
+ *     requiredSgpa, bestPossible, currentCgpa, remainingSemesters }
+ */
+export function planTargetCgpa(cgpa, target, { remainingSemesters, creditsPerSemester } = {}) {
+  const { weights, averageCredits } = semesterWeights(cgpa);
+  const doneCredits = weights.reduce((sum, w) => sum + w, 0);
+  const donePoints = cgpa.reduce((sum, sem, i) => sum + semesterScore(sem) * weights[i], 0);
+  const currentCgpa = doneCredits > 0 ? round2(donePoints / doneCredits) : 0;
+
+  const remaining = remainingSemesters ?? Math.max(0, TOTAL_SEMESTERS - cgpa.length);
+  const futureCredits = remaining * (creditsPerSemester || averageCredits);
+
+  if (remaining <= 0 || futureCredits <= 0) {
+    return {
+      status: 'finished',
+      requiredSgpa: null,
+      bestPossible: currentCgpa,
+      currentCgpa,
+      remainingSemesters: 0
+    };
+  }
+
+  const totalCredits = doneCredits + futureCredits;
+  const required = (target * totalCredits - donePoints) / futureCredits;
+  const bestPossible = round2((donePoints + GRADE_SCALE_MAX * futureCredits) / totalCredits);
+
+  let status = 'reachable';
+  if (required <= 0) status = 'secured';
+  else if (required > GRADE_SCALE_MAX) status = 'unreachable';
+
+  return {
+    status,
+    // Rounded up: this is a minimum to hit
+    requiredSgpa: Math.ceil(Math.max(0, required) * 100) / 100,
+    bestPossible,
+    currentCgpa,
+    remainingSemesters: remaining
+  };
+}
@@ -0,0 +1,207 @@
+// services/ics.service.js
+import { createHash } from 'node:crypto';
+import { db } from '../firebase/firebaseAdmin.js';
+import { createSchedule } from '../utils/schedule.util.js';
+import { addDays, dayIndexOf, daysBetween, isDateKey } from '../utils/date.util.js';
+import {
+  escapeText,
+  unescapeText,
+  serializeCalendar,
+  parseEvents,
+  icsValueToDateKey,
+  toIcsDate,
+  toIcsLocalDateTime,
+  toIcsUtc
+} from '../utils/ics.util.js';
+import { HOLIDAY_WORDS, EXAM_WORDS } from './calendar.service.js';
+import { assignmentsFromCounts, assignmentFullName } from './assignment.service.js';
+import { t } from '../i18n/index.js';
+
+// What an export may contain (?include=)
+export const FEED_PARTS = ['timetable', 'marks', 'assignments'];
+
+// One import writes at most this many marks (a Firestore batch holds 500)
+export const MAX_IMPORT_MARKS = 500;
+
+// Events longer than this (a whole term, say) are skipped, not spread out
+const MAX_EVENT_DAYS = 31;
+
+const UID_DOMAIN = 'campus-assistant';
+const BYDAY = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const hash = (...parts) => createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 16);
+
+/*
+ * Imported categories (or, failing that, summaries) are mapped onto the
+ * words the holiday and exam lookups already look for, so "Diwali" filed
+ * under "Public holiday" answers "when is my next holiday".
+ */
+const CATEGORY_RULES = [
+  { categoryName: 'Holiday', words: [...HOLIDAY_WORDS, 'festival', 'recess', 'closed'] },
+  { categoryName: 'Exam', words: [...EXAM_WORDS, 'midterm', 'mid-sem', 'assessment', 'quiz', 'viva'] }
+];
+
+const ruleFor = text =>
+  CATEGORY_RULES.find(rule => rule.words.some(word => text.toLowerCase().includes(word)));
+
+function categoryNameFor(categories, summary) {
+  for (const category of categories) {
+    const rule = ruleFor(category);
+    if (rule) return rule.categoryName;
+  }
+  return ruleFor(summary)?.categoryName || categories[0] || 'Event';
+}
+
+/**
+ * The student's schedule as an RFC 5545 calendar:
+ *   timetable    weekly recurring events from the next occurrence on, with
+ *                floating (wall-clock) times - until `until` if given
+ *   marks        calendarMarks as all-day events
+ *   assignments  an all-day event per named assignment on its due date,
+ *                and one per date for the unnamed ones
+ * Times carry no TZID, so calendar apps show them at the student's local
+ * time; X-WR-TIMEZONE names the zone for apps that want one. Classes
+ * without a readable time are left out.
+ */
+export function buildCalendarFeed(
+  { timetable = {}, calendarMarks = [], assignments = {}, assignmentList },
+  { today, timeZone = null, locale, until = null, include = FEED_PARTS, now = new Date() }
+) {
+  const stamp = toIcsUtc(now);
+  const events = [];
+
+  if (include.includes('timetable')) {
+    const schedule = createSchedule(timetable);
+    for (let day = 0; day < 7; day++) {
+      const date = addDays(today, (day - dayIndexOf(today) + 7) % 7);
+      schedule.getTimedClassesForDay(day).forEach(cls => {
+        const name = cls.name || cls.subject || t('timetable.unnamedClass', {}, locale);
+        const rule = until
+          ? `FREQ=WEEKLY;BYDAY=${BYDAY[day]};UNTIL=${toIcsDate(until)}T235959`
+          : `FREQ=WEEKLY;BYDAY=${BYDAY[day]}`;
+
+        events.push({
+          type: 'VEVENT',
+          properties: [
+            ['UID', `class-${hash(day, name, cls.start, cls.end)}@${UID_DOMAIN}`],
+            ['DTSTAMP', stamp],
+            ['DTSTART', toIcsLocalDateTime(date, cls.start)],
+            ['DTEND', toIcsLocalDateTime(date, cls.end)],
+            ['RRULE', rule],
+            ['SUMMARY', escapeText(name)],
+            ['LOCATION', escapeText(cls.room || cls.location || '')],
+            ['CATEGORIES', escapeText('Class')]
+          ]
+        });
+      });
+    }
+  }
+
+  const allDay = (uid, date, summary, category) => ({
+    type: 'VEVENT',
+    properties: [
+      ['UID', `${uid}@${UID_DOMAIN}`],
+      ['DTSTAMP', stamp],
+      ['DTSTART', toIcsDate(date), { VALUE: 'DATE' }],
+      ['DTEND', toIcsDate(addDays(date, 1)), { VALUE: 'DATE' }],
+      ['SUMMARY', escapeText(summary)],
+      ['CATEGORIES', escapeText(category)],
+      ['TRANSP', 'TRANSPARENT']
+    ]
+  });
+
+  if (include.includes('marks')) {
+    calendarMarks
+      .filter(mark => isDateKey(mark?.date))
+      .forEach(mark => {
+        const category = mark.categoryName || 'Event';
+        events.push(allDay(`mark-${hash(mark.date, category, mark.title)}`, mark.date, mark.title || category, category));
+      });
+  }
+
+  if (include.includes('assignments')) {
+    const unnamed = {};
+    (assignmentList ?? assignmentsFromCounts(assignments)).forEach(assignment => {
+      if (!assignment.title) {
+        unnamed[assignment.dueDate] = (unnamed[assignment.dueDate] || 0) + assignment.count;
+        return;
+      }
+      const summary = t('ics.assignmentDue', { name: assignmentFullName(assignment) }, locale);
+      events.push(allDay(`assignment-${hash(assignment.id)}`, assignment.dueDate, summary, 'Deadline'));
+    });
+
+    Object.entries(unnamed).forEach(([date, count]) => {
+      events.push(allDay(`due-${date}`, date, t('ics.assignmentsDue', { count }, locale), 'Deadline'));
+    });
+  }
+
+  return serializeCalendar([
+    ['VERSION', '2.0'],
+    ['PRODID', '-//Student Campus App//Campus Assistant//EN'],
+    ['CALSCALE', 'GREGORIAN'],
+    ['METHOD', 'PUBLISH'],
+    ['X-WR-CALNAME', escapeText(t('ics.calendarName', {}, locale))],
+    ...(timeZone ? [['X-WR-TIMEZONE', timeZone]] : [])
+  ], events);
+}
+
+// Last day an event covers: DATE ends are exclusive, as is a midnight end
+function lastDayOf(event, start, timeZone) {
+  if (!event.DTEND) return start;
+
+  const end = icsValueToDateKey(event.DTEND.value, timeZone);
+  if (!end) return start;
+  const exclusive = event.DTEND.params.VALUE === 'DATE' || /T000000Z?$/.test(event.DTEND.value);
+  const last = exclusive ? addDays(end, -1) : end;
+  return last < start ? start : last;
+}
+
+/**
+ * Calendar marks from an iCalendar file: one { date, categoryName, title,
+ * sourceUid } per day an event covers. Cancelled events, events without a
+ * readable start and events over a month long are returned in `skipped`
+ * with a reason. UTC times are read in `timeZone` (the student's).
+ */
+export function parseCalendarMarks(text, { timeZone = null } = {}) {
+  const marks = [];
+  const skipped = [];
+
+  parseEvents(text).forEach(event => {
+    const title = event.SUMMARY ? unescapeText(event.SUMMARY.value).replace(/\s+/g, ' ').trim() : '';
+    const sourceUid = event.UID?.value || null;
+    const skip = reason => skipped.push({ uid: sourceUid, title, reason });
+
+    if (event.STATUS?.value.toUpperCase() === 'CANCELLED') return skip('CANCELLED');
+
+    const start = event.DTSTART && icsValueToDateKey(event.DTSTART.value, timeZone);
+    if (!start) return skip('NO_START');
+
+    const last = lastDayOf(event, start, timeZone);
+    const days = daysBetween(start, last) + 1;
+    if (days > MAX_EVENT_DAYS) return skip('TOO_LONG');
+
+    const categoryName = categoryNameFor(event.CATEGORIES, title);
+    for (let i = 0; i < days; i++) {
+      marks.push({ date: addDays(start, i), categoryName, title: title || categoryName, sourceUid });
+    }
+  });
+
+  return { marks, skipped };
+}
+
+/**
+ * Save imported marks under users/{uid}/calendarMarks. Ids come from the
+ * event's UID and date, so importing the same file again updates in place.
+ */
+export async function saveImportedMarks(uid, marks) {
+  const marksRef = db.collection('users').doc(uid).collection('calendarMarks');
+  const batch = db.batch();
+  const importedAt = new Date();
+
+  marks.forEach(mark => {
+    const id = `ics_${hash(mark.sourceUid || mark.title, mark.date)}`;
+    batch.set(marksRef.doc(id), { ...mark, source: 'ics', importedAt });
+  });
+
+  await batch.commit();
+}
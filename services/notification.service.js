@@ -0,0 +1,250 @@
+// services/notification.service.js
+import { db } from '../firebase/firebaseAdmin.js';
+import { getTransport } from '../notify/index.js';
+import { getPersona } from './persona.service.js';
+import { loadStudentContext } from './context.service.js';
+import { buildBriefing, briefingStatus } from './briefing.service.js';
+import { createSchedule } from '../utils/schedule.util.js';
+import { studentClock } from '../utils/time.util.js';
+import { styleReply } from '../utils/format.util.js';
+import { withStyle } from '../utils/style.util.js';
+
+// Devices one student may register for push notifications
+export const MAX_DEVICE_TOKENS = 10;
+
+// How often the scheduler looks for briefings that are due
+const BRIEFING_TICK_MS = (parseInt(process.env.BRIEFING_TICK_MINUTES, 10) || 5) * 60 * 1000;
+
+/*
+ * Firestore layout:
+ *   users/{uid}/settings/notifications
+ *     { uid, briefing, briefingTime, quietHours, deviceTokens,
+ *       lastBriefingDate, updatedAt }
+ *
+ * briefing          true once the student opts in to the daily briefing
+ * briefingTime      'HH:MM' on the student's clock (timeZone, see persona.service.js)
+ * quietHours        { start: 'HH:MM', end: 'HH:MM' } nothing is pushed in
+ *                   (may run past midnight), or null
+ * deviceTokens      FCM registration tokens, newest last
+ * lastBriefingDate  the student's 'YYYY-MM-DD' the last briefing went out on
+ *
+ * The scheduler finds subscribers with a collection-group query on
+ * settings by `briefing`, which needs that collection-group index enabled.
+ */
+export const NOTIFICATION_DEFAULTS = {
+  briefing: false,
+  briefingTime: '07:30',
+  quietHours: null
+};
+
+export const NOTIFICATION_FIELDS = Object.keys(NOTIFICATION_DEFAULTS);
+
+const settingsRef = uid =>
+  db.collection('users').doc(uid).collection('settings').doc('notifications');
+
+function fromDoc(data = {}) {
+  const settings = { ...NOTIFICATION_DEFAULTS, deviceTokens: [], lastBriefingDate: null };
+  [...NOTIFICATION_FIELDS, 'deviceTokens', 'lastBriefingDate'].forEach(field => {
+    if (data[field] !== undefined) settings[field] = data[field];
+  });
+  return settings;
+}
+
+/**
+ * The student's notification settings, defaults filled in (device tokens
+ * included - strip them before sending settings to a client)
+ */
+export async function getNotificationSettings(uid) {
+  const doc = await settingsRef(uid).get();
+  return fromDoc(doc.exists ? doc.data() : {});
+}
+
+/**
+ * Save some settings (unknown fields are ignored); returns the full result
+ */
+export async function updateNotificationSettings(uid, changes) {
+  const update = {};
+  NOTIFICATION_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  });
+
+  await settingsRef(uid).set({ ...update, uid, updatedAt: new Date() }, { merge: true });
+  return getNotificationSettings(uid);
+}
+
+/**
+ * Register a device. A token already on the list moves to the end; past
+ * MAX_DEVICE_TOKENS the oldest is dropped. Returns the device count.
+ */
+export function addDeviceToken(uid, token) {
+  const ref = settingsRef(uid);
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(ref);
+    const tokens = fromDoc(doc.exists ? doc.data() : {}).deviceTokens.filter(existing => existing !== token);
+    const deviceTokens = [...tokens, token].slice(-MAX_DEVICE_TOKENS);
+
+    tx.set(ref, { uid, deviceTokens, updatedAt: new Date() }, { merge: true });
+    return deviceTokens.length;
+  });
+}
+
+/**
+ * Forget devices (signed out, or reported dead by the transport).
+ * Returns the device count.
+ */
+export function removeDeviceTokens(uid, tokens) {
+  const ref = settingsRef(uid);
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return 0;
+
+    const deviceTokens = fromDoc(doc.data()).deviceTokens.filter(existing => !tokens.includes(existing));
+    tx.set(ref, { deviceTokens, updatedAt: new Date() }, { merge: true });
+    return deviceTokens.length;
+  });
+}
+
+/**
+ * Claim today's briefing for a student: records `today` as sent and returns
+ * true, or false when it was already claimed (by an earlier tick or another
+ * server instance).
+ */
+export function claimBriefing(uid, today) {
+  const ref = settingsRef(uid);
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(ref);
+    if (doc.exists && doc.data().lastBriefingDate === today) return false;
+
+    tx.set(ref, { lastBriefingDate: today }, { merge: true });
+    return true;
+  });
+}
+
+/**
+ * Uids of the students who opted in to the daily briefing
+ */
+export async function briefingSubscribers() {
+  const snapshot = await db.collectionGroup('settings')
+    .where('briefing', '==', true)
+    .get();
+
+  return snapshot.docs
+    .map(doc => doc.data().uid)
+    .filter(Boolean);
+}
+
+// Settings, persona and clock, and whether the briefing is due now
+async function briefingState(uid, now) {
+  const [settings, persona] = await Promise.all([getNotificationSettings(uid), getPersona(uid)]);
+  const clock = studentClock(now, { timeZone: persona.timeZone });
+  return { settings, persona, clock, status: briefingStatus(settings, clock) };
+}
+
+// Today's briefing in the student's language and style
+async function composeBriefing(uid, { persona, clock }) {
+  const context = await loadStudentContext(uid, clock.today);
+  const assignmentCount = Object.values(context.assignments)
+    .reduce((sum, count) => sum + (Number(count) || 0), 0);
+
+  const briefing = withStyle(persona, () => buildBriefing(
+    { ...context, assignmentCount, schedule: createSchedule(context.timetable) },
+    clock
+  ));
+  return { ...briefing, body: styleReply(briefing.body, persona) };
+}
+
+/**
+ * Today's briefing for a student as it would be pushed now. Returns
+ *   { briefing: { date, title, body, warnings }, status, settings, clock }
+ * where status is the briefingStatus (DUE, NOT_YET, ...).
+ */
+export async function prepareBriefing(uid, now = new Date()) {
+  const state = await briefingState(uid, now);
+  return { ...state, briefing: await composeBriefing(uid, state) };
+}
+
+/**
+ * Push a prepared briefing to the student's devices and forget any device
+ * the transport reports as gone. Returns the transport's counts.
+ */
+async function deliverBriefing(uid, { briefing, settings }) {
+  const result = await getTransport().send({
+    tokens: settings.deviceTokens,
+    title: briefing.title,
+    body: briefing.body,
+    data: { type: 'DAILY_BRIEFING', date: briefing.date }
+  });
+
+  if (result.invalidTokens.length > 0) {
+    await removeDeviceTokens(uid, result.invalidTokens);
+  }
+  return result;
+}
+
+/**
+ * One scheduler pass: send every subscriber whose briefing is due. With
+ * dryRun nothing is sent or recorded (`sent` counts who would get one). Returns
+ *   { dryRun, checked, sent, failed, skipped: { [status]: count } }
+ * A student's failure is logged and counted, never thrown.
+ */
+export async function runBriefings(now = new Date(), { dryRun = false } = {}) {
+  const report = { dryRun, checked: 0, sent: 0, failed: 0, skipped: {} };
+  const skip = status => { report.skipped[status] = (report.skipped[status] || 0) + 1; };
+
+  // One student at a time: a morning's briefings are not worth a burst of reads
+  for (const uid of await briefingSubscribers()) {
+    report.checked++;
+    try {
+      const state = await briefingState(uid, now);
+      if (state.status !== 'DUE') {
+        skip(state.status);
+      } else if (dryRun) {
+        report.sent++;
+      } else if (!(await claimBriefing(uid, state.clock.today))) {
+        skip('ALREADY_SENT');
+      } else {
+        const briefing = await composeBriefing(uid, state);
+        const { sent } = await deliverBriefing(uid, { ...state, briefing });
+        if (sent > 0) report.sent++;
+        else report.failed++;
+      }
+    } catch (error) {
+      report.failed++;
+      console.error('[Briefing] Failed for', uid, '-', error?.message || error);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Check for due briefings every BRIEFING_TICK_MINUTES (default 5). Set
+ * BRIEFING_SCHEDULER=off on instances that should not send. Returns a
+ * function that stops it.
+ */
+export function startBriefingScheduler() {
+  if (process.env.BRIEFING_SCHEDULER === 'off') {
+    console.log('[Briefing] Scheduler off (BRIEFING_SCHEDULER=off)');
+    return () => {};
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return; // a slow pass is never overlapped by the next
+    running = true;
+    try {
+      const report = await runBriefings();
+      if (report.sent > 0 || report.failed > 0) {
+        console.log('[Briefing] Sent', report.sent, 'failed', report.failed, 'of', report.checked);
+      }
+    } catch (error) {
+      console.error('[Briefing] Scheduler pass failed:', error?.message || error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, BRIEFING_TICK_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
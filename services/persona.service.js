@@ -0,0 +1,60 @@
+// services/persona.service.js
+import { db } from '../firebase/firebaseAdmin.js';
+import { DEFAULT_STYLE } from '../utils/style.util.js';
+
+export const FORMALITY = ['casual', 'neutral', 'formal'];
+export const VERBOSITY = ['brief', 'normal', 'detailed'];
+export const NAME_USAGE = ['varied', 'always', 'never'];
+
+/*
+ * Firestore layout:
+ *   users/{uid}/settings/assistant
+ *     { assistantName, address, formality, verbosity, emoji, nameUsage,
+ *       locale, currency, timeZone, updatedAt }
+ *
+ * assistantName  what the assistant calls itself (null = no name)
+ * address        how it addresses the student (null = first name from the token)
+ * locale         reply language and formats, e.g. "hi-IN" (see i18n/)
+ * currency       ISO 4217 code the student's amounts are in
+ * timeZone       IANA zone for "today" and greetings, e.g. "Asia/Kolkata"
+ *                (null = server clock, see utils/time.util.js)
+ * The rest is the reply style shared with the rule-based formatters.
+ */
+export const PERSONA_DEFAULTS = {
+  assistantName: null,
+  ...DEFAULT_STYLE
+};
+
+export const PERSONA_FIELDS = Object.keys(PERSONA_DEFAULTS);
+
+const personaRef = uid =>
+  db.collection('users').doc(uid).collection('settings').doc('assistant');
+
+function fromDoc(data = {}) {
+  const persona = { ...PERSONA_DEFAULTS };
+  PERSONA_FIELDS.forEach(field => {
+    if (data[field] !== undefined) persona[field] = data[field];
+  });
+  return persona;
+}
+
+/**
+ * The student's assistant settings, defaults filled in
+ */
+export async function getPersona(uid) {
+  const doc = await personaRef(uid).get();
+  return fromDoc(doc.exists ? doc.data() : {});
+}
+
+/**
+ * Save some settings (unknown fields are ignored); returns the full result
+ */
+export async function updatePersona(uid, changes) {
+  const update = {};
+  PERSONA_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  });
+
+  await personaRef(uid).set({ ...update, updatedAt: new Date() }, { merge: true });
+  return getPersona(uid);
+}
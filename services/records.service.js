@@ -0,0 +1,286 @@
+// services/records.service.js
+import { createHash } from 'node:crypto';
+import admin from 'firebase-admin';
+import { db } from '../firebase/firebaseAdmin.js';
+import { invalidateStudentContext } from './context.service.js';
+import { normalizeClassTime } from '../utils/schedule.util.js';
+
+const { FieldValue } = admin.firestore;
+
+/*
+ * Student data records, stored in the layout the chat reads (see
+ * context.service.js) so every write shows up in the next reply. Each write
+ * drops the student's cached context.
+ *
+ * Collection records are { id, ...fields }. Timetable entries live inside
+ * the day documents (timetable/{day_N}.classes) and are told apart by an
+ * `id` stored on each class. A class saved without one (by the app, or
+ * before ids existed) is read with an id derived from its day and fields,
+ * and that id is stored the next time its timetable is written here.
+ */
+
+const userCollection = (uid, name) =>
+  db.collection('users').doc(uid).collection(name);
+
+// Fields sent as null are left out of a new record and removed by an update
+const withoutNulls = data =>
+  Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null));
+
+// Timestamps (e.g. importedAt on imported calendar marks) as ISO strings
+const toISO = value => (value?.toDate ? value.toDate().toISOString() : value);
+
+const recordOf = (id, data) => ({
+  id,
+  ...Object.fromEntries(Object.entries(data).map(([field, value]) => [field, toISO(value)]))
+});
+
+const toRecord = doc => recordOf(doc.id, doc.data());
+
+/**
+ * One page of a collection ordered by `orderBy`, optionally limited to
+ * `from`..`to` (inclusive) on that field. `cursor` is the id of the last
+ * record of the previous page; null if there is no such record. Records
+ * without the field are not listed (Firestore leaves them out of the
+ * ordering).
+ */
+export async function listRecords(uid, collection, { orderBy, direction = 'asc', limit = 50, cursor, from, to } = {}) {
+  const ref = userCollection(uid, collection);
+  let query = ref.orderBy(orderBy, direction);
+
+  if (from !== undefined) query = query.where(orderBy, '>=', from);
+  if (to !== undefined) query = query.where(orderBy, '<=', to);
+  query = query.limit(limit + 1);
+
+  if (cursor) {
+    const cursorDoc = await ref.doc(cursor).get();
+    if (!cursorDoc.exists) return null;
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    records: docs.map(toRecord),
+    nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * A record, or null if it doesn't exist for this user
+ */
+export async function getRecord(uid, collection, id) {
+  const doc = await userCollection(uid, collection).doc(id).get();
+  return doc.exists ? toRecord(doc) : null;
+}
+
+export async function createRecord(uid, collection, data) {
+  const ref = userCollection(uid, collection).doc();
+  const record = withoutNulls(data);
+
+  await ref.set(record);
+  invalidateStudentContext(uid);
+  return { id: ref.id, ...record };
+}
+
+/**
+ * Apply `changes` to an existing record (null removes a field). Returns the
+ * updated record, or null if there is none.
+ */
+export async function updateRecord(uid, collection, id, changes) {
+  const ref = userCollection(uid, collection).doc(id);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+
+  const update = Object.fromEntries(Object.entries(changes)
+    .map(([field, value]) => [field, value === null ? FieldValue.delete() : value]));
+
+  if (Object.keys(update).length > 0) {
+    await ref.update(update);
+    invalidateStudentContext(uid);
+  }
+  return recordOf(id, withoutNulls({ ...doc.data(), ...changes }));
+}
+
+/**
+ * Delete a record. Returns false if there was none.
+ */
+export async function deleteRecord(uid, collection, id) {
+  const ref = userCollection(uid, collection).doc(id);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+
+  await ref.delete();
+  invalidateStudentContext(uid);
+  return true;
+}
+
+/**
+ * One more than the highest `field` in a collection (0 when empty), to put
+ * a new record last
+ */
+export async function nextOrder(uid, collection, field = 'order') {
+  const snapshot = await userCollection(uid, collection).orderBy(field, 'desc').limit(1).get();
+  const last = Number(snapshot.docs[0]?.data()[field]);
+  return Number.isFinite(last) ? last + 1 : 0;
+}
+
+// ---- Timetable entries ----
+
+const DAY_KEY = /^day_[0-6]$/;
+
+const toEntry = (dayKey, cls) => ({ ...normalizeClassTime(cls), day: Number(dayKey.slice(4)) });
+
+// The same for the same day and fields, so an id read before it is stored
+// still finds the class; `copy` tells identical classes apart
+const derivedId = (dayKey, cls, copy) => createHash('sha1')
+  .update(JSON.stringify([dayKey, Object.keys(cls).sort().map(field => [field, cls[field]]), copy]))
+  .digest('base64url')
+  .slice(0, 20);
+
+// day_N -> its classes, each with an id; `missing` collects the days where
+// one had to be derived
+function readDays(snapshot, missing = new Set()) {
+  const days = {};
+
+  snapshot.forEach(doc => {
+    if (!DAY_KEY.test(doc.id)) return;
+    const { classes } = doc.data();
+    const copies = new Map();
+
+    days[doc.id] = (Array.isArray(classes) ? classes : []).map(cls => {
+      if (cls?.id) return cls;
+      missing.add(doc.id);
+      const key = JSON.stringify(cls);
+      copies.set(key, (copies.get(key) || 0) + 1);
+      return { ...cls, id: derivedId(doc.id, cls || {}, copies.get(key)) };
+    });
+  });
+  return days;
+}
+
+// Read-only: derived ids are not stored
+async function loadTimetable(uid) {
+  return readDays(await userCollection(uid, 'timetable').get());
+}
+
+/**
+ * Run `change(days)` on the student's timetable inside a transaction.
+ * `days` maps day_N to its classes (every class with an id); `change` edits
+ * it in place and returns [result, dayKeys it changed]. If it changed any,
+ * those days and any with derived ids are written back.
+ */
+async function withTimetable(uid, change) {
+  const ref = userCollection(uid, 'timetable');
+
+  return db.runTransaction(async tx => {
+    const touched = new Set();
+    const days = readDays(await tx.get(ref), touched);
+
+    const [result, changed = []] = change(days);
+    if (changed.length === 0) return result;
+
+    changed.forEach(dayKey => touched.add(dayKey));
+    touched.forEach(dayKey => tx.set(ref.doc(dayKey), { classes: days[dayKey] || [] }, { merge: true }));
+
+    invalidateStudentContext(uid);
+    return result;
+  });
+}
+
+const findEntry = (days, id) => {
+  for (const [dayKey, classes] of Object.entries(days)) {
+    const index = classes.findIndex(cls => cls.id === id);
+    if (index !== -1) return { dayKey, index };
+  }
+  return null;
+};
+
+/**
+ * Timetable entries, Monday first and in saved order within a day:
+ *   { id, day, name, startTime, endTime, room, ... }
+ * Paged like listRecords (null for an unknown cursor); `day` (0-6) limits
+ * it to one weekday.
+ */
+export async function listTimetableEntries(uid, { day, limit = 50, cursor } = {}) {
+  const days = await loadTimetable(uid);
+  const entries = Object.keys(days)
+    .sort()
+    .filter(dayKey => day === undefined || dayKey === `day_${day}`)
+    .flatMap(dayKey => days[dayKey].map(cls => toEntry(dayKey, cls)));
+
+  let start = 0;
+  if (cursor) {
+    start = entries.findIndex(entry => entry.id === cursor) + 1;
+    if (start === 0) return null;
+  }
+  const page = entries.slice(start, start + limit);
+
+  return {
+    records: page,
+    nextCursor: start + limit < entries.length ? page[page.length - 1].id : null
+  };
+}
+
+export async function getTimetableEntry(uid, id) {
+  const days = await loadTimetable(uid);
+  const found = findEntry(days, id);
+  return found ? toEntry(found.dayKey, days[found.dayKey][found.index]) : null;
+}
+
+/**
+ * Add a class to the end of its day ({ day, name, startTime?, endTime?, room? })
+ */
+export async function createTimetableEntry(uid, { day, ...data }) {
+  const dayKey = `day_${day}`;
+  const id = userCollection(uid, 'timetable').doc().id;
+
+  return withTimetable(uid, days => {
+    const cls = { ...withoutNulls(data), id };
+    days[dayKey] = [...(days[dayKey] || []), cls];
+    return [toEntry(dayKey, cls), [dayKey]];
+  });
+}
+
+/**
+ * Change a class; a new `day` moves it to the end of that day. Setting
+ * start and end times replaces an old free-text `time`. Returns null if
+ * there is no such entry.
+ */
+export async function updateTimetableEntry(uid, id, { day, ...changes }) {
+  return withTimetable(uid, days => {
+    const found = findEntry(days, id);
+    if (!found) return [null];
+
+    const { dayKey, index } = found;
+    const current = days[dayKey][index];
+    const { time, ...timed } = normalizeClassTime(current);
+    const cls = withoutNulls({
+      ...(changes.startTime || changes.endTime ? timed : current),
+      ...changes
+    });
+
+    const target = day === undefined ? dayKey : `day_${day}`;
+    if (target === dayKey) {
+      days[dayKey][index] = cls;
+      return [toEntry(dayKey, cls), [dayKey]];
+    }
+
+    days[dayKey].splice(index, 1);
+    days[target] = [...(days[target] || []), cls];
+    return [toEntry(target, cls), [dayKey, target]];
+  });
+}
+
+/**
+ * Remove a class. Returns false if there was none.
+ */
+export async function deleteTimetableEntry(uid, id) {
+  return withTimetable(uid, days => {
+    const found = findEntry(days, id);
+    if (!found) return [false];
+
+    days[found.dayKey].splice(found.index, 1);
+    return [true, [found.dayKey]];
+  });
+}
@@ -0,0 +1,166 @@
+// services/revision.service.js
+import { ATTENDANCE_THRESHOLD, findSubjectKey } from './attendance.service.js';
+import { EXAM_WORDS, upcomingMarks } from './calendar.service.js';
+import { planStudy } from './assignment.service.js';
+import { addDays, daysBetween, isDateKey } from '../utils/date.util.js';
+
+// Revision one exam gets for a subject at full strength; weaker subjects get up to twice this
+export const REVISION_MINUTES = parseInt(process.env.REVISION_MINUTES_PER_EXAM, 10) || 360;
+
+// Longest revision schedule laid out; exams further off get a share of it
+export const REVISION_HORIZON_DAYS = 28;
+
+// Strength assumed for a subject with no attendance or marks to go on;
+// below it a subject counts as weak
+const DEFAULT_STRENGTH = ATTENDANCE_THRESHOLD / 100;
+
+const REVISION_STEP_MINUTES = 15;
+
+const round2 = value => Math.round(value * 100) / 100;
+const roundUp = (value, step) => Math.ceil(value / step) * step;
+
+// Subject names the student's data knows: attendance first, then timetable classes
+function knownSubjects({ attendance = {}, schedule }) {
+  const names = new Set(Object.keys(attendance.subjects || {}));
+  for (let day = 0; day < 7; day++) {
+    schedule.getClassesForDay(day).forEach(cls => cls?.name && names.add(cls.name));
+  }
+  return [...names];
+}
+
+/**
+ * The subject a calendar mark is for: its `subject`, or the longest known
+ * subject named in its title or category ("Physics midterm"), or null
+ */
+export function examSubject(mark, subjects) {
+  if (typeof mark.subject === 'string' && mark.subject.trim()) {
+    const subject = mark.subject.trim();
+    return subjects.find(name => name.toLowerCase() === subject.toLowerCase()) || subject;
+  }
+
+  const text = `${mark.title || ''} ${mark.categoryName || ''}`.toLowerCase();
+  return subjects
+    .filter(name => text.includes(name.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * How well a subject is going, from what is recorded:
+ *   attendance  its attendance percentage, when classes were held
+ *   marks       average percentage over past calendar marks with a score
+ *               ({ score, maxScore }) for the subject
+ *   strength    the mean of those as 0-1, or DEFAULT_STRENGTH with neither
+ */
+export function subjectStrength(subject, { attendance = {}, calendarMarks = [], today, subjects = [] }) {
+  const key = subject ? findSubjectKey(attendance.subjects, subject) : null;
+  const record = key ? attendance.subjects[key] : null;
+  const attendancePercent = record?.held > 0 ? record.percentage : null;
+
+  const scores = subject
+    ? calendarMarks
+      .filter(mark => isDateKey(mark?.date) && mark.date < today)
+      .filter(mark => Number.isFinite(Number(mark.score)) && Number(mark.maxScore) > 0)
+      .filter(mark => examSubject(mark, subjects)?.toLowerCase() === subject.toLowerCase())
+      .map(mark => (Number(mark.score) / Number(mark.maxScore)) * 100)
+    : [];
+  const marksPercent = scores.length > 0
+    ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10
+    : null;
+
+  const known = [attendancePercent, marksPercent].filter(value => value !== null);
+  const strength = known.length > 0
+    ? Math.min(1, Math.max(0, known.reduce((sum, value) => sum + value, 0) / known.length / 100))
+    : DEFAULT_STRENGTH;
+
+  return { attendance: attendancePercent, marks: marksPercent, strength: round2(strength) };
+}
+
+/**
+ * Upcoming exams (calendar marks with an exam category, after today), each
+ *   { id, date, title, subject, daysLeft, attendance, marks, strength, weak,
+ *     revisionMinutes }
+ * revisionMinutes is REVISION_MINUTES scaled by (2 - strength), so a weak
+ * subject gets up to double.
+ */
+export function upcomingExams({ calendarMarks = [], attendance = {}, schedule }, today) {
+  const subjects = knownSubjects({ attendance, schedule });
+
+  return upcomingMarks(calendarMarks, today, EXAM_WORDS)
+    .filter(mark => mark.date > today)
+    .map((mark, i) => {
+      const subject = examSubject(mark, subjects);
+      const figures = subjectStrength(subject, { attendance, calendarMarks, today, subjects });
+
+      return {
+        id: mark.id ? String(mark.id) : `exam_${mark.date}_${i}`,
+        date: mark.date,
+        title: mark.title || mark.categoryName,
+        subject,
+        daysLeft: daysBetween(today, mark.date),
+        ...figures,
+        weak: figures.strength < DEFAULT_STRENGTH,
+        revisionMinutes: roundUp(REVISION_MINUTES * (2 - figures.strength), REVISION_STEP_MINUTES)
+      };
+    });
+}
+
+/**
+ * A day-by-day revision schedule for the upcoming exams, in the free time
+ * around classes (see planStudy in assignment.service.js). Revision for an
+ * exam is finished by the end of the day before it. Nothing is stored: the
+ * schedule is worked out from the calendar each time, so moving an exam
+ * rebalances it.
+ *
+ * Returns { from, to, dailyLimit, totalMinutes, exams, days } where each
+ * exam adds plannedMinutes, remainingMinutes and status (ON_TRACK, AT_RISK
+ * or LATER, as in planStudy) and days are
+ *   { date, sessions: [{ start, end, minutes, examId, subject, title }] }
+ * for every day of the schedule (start/end in minutes past midnight).
+ */
+export function planRevision(context, { today, nowMinutes = null, ...options } = {}) {
+  const exams = upcomingExams(context, today);
+  if (exams.length === 0) {
+    return { from: today, to: today, dailyLimit: 0, totalMinutes: 0, exams: [], days: [] };
+  }
+
+  const last = exams[exams.length - 1];
+  const days = Math.min(REVISION_HORIZON_DAYS, last.daysLeft);
+
+  const plan = planStudy(
+    exams.map(exam => ({
+      id: exam.id,
+      title: exam.title,
+      subject: exam.subject,
+      dueDate: addDays(exam.date, -1),
+      dueTime: null,
+      effortMinutes: exam.revisionMinutes,
+      priority: 'medium'
+    })),
+    context.schedule,
+    { today, nowMinutes, ...options, days }
+  );
+
+  const byId = new Map(plan.assignments.map(planned => [planned.id, planned]));
+
+  return {
+    from: plan.from,
+    to: plan.to,
+    dailyLimit: plan.dailyLimit,
+    totalMinutes: plan.totalMinutes,
+    exams: exams.map(exam => {
+      const { plannedMinutes, remainingMinutes, planStatus } = byId.get(exam.id);
+      return { ...exam, plannedMinutes, remainingMinutes, status: planStatus };
+    }),
+    days: Array.from({ length: days }, (_, offset) => {
+      const date = addDays(today, offset);
+      return {
+        date,
+        sessions: plan.sessions
+          .filter(session => session.date === date)
+          .map(({ start, end, minutes, assignmentId, subject, title }) => ({
+            start, end, minutes, examId: assignmentId, subject, title
+          }))
+      };
+    })
+  };
+}
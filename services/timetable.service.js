@@ -0,0 +1,175 @@
+// services/timetable.service.js
+import { normalizeClassTime, parseClockTime, toClockTime } from '../utils/schedule.util.js';
+
+// Shortest break that still gets a student from one room to another
+export const MIN_TRANSFER_MINUTES = parseInt(process.env.MIN_TRANSFER_MINUTES, 10) || 10;
+
+const DAY_KEY = /^day_[0-6]$/;
+
+const className = cls => cls.name || cls.subject || null;
+const roomOf = cls => cls.room || cls.location || null;
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+const issue = (code, severity, path, message, extra = {}) => ({ code, severity, path, message, ...extra });
+
+/**
+ * Check one day's entries. Returns the issues plus the entries that have a
+ * usable start and end (with `index`, `start` and `end` in minutes).
+ */
+function checkEntries(dayKey, entries) {
+  const issues = [];
+  const timed = [];
+
+  entries.forEach((entry, index) => {
+    const path = `${dayKey}[${index}]`;
+
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      issues.push(issue('INVALID_ENTRY', 'error', path, 'Each class must be an object'));
+      return;
+    }
+    if (!className(entry)) {
+      issues.push(issue('MISSING_NAME', 'warning', `${path}.name`, 'Class has no name or subject'));
+    }
+
+    const cls = normalizeClassTime(entry);
+    if (!cls.startTime && !cls.endTime) {
+      if (cls.time) {
+        issues.push(issue('UNPARSABLE_TIME', 'error', `${path}.time`, `Time "${cls.time}" is not a range like 09:00-10:00`));
+      } else {
+        issues.push(issue('MISSING_TIME', 'warning', `${path}.time`, 'Class has no time'));
+      }
+      return;
+    }
+
+    const start = parseClockTime(cls.startTime);
+    const end = parseClockTime(cls.endTime);
+    const field = entry.time ? 'time' : null;
+
+    if (start === null) {
+      issues.push(cls.startTime
+        ? issue('UNPARSABLE_TIME', 'error', `${path}.${field || 'startTime'}`, `Start time "${cls.startTime}" is not a time like 09:00`)
+        : issue('MISSING_TIME', 'error', `${path}.startTime`, 'Class has an end time but no start time'));
+    }
+    if (end === null) {
+      issues.push(cls.endTime
+        ? issue('UNPARSABLE_TIME', 'error', `${path}.${field || 'endTime'}`, `End time "${cls.endTime}" is not a time like 10:00`)
+        : issue('MISSING_TIME', 'error', `${path}.endTime`, 'Class has a start time but no end time'));
+    }
+    if (start === null || end === null) return;
+
+    if (end <= start) {
+      issues.push(issue('END_BEFORE_START', 'error', `${path}.${field || 'endTime'}`, `Class ends (${toClockTime(end)}) before it starts (${toClockTime(start)})`));
+      return;
+    }
+
+    timed.push({ ...cls, index, start, end });
+  });
+
+  return { issues, timed };
+}
+
+/**
+ * Duplicates, clashes and too-short room changes between the timed entries
+ * of one day
+ */
+function checkOverlaps(dayKey, timed, minTransferMinutes) {
+  const issues = [];
+  const sorted = [...timed].sort((a, b) => a.start - b.start || a.index - b.index);
+  const ref = cls => `${dayKey}[${cls.index}]`;
+  const duplicates = new Set();
+
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length && sorted[j].start < sorted[i].end; j++) {
+      const [a, b] = [sorted[i], sorted[j]];
+      // A copy is reported once, not as a clash with everything it overlaps
+      if (duplicates.has(a.index) || duplicates.has(b.index)) continue;
+
+      const duplicate = a.start === b.start && a.end === b.end &&
+        sameText(className(a), className(b)) && sameText(roomOf(a), roomOf(b));
+
+      if (duplicate) {
+        duplicates.add(b.index);
+        issues.push(issue('DUPLICATE', 'warning', ref(b), `Same class as ${ref(a)}`, { classes: [a.index, b.index] }));
+      } else {
+        issues.push(issue('CLASH', 'error', ref(b), `Overlaps ${ref(a)} (${toClockTime(b.start)}–${toClockTime(Math.min(a.end, b.end))})`, {
+          classes: [a.index, b.index],
+          start: b.start,
+          end: Math.min(a.end, b.end)
+        }));
+      }
+    }
+  }
+
+  // Consecutive classes in different rooms need time to walk between them
+  for (let i = 1; i < sorted.length; i++) {
+    const [before, after] = [sorted[i - 1], sorted[i]];
+    const gap = after.start - before.end;
+    const moving = roomOf(before) && roomOf(after) && !sameText(roomOf(before), roomOf(after));
+
+    if (moving && gap >= 0 && gap < minTransferMinutes) {
+      issues.push(issue('SHORT_GAP', 'warning', ref(after),
+        `Only ${gap} min to get from ${roomOf(before)} to ${roomOf(after)} (at least ${minTransferMinutes} needed)`, {
+          classes: [before.index, after.index],
+          gapMinutes: gap
+        }));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check a timetable ({ day_0: [...], ... }, Monday = 0) for bad formats,
+ * clashes, duplicates and breaks too short to change rooms in.
+ *
+ * Returns { valid, errors, warnings, issues } where each issue is
+ *   { code, severity: 'error' | 'warning', path, message, day?, classes? }
+ * `path` points at the entry ("day_2[1].time"); `classes` holds the indexes
+ * of both entries for CLASH, DUPLICATE and SHORT_GAP. Warnings alone leave
+ * the timetable valid.
+ */
+export function validateTimetable(timetable, { minTransferMinutes = MIN_TRANSFER_MINUTES } = {}) {
+  if (timetable === null || typeof timetable !== 'object' || Array.isArray(timetable)) {
+    const issues = [issue('INVALID_TIMETABLE', 'error', '', 'Timetable must be an object of day_0 to day_6')];
+    return { valid: false, errors: 1, warnings: 0, issues };
+  }
+
+  const issues = [];
+  Object.entries(timetable).forEach(([dayKey, entries]) => {
+    if (!DAY_KEY.test(dayKey)) {
+      issues.push(issue('UNKNOWN_DAY', 'error', dayKey, 'Days must be day_0 (Monday) to day_6 (Sunday)'));
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      issues.push(issue('INVALID_DAY', 'error', dayKey, 'A day must be a list of classes'));
+      return;
+    }
+
+    const day = Number(dayKey.slice(4));
+    const checked = checkEntries(dayKey, entries);
+    [...checked.issues, ...checkOverlaps(dayKey, checked.timed, minTransferMinutes)]
+      .forEach(found => issues.push({ ...found, day }));
+  });
+
+  const errors = issues.filter(found => found.severity === 'error').length;
+  return { valid: errors === 0, errors, warnings: issues.length - errors, issues };
+}
+
+/**
+ * Clashes and too-short room changes on one day, with both classes, for
+ * the chat to mention
+ */
+export function conflictsForDay(timetable, dayIndex) {
+  const dayKey = `day_${dayIndex}`;
+  const entries = Array.isArray(timetable?.[dayKey]) ? timetable[dayKey] : [];
+  const { timed } = checkEntries(dayKey, entries);
+
+  return checkOverlaps(dayKey, timed, MIN_TRANSFER_MINUTES)
+    .filter(found => found.code !== 'DUPLICATE')
+    .map(found => ({
+      ...found,
+      first: entries[found.classes[0]],
+      second: entries[found.classes[1]]
+    }));
+}
@@ -0,0 +1,216 @@
+// services/usage.service.js
+import admin from 'firebase-admin';
+import { db } from '../firebase/firebaseAdmin.js';
+import { toDateKey } from '../utils/date.util.js';
+
+const { FieldValue } = admin.firestore;
+
+// Hard ceiling on AI spend across all users per calendar month
+export const MONTHLY_BUDGET_USD = parseFloat(process.env.MONTHLY_BUDGET_USD) || 2.00;
+
+// Per-user allowances (0 disables the check)
+export const USER_DAILY_REQUESTS = parseQuota(process.env.AI_USER_DAILY_REQUESTS, 20);
+export const USER_MONTHLY_USD = parseQuota(process.env.AI_USER_MONTHLY_USD, 0.50);
+
+// Longest span the admin report will scan
+export const MAX_REPORT_DAYS = 92;
+
+function parseQuota(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/*
+ * USD per million tokens, input and output priced separately.
+ * Model names match by longest prefix, so dated snapshots
+ * ("gpt-4o-mini-2024-07-18") use their family's price.
+ * OPENAI_PRICING_JSON='{"my-model":{"input":0.2,"output":0.8}}' adds or overrides entries
+ * (give self-hosted models a zero price there).
+ */
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-5-nano': { input: 0.05, output: 0.40 },
+  'gpt-5-mini': { input: 0.25, output: 2.00 },
+  'gpt-5': { input: 1.25, output: 10.00 },
+  'o4-mini': { input: 1.10, output: 4.40 },
+  'mock': { input: 0, output: 0 },
+  ...loadPricingOverrides()
+};
+
+// Unknown models are charged at a deliberately high rate so they can't
+// slip under the budget unnoticed
+const FALLBACK_PRICING = { input: 2.50, output: 10.00 };
+const warnedModels = new Set();
+
+function loadPricingOverrides() {
+  if (!process.env.OPENAI_PRICING_JSON) return {};
+  try {
+    return JSON.parse(process.env.OPENAI_PRICING_JSON);
+  } catch (error) {
+    console.warn('[Usage] Ignoring invalid OPENAI_PRICING_JSON:', error.message);
+    return {};
+  }
+}
+
+/*
+ * Firestore layout:
+ *   users/{uid}/aiUsage/{date}_{model}
+ *     { uid, date: 'YYYY-MM-DD', month: 'YYYY-MM', model,
+ *       requests, inputTokens, outputTokens, costUSD, updatedAt }
+ *   aiUsageTotals/{YYYY-MM}
+ *     { month, requests, inputTokens, outputTokens, costUSD, updatedAt }
+ *
+ * The admin report is a collection-group query on aiUsage by date, which
+ * needs the single-field collection-group index on `date` enabled.
+ */
+
+const userUsageRef = uid => db.collection('users').doc(uid).collection('aiUsage');
+const totalsRef = month => db.collection('aiUsageTotals').doc(month);
+
+const monthOf = dateKey => dateKey.slice(0, 7);
+const round6 = value => Math.round(value * 1e6) / 1e6;
+
+// Model names can contain "/" (e.g. "meta-llama/...") - not allowed in doc ids
+const modelKey = model => String(model).replace(/[^A-Za-z0-9._-]/g, '_');
+
+/**
+ * Price entry for a model (longest matching prefix wins)
+ */
+export function pricingFor(model = '') {
+  const match = Object.keys(MODEL_PRICING)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (match) return MODEL_PRICING[match];
+
+  if (!warnedModels.has(model)) {
+    warnedModels.add(model);
+    console.warn(`[Usage] No pricing for model "${model}" - charging the fallback rate`);
+  }
+  return FALLBACK_PRICING;
+}
+
+export function costOf(model, { inputTokens = 0, outputTokens = 0 }) {
+  const price = pricingFor(model);
+  return round6((inputTokens * price.input + outputTokens * price.output) / 1_000_000);
+}
+
+/**
+ * Whether this user may make another AI call right now.
+ * Returns { allowed: true } or { allowed: false, reason } with reason one of
+ * BUDGET_EXCEEDED, DAILY_QUOTA_EXCEEDED, MONTHLY_QUOTA_EXCEEDED.
+ */
+export async function checkAllowance(uid, now = new Date()) {
+  const today = toDateKey(now);
+  const month = monthOf(today);
+
+  const [totals, userMonth] = await Promise.all([
+    totalsRef(month).get(),
+    userUsageRef(uid).where('month', '==', month).get()
+  ]);
+
+  if ((totals.data()?.costUSD || 0) >= MONTHLY_BUDGET_USD) {
+    return { allowed: false, reason: 'BUDGET_EXCEEDED' };
+  }
+
+  let requestsToday = 0;
+  let costThisMonth = 0;
+  userMonth.forEach(doc => {
+    const { date, requests = 0, costUSD = 0 } = doc.data();
+    if (date === today) requestsToday += requests;
+    costThisMonth += costUSD;
+  });
+
+  if (USER_DAILY_REQUESTS > 0 && requestsToday >= USER_DAILY_REQUESTS) {
+    return { allowed: false, reason: 'DAILY_QUOTA_EXCEEDED' };
+  }
+  if (USER_MONTHLY_USD > 0 && costThisMonth >= USER_MONTHLY_USD) {
+    return { allowed: false, reason: 'MONTHLY_QUOTA_EXCEEDED' };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Add one AI call to the user's ledger and the global monthly total.
+ * Returns the cost charged.
+ */
+export async function recordUsage(uid, { model, inputTokens = 0, outputTokens = 0 }, now = new Date()) {
+  const date = toDateKey(now);
+  const month = monthOf(date);
+  const costUSD = costOf(model, { inputTokens, outputTokens });
+
+  const increments = {
+    requests: FieldValue.increment(1),
+    inputTokens: FieldValue.increment(inputTokens),
+    outputTokens: FieldValue.increment(outputTokens),
+    costUSD: FieldValue.increment(costUSD),
+    updatedAt: FieldValue.serverTimestamp()
+  };
+
+  const batch = db.batch();
+  batch.set(userUsageRef(uid).doc(`${date}_${modelKey(model)}`), {
+    uid, date, month, model, ...increments
+  }, { merge: true });
+  batch.set(totalsRef(month), { month, ...increments }, { merge: true });
+  await batch.commit();
+
+  return costUSD;
+}
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, costUSD: 0 };
+}
+
+function addTo(totals, row) {
+  totals.requests += row.requests || 0;
+  totals.inputTokens += row.inputTokens || 0;
+  totals.outputTokens += row.outputTokens || 0;
+  totals.costUSD += row.costUSD || 0;
+}
+
+function groupRows(rows, keyOf, keyName) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, { [keyName]: key, ...emptyTotals() });
+    addTo(groups.get(key), row);
+  });
+  return [...groups.values()].map(group => ({ ...group, costUSD: round6(group.costUSD) }));
+}
+
+/**
+ * Spend between two date keys (inclusive), by user, by model and by day,
+ * plus where this month stands against the global budget
+ */
+export async function usageReport({ from, to }, now = new Date()) {
+  const snapshot = await db.collectionGroup('aiUsage')
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .get();
+
+  const rows = snapshot.docs.map(doc => doc.data());
+  const totals = emptyTotals();
+  rows.forEach(row => addTo(totals, row));
+
+  const month = monthOf(toDateKey(now));
+  const budgetDoc = await totalsRef(month).get();
+
+  return {
+    from,
+    to,
+    totals: { ...totals, costUSD: round6(totals.costUSD) },
+    budget: {
+      month,
+      spentUSD: round6(budgetDoc.data()?.costUSD || 0),
+      limitUSD: MONTHLY_BUDGET_USD
+    },
+    byUser: groupRows(rows, row => row.uid, 'uid').sort((a, b) => b.costUSD - a.costUSD),
+    byModel: groupRows(rows, row => row.model, 'model').sort((a, b) => b.costUSD - a.costUSD),
+    byDay: groupRows(rows, row => row.date, 'date').sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
@@ -0,0 +1,305 @@
+// utils/date.util.js
+//
+// Calendar dates are handled as 'YYYY-MM-DD' keys — the same format the
+// assignments and calendarMarks data already use — so comparisons are plain
+// string comparisons and never shift with the server's timezone.
+
+import { DAYS } from './schedule.util.js';
+import { t, formatDate, formatWeekday } from '../i18n/index.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const WEEKDAYS = DAYS.map(day => day.toLowerCase());
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY_PATTERN = `(${WEEKDAYS.join('|')})`;
+
+const pad = n => String(n).padStart(2, '0');
+
+const keyToUTC = key => {
+  const [y, m, d] = key.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+const utcToKey = ms => {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+// A real calendar date: '2026-02-30' doesn't roll over into March
+export const isDateKey = value =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && utcToKey(keyToUTC(value)) === value;
+
+// Local calendar date of a Date object as a key
+export const toDateKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const addDays = (key, days) => utcToKey(keyToUTC(key) + days * MS_PER_DAY);
+
+// Whole days from `from` to `to` (negative if `to` is earlier)
+export const daysBetween = (from, to) => Math.round((keyToUTC(to) - keyToUTC(from)) / MS_PER_DAY);
+
+// Weekday index of a key, Monday=0 like the timetable's day_N
+export const dayIndexOf = key => (new Date(keyToUTC(key)).getUTCDay() + 6) % 7;
+
+// Human form of a key in the reply locale, e.g. "Fri, 23 Oct"
+export const formatDay = key => formatDate(key);
+
+// Without the weekday, e.g. "23 Oct"
+const formatDayMonth = key => formatDate(key, { day: 'numeric', month: 'short' });
+
+// Is `key` inside a range? A null end means open-ended.
+export const inRange = (key, range) =>
+  key >= range.start && (range.end === null || key <= range.end);
+
+const monthIndex = name => MONTHS.findIndex(month => month.startsWith(name.slice(0, 3)));
+
+// Next occurrence (today included) of a weekday
+function upcomingWeekday(today, weekday) {
+  return addDays(today, (weekday - dayIndexOf(today) + 7) % 7);
+}
+
+// Monday of the week containing `key`
+const startOfWeek = key => addDays(key, -dayIndexOf(key));
+
+// Build a key from parts, rolling forward to the next occurrence when the
+// year (or month) is implied and the date has already passed
+function resolveDate(today, { day, month = null, year = null }) {
+  const [ty, tm] = today.split('-').map(Number);
+
+  if (month === null) {
+    let y = ty;
+    let m = tm;
+    for (let i = 0; i < 12; i++) {
+      const key = `${y}-${pad(m)}-${pad(day)}`;
+      if (isValidDay(y, m, day) && key >= today) return key;
+      m += 1;
+      if (m > 12) { m = 1; y += 1; }
+    }
+    return null;
+  }
+
+  if (year !== null) {
+    return isValidDay(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+  }
+
+  const thisYear = `${ty}-${pad(month)}-${pad(day)}`;
+  if (isValidDay(ty, month, day) && thisYear >= today) return thisYear;
+  return isValidDay(ty + 1, month, day) ? `${ty + 1}-${pad(month)}-${pad(day)}` : null;
+}
+
+function isValidDay(y, m, d) {
+  if (m < 1 || m > 12 || d < 1) return false;
+  return d <= new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+const normaliseYear = y => (y === undefined ? null : (y.length === 2 ? 2000 + Number(y) : Number(y)));
+
+/**
+ * Parse a single date expression (the "X" in "before X").
+ * Returns a key or null.
+ */
+export function parseDateExpression(text, today) {
+  const t = text.trim();
+  let m;
+
+  if (/^today\b/.test(t) || /^tonight\b/.test(t)) return today;
+  if (/^(the )?day after tomorrow\b/.test(t)) return addDays(today, 2);
+  if (/^tomorrow\b/.test(t)) return addDays(today, 1);
+
+  // ISO: 2026-03-14
+  if ((m = t.match(/^(\d{4})-(\d{2})-(\d{2})\b/))) {
+    const key = `${m[1]}-${m[2]}-${m[3]}`;
+    return isDateKey(key) && isValidDay(+m[1], +m[2], +m[3]) ? key : null;
+  }
+
+  // 14/03, 14/03/2026, 14-3-26, 14.03.2026 (day first; dotted dates need a
+  // year, so "reach 8.5" stays a grade)
+  if ((m = t.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?\b/)) ||
+      (m = t.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})\b/))) {
+    return resolveDate(today, { day: +m[1], month: +m[2], year: normaliseYear(m[3]) });
+  }
+
+  // 20 March, 20th of March 2026
+  if ((m = t.match(new RegExp(`^(?:the )?(\\d{1,2})(?:st|nd|rd|th)?(?: of)? ${MONTH_PATTERN}\\b(?:,? (\\d{4}))?`)))) {
+    return resolveDate(today, { day: +m[1], month: monthIndex(m[2]) + 1, year: normaliseYear(m[3]) });
+  }
+
+  // March 20, March 20th 2026
+  if ((m = t.match(new RegExp(`^${MONTH_PATTERN} (\\d{1,2})(?:st|nd|rd|th)?\\b(?:,? (\\d{4}))?`)))) {
+    return resolveDate(today, { day: +m[2], month: monthIndex(m[1]) + 1, year: normaliseYear(m[3]) });
+  }
+
+  // "Friday" / "this Friday" is the next one (today included);
+  // "next Friday" is the Friday of next week
+  if ((m = t.match(new RegExp(`^(?:(this|next|coming) )?${WEEKDAY_PATTERN}\\b`)))) {
+    const weekday = WEEKDAYS.indexOf(m[2]);
+    if (m[1] === 'next') return addDays(startOfWeek(today), 7 + weekday);
+    return upcomingWeekday(today, weekday);
+  }
+
+  // the 14th
+  if ((m = t.match(/^(?:the )?(\d{1,2})(?:st|nd|rd|th)\b/))) {
+    return resolveDate(today, { day: +m[1] });
+  }
+
+  return null;
+}
+
+// A phrase that may start a date expression — used to find "X" inside a
+// message. Non-capturing throughout so callers can number their own groups.
+const MONTH_NC = MONTH_PATTERN.replace(/^\(/, '(?:');
+const WEEKDAY_NC = WEEKDAY_PATTERN.replace(/^\(/, '(?:');
+const DATE_START = `(?:today|tonight|tomorrow|(?:the )?day after tomorrow|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/-]\\d{1,2}(?:[/-]\\d{2,4})?|\\d{1,2}\\.\\d{1,2}\\.\\d{2,4}|(?:the )?\\d{1,2}(?:st|nd|rd|th)?(?: of)? ${MONTH_NC}(?:,? \\d{4})?|${MONTH_NC} \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?|(?:(?:this|next|coming) )?${WEEKDAY_NC}|(?:the )?\\d{1,2}(?:st|nd|rd|th))`;
+
+const WEEKDAY_START = new RegExp(`^(?:(this|next|coming) )?${WEEKDAY_PATTERN}`);
+
+// A bare ordinal ("the 2nd") or a day/month without a year ("4/5") is only
+// a date after a day word ("due on the 2nd", "exam on 4/5") or before "of
+// the month" — "the 2nd semester" and "skip 2-3 classes" are not dates
+const NEEDS_CONTEXT = /^(?:(?:the )?\d{1,2}(?:st|nd|rd|th)|\d{1,2}[/-]\d{1,2})$/;
+const CONTEXT_BEFORE = /\b(?:on|due|by|before|after|until|till|from|since) $/;
+const CONTEXT_AFTER = /^ of (?:the|this) month\b/;
+
+const day = (start, label) => ({ start, end: start, label, kind: 'day' });
+const range = (start, end, label) => ({ start, end, label, kind: 'range' });
+
+const UNIT_DAYS = { day: 1, days: 1, week: 7, weeks: 7 };
+
+// "days" -> "Days", for the dates.nextDays / dates.lastWeeks labels
+const unitKey = unit => (unit.startsWith('week') ? 'Weeks' : 'Days');
+
+// before is exclusive, the rest inclusive
+const LIMIT_KEYS = { before: 'before', by: 'by', until: 'until', till: 'till', 'up to': 'upTo' };
+
+/**
+ * Find a date or date range in a message, resolved against the student's
+ * today (a 'YYYY-MM-DD' key).
+ *
+ * Returns { start, end, label, kind } where start/end are inclusive keys
+ * (end is null for open-ended ranges like "after 20 March"), kind is 'day'
+ * or 'range', and label is a phrase that reads naturally in a reply
+ * ("next week", "on Fri, 23 Oct", "in the next 10 days"). Null if none.
+ * Matching is English only; the label is in the reply locale (see i18n/),
+ * so call this inside withStyle().
+ */
+export function extractDateRange(lowerMessage, today) {
+  const text = lowerMessage.replace(/[?!,]/g, ' ').replace(/\s+/g, ' ');
+  let m;
+
+  // between X and Y / from X to Y
+  if ((m = text.match(new RegExp(`\\b(?:between|from) (${DATE_START}) (?:and|to|till|until) (${DATE_START})`)))) {
+    const start = parseDateExpression(m[1], today);
+    let end = parseDateExpression(m[2], today);
+    // "monday to wednesday" asked on a Wednesday ends on next week's Wednesday
+    if (start && end && end < start && WEEKDAY_START.test(m[2])) {
+      end = addDays(end, 7 * Math.ceil(daysBetween(end, start) / 7));
+    }
+    if (start && end && start <= end) {
+      return range(start, end, t('dates.between', { start: formatDay(start), end: formatDay(end) }));
+    }
+  }
+
+  // before X (exclusive), by / until / till X (inclusive)
+  if ((m = text.match(new RegExp(`\\b(before|by|until|till|up to) (${DATE_START})`)))) {
+    const limit = parseDateExpression(m[2], today);
+    if (limit) {
+      const end = m[1] === 'before' ? addDays(limit, -1) : limit;
+      if (end >= today) return range(today, end, t(`dates.${LIMIT_KEYS[m[1]]}`, { date: formatDay(limit) }));
+    }
+  }
+
+  // after X (open-ended) — but not "the day after tomorrow"
+  if ((m = text.match(new RegExp(`(?<!day )\\bafter (${DATE_START})`)))) {
+    const from = parseDateExpression(m[1], today);
+    if (from) return range(addDays(from, 1), null, t('dates.after', { date: formatDay(from) }));
+  }
+
+  // in the next 10 days, within 2 weeks, over the next 3 days (today included)
+  if ((m = text.match(/\b(?:in|within|over|for)? ?(?:the )?(?:next|coming) (\d{1,3}) (days?|weeks?)\b/)) ||
+      (m = text.match(/\bwithin (?:the )?(\d{1,3}) (days?|weeks?)\b/))) {
+    const span = Number(m[1]) * UNIT_DAYS[m[2]];
+    if (span > 0) return range(today, addDays(today, span - 1), t(`dates.next${unitKey(m[2])}`, { count: Number(m[1]) }));
+  }
+
+  // in 3 days (a single day)
+  if ((m = text.match(/\bin (\d{1,3}) (days?|weeks?)\b/))) {
+    const target = addDays(today, Number(m[1]) * UNIT_DAYS[m[2]]);
+    return day(target, t('dates.on', { date: formatDay(target) }));
+  }
+
+  // in the last 7 days, over the past 2 weeks (looking back, today included)
+  if ((m = text.match(/\b(?:last|past|previous) (\d{1,3}) (days?|weeks?)\b/))) {
+    const span = Number(m[1]) * UNIT_DAYS[m[2]];
+    if (span > 0) return range(addDays(today, 1 - span), today, t(`dates.last${unitKey(m[2])}`, { count: Number(m[1]) }));
+  }
+
+  if (/\bday after tomorrow\b/.test(text)) return day(addDays(today, 2), t('dates.dayAfterTomorrow'));
+  if (/\btomorrow\b/.test(text)) return day(addDays(today, 1), t('dates.tomorrow'));
+  if (/\b(today|tonight)\b/.test(text)) return day(today, t('dates.today'));
+  if (/\byesterday\b/.test(text)) return day(addDays(today, -1), t('dates.yesterday'));
+
+  if (/\blast week\b/.test(text)) {
+    const monday = addDays(startOfWeek(today), -7);
+    return range(monday, addDays(monday, 6), t('dates.lastWeek'));
+  }
+  if (/\blast weekend\b/.test(text)) {
+    const saturday = addDays(startOfWeek(today), -2);
+    return range(saturday, addDays(saturday, 1), t('dates.lastWeekend'));
+  }
+  if (/\blast month\b/.test(text)) {
+    const end = addDays(`${today.slice(0, 7)}-01`, -1);
+    return range(`${end.slice(0, 7)}-01`, end, t('dates.lastMonth'));
+  }
+
+  if (/\bnext week\b/.test(text)) {
+    const monday = addDays(startOfWeek(today), 7);
+    return range(monday, addDays(monday, 6), t('dates.nextWeek'));
+  }
+  if (/\bthis weekend\b|\bweekend\b/.test(text)) {
+    const saturday = addDays(startOfWeek(today), 5);
+    return range(saturday < today ? today : saturday, addDays(saturday, 1), t('dates.thisWeekend'));
+  }
+  if (/\bthis week\b/.test(text)) {
+    return range(today, addDays(startOfWeek(today), 6), t('dates.thisWeek'));
+  }
+  if (/\bnext month\b/.test(text)) {
+    const [y, mo] = today.split('-').map(Number);
+    const start = mo === 12 ? `${y + 1}-01-01` : `${y}-${pad(mo + 1)}-01`;
+    const [sy, sm] = start.split('-').map(Number);
+    return range(start, `${sy}-${pad(sm)}-${pad(new Date(Date.UTC(sy, sm, 0)).getUTCDate())}`, t('dates.nextMonth'));
+  }
+  if (/\bthis month\b/.test(text)) {
+    const [y, mo] = today.split('-').map(Number);
+    return range(today, `${y}-${pad(mo)}-${pad(new Date(Date.UTC(y, mo, 0)).getUTCDate())}`, t('dates.thisMonth'));
+  }
+
+  // A single absolute or weekday expression anywhere in the message
+  const single = new RegExp(`(?:^|\\b(?:on|for|of|is|at|due) |\\s)(${DATE_START})\\b`, 'g');
+  for (m of text.matchAll(single)) {
+    const end = m.index + m[0].length;
+    if (NEEDS_CONTEXT.test(m[1]) && !CONTEXT_BEFORE.test(text.slice(0, end - m[1].length)) &&
+        !CONTEXT_AFTER.test(text.slice(end))) {
+      continue;
+    }
+
+    const key = parseDateExpression(m[1], today);
+    if (key) {
+      const weekday = m[1].match(WEEKDAY_START);
+      const label = weekday
+        ? t(weekday[1] === 'next' ? 'dates.nextWeekday' : 'dates.onWeekday', {
+          weekday: formatWeekday(WEEKDAYS.indexOf(weekday[2])),
+          date: formatDayMonth(key)
+        })
+        : t('dates.on', { date: formatDay(key) });
+      return day(key, label);
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,92 @@
+// utils/format.util.js
+import { currentStyle } from './style.util.js';
+import { t, languageOf } from '../i18n/index.js';
+
+// Longest list a "brief" reply keeps before summarising the rest
+const BRIEF_LINES = 4;
+const BRIEF_SENTENCES = 2;
+
+// Professional reply formatting
+export function formatReply(lines) {
+  const kept = lines.filter(Boolean);
+  if (currentStyle().verbosity !== 'brief' || kept.length <= BRIEF_LINES) {
+    return kept.join('\n');
+  }
+
+  const hidden = kept.length - (BRIEF_LINES - 1);
+  return [...kept.slice(0, BRIEF_LINES - 1), t('common.andMore', { count: hidden })].join('\n');
+}
+
+// Paragraph builder for natural flow
+export function paragraph(lines) {
+  const kept = lines.filter(Boolean);
+  return (currentStyle().verbosity === 'brief' ? kept.slice(0, BRIEF_SENTENCES) : kept).join(' ');
+}
+
+/**
+ * The name to use in this reply, or null. "varied" keeps the old
+ * probabilistic behaviour (`chance` of using it); "always" and "never" are
+ * deterministic.
+ */
+export function nameToUse(userName, chance = 0.35) {
+  const { address, nameUsage } = currentStyle();
+  const name = address || userName;
+  if (!name || nameUsage === 'never') return null;
+  if (nameUsage === 'always') return name;
+  return Math.random() < chance ? name : null;
+}
+
+// Probabilistic name usage (35% chance for responses, 50% for greetings)
+export function addressMaybe(text, userName) {
+  const name = nameToUse(userName);
+  return name ? t('common.addressed', { name, text }) : text;
+}
+
+const CONTRACTIONS = {
+  "can't": 'cannot',
+  "won't": 'will not',
+  "n't": ' not',
+  "'re": ' are',
+  "'ve": ' have',
+  "'ll": ' will',
+  "'m": ' am',
+  "'d": ' would',
+  "it's": 'it is',
+  "that's": 'that is',
+  "there's": 'there is',
+  "here's": 'here is',
+  "what's": 'what is',
+  "when's": 'when is',
+  "let's": 'let us'
+};
+
+const CONTRACTION_PATTERN = new RegExp(
+  `\\b(can't|won't|it's|that's|there's|here's|what's|when's|let's)\\b|(?<=\\w)(n't|'re|'ve|'ll|'m|'d)\\b`,
+  'gi'
+);
+
+const keepCase = (original, replacement) =>
+  /^[A-Z]/.test(original) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+
+const EMOJI = /\p{Extended_Pictographic}️?\s?/gu;
+
+/**
+ * Whole-reply pass for what the formatters can't see: emoji and formality.
+ * Applied by the chat route to every rule-based reply. The formal rewrite
+ * only knows English; the other catalogues are written formal already.
+ */
+export function styleReply(text, style = currentStyle()) {
+  let styled = String(text);
+
+  if (style.emoji === false) {
+    styled = styled.replace(EMOJI, '');
+  }
+
+  if (style.formality === 'formal' && languageOf(style.locale) === 'en') {
+    styled = styled
+      .replace(CONTRACTION_PATTERN, match => keepCase(match, CONTRACTIONS[match.toLowerCase()]))
+      .replace(/!/g, '.');
+  }
+
+  return styled.replace(/[ \t]+\n/g, '\n').trim();
+}
@@ -0,0 +1,163 @@
+// utils/ics.util.js
+//
+// Just enough RFC 5545 (iCalendar) to write our own feed and read the
+// events out of a published one: text escaping, 75-octet line folding,
+// DATE / DATE-TIME values and property parameters. Recurrence rules in
+// imported files are not expanded.
+
+import { wallClock } from './time.util.js';
+import { isDateKey } from './date.util.js';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+const pad = n => String(n).padStart(2, '0');
+
+// TEXT values: backslash, semicolon, comma and newline are escaped
+export const escapeText = value =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+export const unescapeText = value =>
+  value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+}
+
+// 'YYYY-MM-DD' -> 20261019 (a VALUE=DATE)
+export const toIcsDate = key => key.replace(/-/g, '');
+
+// 'YYYY-MM-DD' + minutes past midnight -> 20261019T093000 (floating local time)
+export const toIcsLocalDateTime = (key, minutes) =>
+  `${toIcsDate(key)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+
+// An instant in UTC -> 20261019T093000Z
+export const toIcsUtc = date =>
+  `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/**
+ * Serialise components to a calendar. A component is
+ *   { type: 'VEVENT', properties: [[name, value, params?], ...] }
+ * where values are already in iCalendar form (use escapeText for TEXT).
+ */
+export function serializeCalendar(calendarProperties, components) {
+  const line = ([name, value, params = {}]) => {
+    const paramText = Object.entries(params).map(([key, val]) => `;${key}=${val}`).join('');
+    return foldLine(`${name}${paramText}:${value}`);
+  };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    ...calendarProperties.map(line),
+    ...components.flatMap(({ type, properties }) => [
+      `BEGIN:${type}`,
+      ...properties.filter(([, value]) => value !== null && value !== undefined && value !== '').map(line),
+      `END:${type}`
+    ]),
+    'END:VCALENDAR'
+  ];
+
+  return lines.join(CRLF) + CRLF;
+}
+
+// Split "NAME;PARAM=x;PARAM2="y;z":value" into its parts
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  rawParams.forEach(param => {
+    const eq = param.indexOf('=');
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * The VEVENTs of an iCalendar text, each as { NAME: { value, params } }
+ * (the first occurrence of each property) plus `CATEGORIES` as a list.
+ */
+export function parseEvents(text) {
+  const lines = String(text)
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  lines.forEach(raw => {
+    const parsed = parseContentLine(raw);
+    if (!parsed) return;
+    const { name, params, value } = parsed;
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = { CATEGORIES: [] };
+      depth = 0;
+    } else if (event && name === 'BEGIN') {
+      depth++; // VALARM and friends: their properties are not the event's
+    } else if (event && name === 'END' && depth > 0) {
+      depth--;
+    } else if (event && name === 'END' && value.toUpperCase() === 'VEVENT') {
+      events.push(event);
+      event = null;
+    } else if (event && depth === 0) {
+      if (name === 'CATEGORIES') {
+        event.CATEGORIES.push(...value.split(/(?<!\\),/).map(unescapeText).map(c => c.trim()).filter(Boolean));
+      } else if (!event[name]) {
+        event[name] = { value, params };
+      }
+    }
+  });
+
+  return events;
+}
+
+/**
+ * The calendar date of a DATE or DATE-TIME value as a 'YYYY-MM-DD' key.
+ * Times are read as written (local to the event's TZID); UTC times are
+ * shifted into `timeZone` when given.
+ */
+export function icsValueToDateKey(value, timeZone) {
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+
+  const key = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!isDateKey(key)) return null;
+
+  if (m[7] && timeZone) {
+    return wallClock(new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6])), timeZone).today;
+  }
+  return key;
+}
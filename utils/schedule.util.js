@@ -0,0 +1,134 @@
+// utils/schedule.util.js
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const getDayName = index => DAYS[index] ?? `Day ${index + 1}`;
+
+// Calendar day of a 'YYYY-MM-DD' date (any time part ignored), as UTC ms
+const dayOf = date => Date.parse(String(date).slice(0, 10));
+
+// Whole days from the student's today (a 'YYYY-MM-DD' key) until a date
+export const daysUntil = (date, today) => Math.round((dayOf(date) - dayOf(today)) / MS_PER_DAY);
+
+// Items dated today or later in the student's calendar, soonest first
+export function getFutureDates(items, today) {
+  return items
+    .filter(item => {
+      if (!item?.date) return false;
+      if (isNaN(dayOf(item.date))) return false;
+      return dayOf(item.date) >= dayOf(today);
+    })
+    .sort((a, b) => dayOf(a.date) - dayOf(b.date));
+}
+
+// "09:00-10:00", "9:00 – 10:30", "9 am to 10 am"
+const TIME_RANGE = /^(.+?)\s*(?:-|–|—|\bto\b)\s*(.+)$/i;
+
+// Normalize class times
+export function normalizeClassTime(cls) {
+  if (cls.startTime && cls.endTime) return cls;
+
+  const range = typeof cls.time === 'string' ? cls.time.trim().match(TIME_RANGE) : null;
+  if (range) {
+    return { ...cls, startTime: range[1], endTime: range[2] };
+  }
+
+  return cls;
+}
+
+/**
+ * Minutes past midnight of a class time ("09:00", "9.30", "2:30 pm"), or null
+ */
+export function parseClockTime(text) {
+  const m = String(text ?? '').trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!m) return null;
+
+  let hour = Number(m[1]);
+  const minute = Number(m[2] || 0);
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[3] === 'pm' ? 12 : 0);
+  }
+  return hour < 24 && minute < 60 ? hour * 60 + minute : null;
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// 'HH:MM' for minutes past midnight, the inverse of parseClockTime
+export const toClockTime = minutes => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/**
+ * Timetable helpers bound to one student's `timetable` ({ day_0: [...], ... })
+ */
+export function createSchedule(timetable = {}) {
+  // Get classes for a specific day
+  const getClassesForDay = (dayIndex) => {
+    const classes = timetable[`day_${dayIndex}`];
+    if (!Array.isArray(classes)) return [];
+    // Malformed entries are reported by services/timetable.service.js
+    return classes.filter(cls => cls && typeof cls === 'object').map(normalizeClassTime);
+  };
+
+  // Classes with a readable start and end, as minutes past midnight
+  // (`start`, `end`), earliest first
+  const getTimedClassesForDay = (dayIndex) => getClassesForDay(dayIndex)
+    .map(cls => ({ ...cls, start: parseClockTime(cls.startTime), end: parseClockTime(cls.endTime) }))
+    .filter(cls => cls.start !== null && cls.end !== null && cls.end > cls.start)
+    .sort((a, b) => a.start - b.start);
+
+  // Breaks of at least `minLength` minutes up to the end of the last class,
+  // as { start, end } minutes. Counted from the first class, or from `from`
+  // (the current time) when given; with `until` as well, the free stretch
+  // after the last class up to `until` counts too and nothing later does.
+  // Overlapping classes are one busy stretch.
+  const getFreeSlots = (dayIndex, { from = null, until = null, minLength = 15 } = {}) => {
+    const slots = [];
+    let busyUntil = from;
+    const addSlot = (start, end) => {
+      if (end - start >= minLength) slots.push({ start, end });
+    };
+
+    getTimedClassesForDay(dayIndex).forEach(cls => {
+      if (busyUntil !== null) addSlot(busyUntil, until === null ? cls.start : Math.min(cls.start, until));
+      busyUntil = Math.max(busyUntil ?? cls.end, cls.end);
+    });
+    if (until !== null && busyUntil !== null) addSlot(busyUntil, until);
+
+    return slots;
+  };
+
+  // Analyze weekly pattern
+  const analyzeWeeklyPattern = () => {
+    const analysis = {
+      busiestDay: { day: null, count: 0 },
+      lightestDay: { day: null, count: Infinity },
+      totalClasses: 0,
+      daysWithClasses: 0
+    };
+
+    for (let i = 0; i < 7; i++) {
+      const classes = getClassesForDay(i);
+      const count = classes.length;
+
+      analysis.totalClasses += count;
+      if (count > 0) analysis.daysWithClasses++;
+
+      if (count > analysis.busiestDay.count) {
+        analysis.busiestDay = { day: i, count };
+      }
+
+      if (count < analysis.lightestDay.count && count > 0) {
+        analysis.lightestDay = { day: i, count };
+      }
+    }
+
+    if (analysis.lightestDay.count === Infinity) {
+      analysis.lightestDay = { day: null, count: 0 };
+    }
+
+    return analysis;
+  };
+
+  return { getClassesForDay, getTimedClassesForDay, getFreeSlots, analyzeWeeklyPattern };
+}
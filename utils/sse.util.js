@@ -0,0 +1,108 @@
+// utils/sse.util.js
+
+/**
+ * Server-Sent Events writer for an Express response.
+ * Headers go out with the first event, so the route can still fall back to
+ * an ordinary JSON error response until something has been streamed.
+ */
+export function createEventStream(res) {
+  let open = false;
+  let closed = false;
+
+  const start = () => {
+    if (open) return;
+    open = true;
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let proxies buffer the stream
+    });
+    res.flushHeaders();
+  };
+
+  return {
+    get started() {
+      return open;
+    },
+
+    send(event, data) {
+      if (closed) return;
+      start();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      start();
+      res.end();
+    }
+  };
+}
+
+/**
+ * Read an upstream SSE body (a Node readable stream) and call
+ * `onEvent(eventName, data)` for every event. `data` is parsed as JSON when
+ * possible; the OpenAI "[DONE]" sentinel is passed through as a string.
+ */
+export function parseEventStream(readable, onEvent) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    const flush = block => {
+      let event = 'message';
+      const dataLines = [];
+
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      });
+
+      if (dataLines.length === 0) return;
+      const raw = dataLines.join('\n');
+
+      let data = raw;
+      try {
+        data = JSON.parse(raw);
+      } catch {
+        // not JSON ("[DONE]")
+      }
+      onEvent(event, data);
+    };
+
+    readable.setEncoding?.('utf8');
+
+    // A throwing onEvent stops reading and rejects instead of escaping
+    // from the stream's event emitter
+    const fail = error => {
+      readable.destroy?.();
+      reject(error);
+    };
+
+    readable.on('data', chunk => {
+      buffer += String(chunk).replace(/\r\n/g, '\n');
+      let boundary;
+      try {
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          flush(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+        }
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    readable.on('end', () => {
+      try {
+        if (buffer.trim()) flush(buffer);
+        resolve();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    readable.on('error', reject);
+  });
+}
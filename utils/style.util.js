@@ -0,0 +1,27 @@
+// utils/style.util.js
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/*
+ * Reply style (the student's assistant settings, see persona.service.js).
+ * The chat route runs each intent handler inside withStyle(), so the
+ * formatters and the message catalogue pick it up without every handler
+ * passing it along.
+ */
+export const DEFAULT_STYLE = {
+  address: null,        // how to address the student; null = their first name
+  formality: 'casual',  // casual | neutral | formal
+  verbosity: 'normal',  // brief | normal | detailed
+  emoji: true,
+  nameUsage: 'varied',  // varied | always | never
+  locale: 'en-IN',      // reply language and number/date format (see i18n/)
+  currency: 'INR',      // ISO 4217 code amounts are shown in
+  timeZone: null        // IANA zone "today" is read in; null = server clock
+};
+
+const styleStore = new AsyncLocalStorage();
+
+export function withStyle(style, fn) {
+  return styleStore.run({ ...DEFAULT_STYLE, ...style }, fn);
+}
+
+export const currentStyle = () => styleStore.getStore() || DEFAULT_STYLE;
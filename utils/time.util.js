@@ -0,0 +1,89 @@
+// utils/time.util.js
+//
+// The student's wall clock. Everything date-like in a reply ("today",
+// "tomorrow", "in 3 days", good morning/evening) is worked out from one
+// instant read in the student's IANA timezone, not the server's - a cloud
+// function runs on UTC, and 2 a.m. in Pune is still yesterday there.
+
+import { addDays, dayIndexOf } from './date.util.js';
+
+// lower-case name -> IANA name, for case-insensitive lookups
+const TIME_ZONES = new Map(Intl.supportedValuesOf('timeZone').map(zone => [zone.toLowerCase(), zone]));
+
+/**
+ * An IANA timezone Intl accepts, in the spelling of ICU's list where it has
+ * one ("europe/london" -> "Europe/London"), else as sent; null if unknown.
+ * The name is kept rather than resolved, as ICU's list still has the old
+ * "Asia/Calcutta" for "Asia/Kolkata".
+ */
+export function resolveTimeZone(zone) {
+  if (typeof zone !== 'string' || zone.trim() === '') return null;
+  const name = zone.trim();
+  if (TIME_ZONES.has(name.toLowerCase())) return TIME_ZONES.get(name.toLowerCase());
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return name;
+  } catch {
+    return null;
+  }
+}
+
+export const isTimeZone = zone => resolveTimeZone(zone) !== null;
+
+/**
+ * Date key, timetable weekday (Monday = 0), hour and minute of `now` in
+ * `timeZone` (undefined = the server's own zone)
+ */
+export function wallClock(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+
+  const today = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    today,
+    todayIndex: dayIndexOf(today),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+/**
+ * The student's clock for one request.
+ *
+ * Precedence:
+ *   1. A timezone (the request's, else the one in their settings) decides
+ *      the date, weekday and hour outright; a posted todayIndex is ignored.
+ *   2. Without one, a posted todayIndex (the device's own weekday) wins over
+ *      the server clock: the server's date moves to that weekday when it is
+ *      a day either side - no two timezones are further apart. A todayIndex
+ *      further off than that cannot come from a real clock and is ignored.
+ *      The hour stays the server's, as nothing says how far it is off.
+ *   3. Otherwise the server clock.
+ *
+ * Returns { today, todayIndex, hour, minute, timeZone, source } where
+ * timeZone is null and source is 'todayIndex' or 'server' unless (1) applied.
+ */
+export function studentClock(now, { timeZone = null, todayIndex = null } = {}) {
+  if (timeZone) {
+    return { ...wallClock(now, timeZone), timeZone, source: 'timeZone' };
+  }
+
+  const server = wallClock(now);
+  const shift = Number.isInteger(todayIndex)
+    ? { 0: 0, 1: 1, 6: -1 }[(todayIndex - server.todayIndex + 7) % 7]
+    : undefined;
+
+  if (shift !== undefined) {
+    return { ...server, today: addDays(server.today, shift), todayIndex, timeZone: null, source: 'todayIndex' };
+  }
+  return { ...server, timeZone: null, source: 'server' };
+}